@@ -1,4 +1,8 @@
 import { GameMode } from './game/GameMode.js';
+import { Random } from './core/random.js';
+import { PlayerConfig } from './core/config.js';
+import { formatKeyCode } from './game/KeyBindings.js';
+import { NET_PATH } from './game/NetProtocol.js';
 
 /**
  * Single Cell Survival - Entry Point
@@ -15,13 +19,24 @@ function initGame() {
         return;
     }
 
-    const game = new GameMode(canvas);
-    game.initialize(2);  // 2 players
+    // Optional ?seed=1234 in the URL reproduces a previous match
+    const params = new URLSearchParams(window.location.search);
+    const seed = Random.parseSeed(params.get('seed')) ?? Random.generateSeed();
+
+    // Online play talks to the server that served the page, or ?server=ws://host:port/ws
+    const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const serverUrl = params.get('server') ?? `${wsProtocol}//${window.location.host}${NET_PATH}`;
+
+    const game = new GameMode(canvas, { serverUrl });
+    game.initialize(2, seed);  // 2 players by default, 1-8 selectable on the title screen
 
     console.log('Single Cell Survival initialized!');
-    console.log('Player 1 (Red): WASD');
-    console.log('Player 2 (Blue): Arrow Keys');
-    console.log('Press SPACE to start!');
+    PlayerConfig.forEach((config, i) => {
+        const { up, left, down, right } = game.inputHandler.keyBindings.getKeys(i);
+        console.log(`${config.name}: ${[up, left, down, right].map(formatKeyCode).join(' ')}`);
+    });
+    console.log(`Seed: ${seed}`);
+    console.log('Press 1-8 to choose the number of players, SHIFT+1-8 for bots, C to change controls, O to play online, SPACE to start!');
 }
 
 // Initialize when DOM is ready
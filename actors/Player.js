@@ -1,15 +1,16 @@
 import { GameConfig } from '../core/config.js';
+import { PowerUpType, POWER_UP_STYLES } from './PowerUp.js';
 
 /**
  * Player entity with pixel-based position for smooth movement
  */
 
 export class Player {
-    constructor(index, config, startX, startY) {
+    constructor(index, config, startX, startY, random) {
         this.index = index;
         this.name = config.name;
         this.color = config.color;
-        this.keys = config.keys;
+        this.team = null;   // Team index in team modes (see Teams.js)
 
         // Pixel position (for smooth movement)
         this.x = startX;
@@ -19,18 +20,35 @@ export class Player {
         this.vx = 0;
         this.vy = 0;
 
+        // Shove from bumping into other cells, decays on its own
+        this.knockbackX = 0;
+        this.knockbackY = 0;
+
+        // Dash burst and its cooldown (milliseconds left on each)
+        this.dashDirectionX = 0;
+        this.dashDirectionY = 0;
+        this.dashTimeLeft = 0;
+        this.dashCooldown = 0;
+
         // Squash/stretch animation
         this.scaleX = 1;
         this.scaleY = 1;
 
+        // Bump squash, flattened along the collision normal
+        this.squashAmount = 0;
+        this.squashNormalX = 0;
+        this.squashNormalY = 0;
+        this.squashElapsed = 0;
+        this.squashDuration = 250; // milliseconds
+
         // Amoeba wobble animation
         this.wobblePhases = [
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2
+            random.next() * Math.PI * 2,
+            random.next() * Math.PI * 2,
+            random.next() * Math.PI * 2,
+            random.next() * Math.PI * 2,
+            random.next() * Math.PI * 2,
+            random.next() * Math.PI * 2
         ];
         this.wobbleSpeed = 2.0;
 
@@ -42,45 +60,106 @@ export class Player {
 
         // Falling animation
         this.isFalling = false;
-        this.fallStartTime = 0;
+        this.fallElapsed = 0;
         this.fallDuration = 800; // milliseconds
 
         // Spawn animation
         this.isSpawning = true;
-        this.spawnStartTime = 0;
+        this.spawnElapsed = 0;
         this.spawnDuration = 500; // milliseconds
 
+        // Power-up effects: PowerUpType → ms left (Infinity until used up)
+        this.effects = new Map();
+
         this.isAlive = true;
         this.survivalTime = 0;
+        this.score = 0;     // Endless mode only
     }
 
     startSpawnAnimation() {
         this.isSpawning = true;
-        this.spawnStartTime = performance.now();
+        this.spawnElapsed = 0;
     }
 
-    getSpawnProgress() {
-        if (!this.isSpawning) return 1;
-
-        const elapsed = performance.now() - this.spawnStartTime;
-        const progress = Math.min(elapsed / this.spawnDuration, 1);
+    updateSpawn(deltaTime) {
+        if (!this.isSpawning) return;
 
-        if (progress >= 1) {
+        this.spawnElapsed += deltaTime;
+        if (this.spawnElapsed >= this.spawnDuration) {
             this.isSpawning = false;
         }
+    }
 
-        return progress;
+    getSpawnProgress() {
+        if (!this.isSpawning) return 1;
+        return Math.min(this.spawnElapsed / this.spawnDuration, 1);
     }
 
     startFalling() {
         this.isFalling = true;
-        this.fallStartTime = performance.now();
+        this.fallElapsed = 0;
+    }
+
+    updateFall(deltaTime) {
+        if (this.isFalling) {
+            this.fallElapsed += deltaTime;
+        }
     }
 
     getFallProgress() {
         if (!this.isFalling) return 0;
-        const elapsed = performance.now() - this.fallStartTime;
-        return Math.min(elapsed / this.fallDuration, 1);
+        return Math.min(this.fallElapsed / this.fallDuration, 1);
+    }
+
+    get isDashing() {
+        return this.dashTimeLeft > 0;
+    }
+
+    get canDash() {
+        return this.dashCooldown <= 0;
+    }
+
+    startDash(directionX, directionY) {
+        this.dashDirectionX = directionX;
+        this.dashDirectionY = directionY;
+        this.dashTimeLeft = GameConfig.DASH_DURATION;
+        this.dashCooldown = GameConfig.DASH_COOLDOWN;
+    }
+
+    updateDash(deltaTime) {
+        this.dashTimeLeft = Math.max(0, this.dashTimeLeft - deltaTime);
+        this.dashCooldown = Math.max(0, this.dashCooldown - deltaTime);
+    }
+
+    /**
+     * 0 right after dashing, 1 once the dash is ready again
+     */
+    getDashReadiness() {
+        return 1 - this.dashCooldown / GameConfig.DASH_COOLDOWN;
+    }
+
+    startSquash(normalX, normalY, amount) {
+        // A harder hit replaces a softer one still playing
+        if (amount < this.getSquash()) return;
+
+        this.squashAmount = amount;
+        this.squashNormalX = normalX;
+        this.squashNormalY = normalY;
+        this.squashElapsed = 0;
+    }
+
+    updateSquash(deltaTime) {
+        if (this.squashAmount > 0) {
+            this.squashElapsed += deltaTime;
+            if (this.squashElapsed >= this.squashDuration) {
+                this.squashAmount = 0;
+            }
+        }
+    }
+
+    getSquash() {
+        if (this.squashAmount === 0) return 0;
+        return this.squashAmount * (1 - Math.min(this.squashElapsed / this.squashDuration, 1));
     }
 
     updateWobble(deltaTime) {
@@ -175,6 +254,16 @@ export class Player {
         ctx.globalAlpha = alpha;
         ctx.translate(this.x, this.y + yOffset);
 
+        if (this.isDashing && !this.isFalling) {
+            this.renderDashTrail(ctx);
+        }
+        if (this.isAlive && !this.canDash) {
+            this.renderCooldownRing(ctx);
+        }
+        if (this.effects.has(PowerUpType.Shield)) {
+            this.renderShield(ctx);
+        }
+
         // Apply squash and stretch (if not spawning)
         const finalScaleX = this.isSpawning ? scale : this.scaleX * scale;
         const finalScaleY = this.isSpawning ? scale : this.scaleY * scale;
@@ -231,6 +320,61 @@ export class Player {
         ctx.restore();
     }
 
+    renderDashTrail(ctx) {
+        // Fading afterimages strung out behind the dash
+        const trailLength = 4;
+        const spacing = GameConfig.PLAYER_RADIUS * 0.8;
+        const alpha = ctx.globalAlpha;
+
+        for (let i = trailLength; i >= 1; i--) {
+            ctx.beginPath();
+            ctx.ellipse(
+                -this.dashDirectionX * spacing * i,
+                -this.dashDirectionY * spacing * i,
+                GameConfig.PLAYER_RADIUS * (1 - i * 0.12),
+                GameConfig.PLAYER_RADIUS * (1 - i * 0.12) * 0.7,
+                Math.atan2(this.dashDirectionY, this.dashDirectionX),
+                0, Math.PI * 2
+            );
+            ctx.fillStyle = this.color;
+            ctx.globalAlpha = alpha * 0.35 * (1 - i / (trailLength + 1));
+            ctx.fill();
+        }
+
+        ctx.globalAlpha = alpha;
+    }
+
+    renderCooldownRing(ctx) {
+        // Fills clockwise from the top as the dash recharges
+        const radius = GameConfig.PLAYER_RADIUS + 6;
+        const start = -Math.PI / 2;
+
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, start, start + this.getDashReadiness() * Math.PI * 2);
+        ctx.strokeStyle = this.color;
+        ctx.stroke();
+    }
+
+    renderShield(ctx) {
+        // Soft bubble that pulses slowly
+        const radius = GameConfig.PLAYER_RADIUS + 10 + Math.sin(this.wobblePhases[3] * 3) * 1.5;
+        const color = POWER_UP_STYLES[PowerUpType.Shield].color;
+
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(116, 185, 255, 0.12)';
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
     lightenColor(hex, percent) {
         const num = parseInt(hex.replace('#', ''), 16);
         const amt = Math.round(2.55 * percent);
@@ -0,0 +1,79 @@
+import { Actor } from './Actor.js';
+import { axialToPixel } from '../core/hexUtils.js';
+import { GameConfig } from '../core/config.js';
+
+/**
+ * Collectible power-up sitting on a tile until someone walks over it
+ */
+
+export const PowerUpType = Object.freeze({
+    Shield: 'shield',   // Survive one fall
+    Freeze: 'freeze',   // No new warnings for a while
+    Speed: 'speed',     // Higher top speed for a while
+    Curse: 'curse',     // The next warning lands under an opponent
+});
+
+// How each type looks on the board and in the HUD
+export const POWER_UP_STYLES = Object.freeze({
+    [PowerUpType.Shield]: { glyph: '🛡', color: '#74b9ff' },
+    [PowerUpType.Freeze]: { glyph: '❄', color: '#81ecec' },
+    [PowerUpType.Speed]: { glyph: '⚡', color: '#fdcb6e' },
+    [PowerUpType.Curse]: { glyph: '☠', color: '#a29bfe' },
+});
+
+export class PowerUp extends Actor {
+    constructor(position, type) {
+        super(position);
+        this.type = type;
+        this.elapsed = 0;
+        this.spawnDuration = 300; // milliseconds
+    }
+
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+    }
+
+    render(ctx, centerX, centerY) {
+        const pixel = axialToPixel(this.position, GameConfig.HEX_SIZE, centerX, centerY);
+        const style = POWER_UP_STYLES[this.type];
+
+        // Pop in, then bob gently
+        const spawnProgress = Math.min(this.elapsed / this.spawnDuration, 1);
+        const scale = spawnProgress < 1 ? spawnProgress * (1 + Math.sin(spawnProgress * Math.PI) * 0.3) : 1;
+        const bob = Math.sin(this.elapsed / 250) * 3;
+        const radius = GameConfig.HEX_SIZE * 0.35;
+
+        ctx.save();
+        ctx.translate(pixel.x, pixel.y + bob);
+        ctx.scale(scale, scale);
+
+        // Glow
+        const glow = ctx.createRadialGradient(0, 0, radius * 0.4, 0, 0, radius * 1.6);
+        glow.addColorStop(0, style.color);
+        glow.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.globalAlpha = 0.5 + Math.sin(this.elapsed / 200) * 0.15;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius * 1.6, 0, Math.PI * 2);
+        ctx.fillStyle = glow;
+        ctx.fill();
+
+        // Orb
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(13, 13, 26, 0.85)';
+        ctx.fill();
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Symbol
+        ctx.font = `${Math.round(radius * 1.1)}px Arial`;
+        ctx.fillStyle = style.color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(style.glyph, 0, 1);
+
+        ctx.restore();
+    }
+}
@@ -6,22 +6,47 @@ import { GameConfig } from '../core/config.js';
  * Hexagonal tile on the game board
  */
 
+export const TileType = Object.freeze({
+    Normal: 'normal',
+    Cracked: 'cracked',   // Takes two warnings to fall
+    Ice: 'ice',           // Little grip, cells slide
+    Sticky: 'sticky',     // Slows cells down
+    Bomb: 'bomb',         // Warns and drops its neighbours when it falls
+});
+
+export const TILE_TYPE_COLORS = Object.freeze({
+    [TileType.Normal]: { fill: GameConfig.TILE_COLOR, border: GameConfig.TILE_BORDER },
+    [TileType.Cracked]: { fill: '#3b3632', border: '#7a6e62' },
+    [TileType.Ice]: { fill: '#4b7390', border: '#b3e5fc' },
+    [TileType.Sticky]: { fill: '#3f4f22', border: '#8bc34a' },
+    [TileType.Bomb]: { fill: '#4a2326', border: '#e74c3c' },
+});
+
+// Crack lines from the center, as [angle, length] pairs; more show once cracked
+const CRACKS = [[-0.4, 0.8], [2.2, 0.7], [3.9, 0.6]];
+const EXTRA_CRACKS = [[1.1, 0.75], [5.0, 0.7], [2.9, 0.5]];
+
+const SINK_EPSILON = 0.05;  // pixels of sink too small to see, so the tile counts as still
+
 export class Tile extends Actor {
-    constructor(position) {
+    constructor(position, random, type = TileType.Normal) {
         super(position);
+        this.random = random;  // Match Random, shared with GameState
+        this.type = type;
+        this.hitsLeft = type === TileType.Cracked ? 2 : 1;  // Warnings it takes to fall
         this.isActive = true;
-        this.warningStartTime = null;
+        this.warningElapsed = null;  // ms since warning started, null when not warning
 
         // Spawn animation
         this.isSpawning = true;
-        this.spawnStartTime = 0;
+        this.spawnElapsed = 0;
         this.spawnDelay = 0;
         this.spawnDuration = 800; // milliseconds
 
         // Idle jiggle animation
-        this.jigglePhase = Math.random() * Math.PI * 2; // Random start phase
-        this.jiggleSpeed = 1.5 + Math.random() * 1.0; // Random speed (1.5-2.5, increased from 0.8-1.2)
-        this.shouldJiggle = Math.random() < 0.25; // 25% of tiles jiggle (increased from 15%)
+        this.jigglePhase = random.next() * Math.PI * 2; // Random start phase
+        this.jiggleSpeed = 1.5 + random.next() * 1.0; // Random speed (1.5-2.5, increased from 0.8-1.2)
+        this.shouldJiggle = random.chance(0.25); // 25% of tiles jiggle (increased from 15%)
 
         // Weight/sink animation
         this.sinkAmount = 0;
@@ -29,51 +54,87 @@ export class Tile extends Actor {
 
         // Shattering animation
         this.isShattering = false;
-        this.shatterStartTime = 0;
+        this.shatterElapsed = 0;
         this.shatterDuration = 400; // milliseconds
         this.shatterPieces = [];
     }
 
     get isWarning() {
-        return this.warningStartTime !== null;
+        return this.warningElapsed !== null;
+    }
+
+    /**
+     * Whether the tile looks different from one frame to the next
+     */
+    get isAnimating() {
+        return this.isSpawning || this.isShattering || this.isWarning || this.shouldJiggle ||
+            Math.abs(this.sinkAmount) >= SINK_EPSILON;
+    }
+
+    /**
+     * What the tile looks like while it sits still, or null while it's
+     * animating or gone. Two frames with the same key draw the same pixels,
+     * so the Renderer can cache it (see TileLayer).
+     */
+    getStaticKey() {
+        if (!this.isActive || this.isAnimating) return null;
+        return `${this.type}:${this.hitsLeft}`;
     }
 
     startSpawnAnimation(delay) {
+        this.isSpawning = true;
         this.spawnDelay = delay;
-        this.spawnStartTime = performance.now();
+        this.spawnElapsed = 0;
+    }
+
+    updateSpawn(deltaTime) {
+        if (!this.isSpawning) return;
+
+        this.spawnElapsed += deltaTime;
+        if (this.spawnElapsed - this.spawnDelay >= this.spawnDuration) {
+            this.isSpawning = false;
+        }
     }
 
     getSpawnProgress() {
         if (!this.isSpawning) return 1;
 
-        const elapsed = performance.now() - this.spawnStartTime - this.spawnDelay;
+        const elapsed = this.spawnElapsed - this.spawnDelay;
         if (elapsed < 0) return 0; // Still waiting for delay
 
-        const progress = Math.min(elapsed / this.spawnDuration, 1);
+        return Math.min(elapsed / this.spawnDuration, 1);
+    }
 
-        if (progress >= 1) {
-            this.isSpawning = false;
-        }
+    startWarning() {
+        this.warningElapsed = 0;
+    }
 
-        return progress;
+    updateWarning(deltaTime) {
+        if (this.isWarning) {
+            this.warningElapsed += deltaTime;
+        }
     }
 
-    startWarning() {
-        this.warningStartTime = performance.now();
+    /**
+     * A warning ran out but the tile holds, this time
+     */
+    crack() {
+        this.hitsLeft--;
+        this.warningElapsed = null;
     }
 
     startShatter() {
         this.isShattering = true;
-        this.shatterStartTime = performance.now();
-        this.warningStartTime = null;
+        this.shatterElapsed = 0;
+        this.warningElapsed = null;
 
         // Create shatter pieces (6 triangular pieces radiating from center)
         this.shatterPieces = [];
         for (let i = 0; i < 6; i++) {
             const angle = (Math.PI / 3) * i - Math.PI / 2;
             // Each piece gets a random velocity
-            const speed = 50 + Math.random() * 50; // pixels per second
-            const angleVariation = (Math.random() - 0.5) * 0.5; // Add some randomness to angle
+            const speed = 50 + this.random.next() * 50; // pixels per second
+            const angleVariation = (this.random.next() - 0.5) * 0.5; // Add some randomness to angle
             const finalAngle = angle + angleVariation;
 
             this.shatterPieces.push({
@@ -81,7 +142,7 @@ export class Tile extends Actor {
                 vx: Math.cos(finalAngle) * speed,
                 vy: Math.sin(finalAngle) * speed,
                 rotation: 0,
-                rotationSpeed: (Math.random() - 0.5) * 8 // radians per second
+                rotationSpeed: (this.random.next() - 0.5) * 8 // radians per second
             });
         }
     }
@@ -89,19 +150,12 @@ export class Tile extends Actor {
     fall() {
         this.isActive = false;
         this.isShattering = false;
-        this.warningStartTime = null;
+        this.warningElapsed = null;
     }
 
     getShatterProgress() {
         if (!this.isShattering) return 0;
-        const elapsed = performance.now() - this.shatterStartTime;
-        const progress = Math.min(elapsed / this.shatterDuration, 1);
-
-        if (progress >= 1) {
-            this.fall();
-        }
-
-        return progress;
+        return Math.min(this.shatterElapsed / this.shatterDuration, 1);
     }
 
     updateShatter(deltaTime) {
@@ -113,6 +167,11 @@ export class Tile extends Actor {
             piece.vy += 200 * dt; // gravity acceleration
             piece.rotation += piece.rotationSpeed * dt;
         }
+
+        this.shatterElapsed += deltaTime;
+        if (this.shatterElapsed >= this.shatterDuration) {
+            this.fall();
+        }
     }
 
     updateJiggle(deltaTime) {
@@ -188,9 +247,9 @@ export class Tile extends Actor {
                 );
                 ctx.closePath();
 
-                ctx.fillStyle = GameConfig.TILE_COLOR;
+                ctx.fillStyle = TILE_TYPE_COLORS[this.type].fill;
                 ctx.fill();
-                ctx.strokeStyle = GameConfig.TILE_BORDER;
+                ctx.strokeStyle = TILE_TYPE_COLORS[this.type].border;
                 ctx.lineWidth = 2;
                 ctx.stroke();
 
@@ -203,12 +262,11 @@ export class Tile extends Actor {
 
         if (!this.isActive) return;
 
-        let fillColor = GameConfig.TILE_COLOR;
+        let fillColor = TILE_TYPE_COLORS[this.type].fill;
 
         if (this.isWarning) {
             // Pulsing yellow warning
-            const elapsed = performance.now() - this.warningStartTime;
-            const pulse = Math.sin(elapsed / 100) * 0.3 + 0.7;
+            const pulse = Math.sin(this.warningElapsed / 100) * 0.3 + 0.7;
             fillColor = `rgba(241, 196, 15, ${pulse})`;
         }
 
@@ -233,6 +291,7 @@ export class Tile extends Actor {
             ctx.scale(scale, scale);
 
             this.drawHexagon(ctx, 0, 0, GameConfig.HEX_SIZE - 2, fillColor);
+            this.drawTypeMarkings(ctx, GameConfig.HEX_SIZE - 2);
 
             ctx.restore();
         } else {
@@ -245,6 +304,7 @@ export class Tile extends Actor {
             ctx.rotate(jiggle.rotation);
 
             this.drawHexagon(ctx, 0, 0, GameConfig.HEX_SIZE - 2, fillColor);
+            this.drawTypeMarkings(ctx, GameConfig.HEX_SIZE - 2);
 
             ctx.restore();
         }
@@ -271,8 +331,71 @@ export class Tile extends Actor {
         ctx.fillStyle = fillColor;
         ctx.fill();
 
-        ctx.strokeStyle = GameConfig.TILE_BORDER;
+        ctx.strokeStyle = TILE_TYPE_COLORS[this.type].border;
         ctx.lineWidth = 2;
         ctx.stroke();
     }
+
+    /**
+     * Per-type details on top of the hexagon, centered on (0, 0)
+     */
+    drawTypeMarkings(ctx, radius) {
+        const border = TILE_TYPE_COLORS[this.type].border;
+
+        switch (this.type) {
+            case TileType.Cracked: {
+                const cracks = this.hitsLeft > 1 ? CRACKS : [...CRACKS, ...EXTRA_CRACKS];
+                ctx.strokeStyle = border;
+                ctx.lineWidth = this.hitsLeft > 1 ? 1.5 : 2.5;
+                ctx.beginPath();
+                for (const [angle, length] of cracks) {
+                    // Kinked halfway so the cracks don't look ruled
+                    const midX = Math.cos(angle + 0.25) * radius * length * 0.5;
+                    const midY = Math.sin(angle + 0.25) * radius * length * 0.5;
+                    ctx.moveTo(0, 0);
+                    ctx.lineTo(midX, midY);
+                    ctx.lineTo(Math.cos(angle) * radius * length, Math.sin(angle) * radius * length);
+                }
+                ctx.stroke();
+                break;
+            }
+            case TileType.Ice:
+                // Two glints across the surface
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.55)';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(-radius * 0.45, radius * 0.1);
+                ctx.lineTo(-radius * 0.05, -radius * 0.35);
+                ctx.moveTo(-radius * 0.15, radius * 0.35);
+                ctx.lineTo(radius * 0.35, -radius * 0.2);
+                ctx.stroke();
+                break;
+            case TileType.Sticky:
+                // Blobs of goo
+                ctx.save();
+                ctx.fillStyle = border;
+                ctx.globalAlpha *= 0.5;
+                for (const [x, y, size] of [[-0.35, -0.2, 0.14], [0.3, 0.1, 0.18], [-0.05, 0.4, 0.1], [0.1, -0.4, 0.08]]) {
+                    ctx.beginPath();
+                    ctx.arc(x * radius, y * radius, size * radius, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+                ctx.restore();
+                break;
+            case TileType.Bomb:
+                // Bomb body with a fuse
+                ctx.fillStyle = '#111';
+                ctx.beginPath();
+                ctx.arc(0, radius * 0.08, radius * 0.3, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.strokeStyle = border;
+                ctx.lineWidth = 2;
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(radius * 0.18, -radius * 0.18);
+                ctx.quadraticCurveTo(radius * 0.3, -radius * 0.45, radius * 0.45, -radius * 0.4);
+                ctx.stroke();
+                break;
+        }
+    }
 }
@@ -2,6 +2,35 @@
  * Manages game sound effects using Web Audio API
  */
 
+export const MusicTheme = Object.freeze({
+    Calm: 'calm',
+    SuddenDeath: 'suddenDeath',
+});
+
+const MUSIC_THEMES = {
+    // Simple ambient chord progression: Am - F - C - G (looping)
+    // Using frequencies for a calm, ambient feel
+    [MusicTheme.Calm]: {
+        progression: [
+            [220.00, 261.63, 329.63],  // Am (A, C, E)
+            [174.61, 220.00, 261.63],  // F (F, A, C)
+            [130.81, 164.81, 196.00],  // C (C, E, G)
+            [196.00, 246.94, 293.66]   // G (G, B, D)
+        ],
+        chordDuration: 4,  // seconds per chord
+        waveform: 'sine',
+    },
+    // Low, quick and uneasy: Am and B♭ a half step apart, back and forth
+    [MusicTheme.SuddenDeath]: {
+        progression: [
+            [110.00, 130.81, 164.81],  // Am (A, C, E)
+            [116.54, 146.83, 174.61],  // B♭ (B♭, D, F)
+        ],
+        chordDuration: 1,
+        waveform: 'triangle',
+    },
+};
+
 export class SoundManager {
     constructor() {
         this.audioContext = null;
@@ -14,6 +43,8 @@ export class SoundManager {
         this.backgroundMusicOscillators = [];
         this.backgroundMusicGain = null;
         this.isMusicPlaying = false;
+        this.musicTheme = null;
+        this.nextChordTimeout = null;
     }
 
     initialize() {
@@ -33,6 +64,12 @@ export class SoundManager {
         // Tile shatter - crash/break sound
         this.sounds.set('tileShatter', () => this.createShatter());
 
+        // Cracked tile takes its first hit - dull click
+        this.sounds.set('tileCrack', () => this.createPop(180, 0.08));
+
+        // Bomb tile goes off - deep boom
+        this.sounds.set('bomb', () => this.createThud(0.5));
+
         // Player eliminated - descending tone
         this.sounds.set('playerEliminated', () => this.createDescendingTone());
 
@@ -44,6 +81,27 @@ export class SoundManager {
 
         // Player spawn - rising whoosh
         this.sounds.set('playerSpawn', () => this.createWhoosh());
+
+        // Dash - quick rising swish
+        this.sounds.set('dash', () => this.createSwish());
+
+        // Power-up appears - bright pop
+        this.sounds.set('powerUpSpawn', () => this.createPop(900, 0.08));
+
+        // Power-up collected - quick rising arpeggio
+        this.sounds.set('powerUpCollected', () => this.createArpeggio([660, 880, 1320]));
+
+        // Shield saves a cell - deep beep
+        this.sounds.set('shieldBroken', () => this.createBeep(260, 0.25, 0.12));
+
+        // Cells bumping - low thud
+        this.sounds.set('bump', () => this.createThud());
+
+        // Sudden death starts - two-tone siren
+        this.sounds.set('suddenDeath', () => this.createSiren());
+
+        // A ring of the board gives way - long falling rumble
+        this.sounds.set('ringCollapse', () => this.createRumble());
     }
 
     createBeep(frequency, duration, volume = 0.1) {
@@ -218,6 +276,69 @@ export class SoundManager {
         oscillator.stop(this.audioContext.currentTime + duration);
     }
 
+    createArpeggio(frequencies) {
+        if (!this.audioContext || !this.enabled) return;
+
+        const noteLength = 0.06;
+        frequencies.forEach((frequency, i) => {
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            const startTime = this.audioContext.currentTime + i * noteLength;
+
+            oscillator.connect(gainNode);
+            gainNode.connect(this.audioContext.destination);
+
+            oscillator.type = 'square';
+            oscillator.frequency.value = frequency;
+
+            gainNode.gain.setValueAtTime(0.05 * this.masterVolume, startTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + noteLength * 1.5);
+
+            oscillator.start(startTime);
+            oscillator.stop(startTime + noteLength * 1.5);
+        });
+    }
+
+    createSwish() {
+        if (!this.audioContext || !this.enabled) return;
+
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+
+        oscillator.type = 'triangle';
+        oscillator.frequency.setValueAtTime(300, this.audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(1200, this.audioContext.currentTime + 0.12);
+
+        gainNode.gain.setValueAtTime(0.07 * this.masterVolume, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.12);
+
+        oscillator.start(this.audioContext.currentTime);
+        oscillator.stop(this.audioContext.currentTime + 0.12);
+    }
+
+    createThud(duration = 0.12) {
+        if (!this.audioContext || !this.enabled) return;
+
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(180, this.audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(60, this.audioContext.currentTime + duration);
+
+        gainNode.gain.setValueAtTime(0.2 * this.masterVolume, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + duration);
+
+        oscillator.start(this.audioContext.currentTime);
+        oscillator.stop(this.audioContext.currentTime + duration);
+    }
+
     createWhoosh() {
         if (!this.audioContext || !this.enabled) return;
 
@@ -238,6 +359,50 @@ export class SoundManager {
         oscillator.stop(this.audioContext.currentTime + 0.3);
     }
 
+    createSiren() {
+        if (!this.audioContext || !this.enabled) return;
+
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        const startTime = this.audioContext.currentTime;
+        const noteLength = 0.25;
+
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+
+        oscillator.type = 'square';
+        for (let i = 0; i < 6; i++) {
+            oscillator.frequency.setValueAtTime(i % 2 === 0 ? 880 : 660, startTime + i * noteLength);
+        }
+
+        gainNode.gain.setValueAtTime(0.06 * this.masterVolume, startTime);
+        gainNode.gain.setValueAtTime(0.06 * this.masterVolume, startTime + 5.5 * noteLength);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + 6 * noteLength);
+
+        oscillator.start(startTime);
+        oscillator.stop(startTime + 6 * noteLength);
+    }
+
+    createRumble() {
+        if (!this.audioContext || !this.enabled) return;
+
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(120, this.audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(35, this.audioContext.currentTime + 0.8);
+
+        gainNode.gain.setValueAtTime(0.12 * this.masterVolume, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.8);
+
+        oscillator.start(this.audioContext.currentTime);
+        oscillator.stop(this.audioContext.currentTime + 0.8);
+    }
+
     play(soundName) {
         if (!this.enabled || !this.sounds.has(soundName)) return;
 
@@ -257,26 +422,26 @@ export class SoundManager {
         return this.enabled;
     }
 
-    startBackgroundMusic() {
-        if (!this.audioContext || !this.enabled || this.isMusicPlaying) return;
+    /**
+     * Loop a theme's chords; asking for another theme while one is playing
+     * switches over to it
+     */
+    startBackgroundMusic(theme = MusicTheme.Calm) {
+        if (!this.audioContext || !this.enabled) return;
+        if (this.isMusicPlaying) {
+            if (theme === this.musicTheme) return;
+            this.stopBackgroundMusic();
+        }
 
         this.isMusicPlaying = true;
+        this.musicTheme = theme;
 
         // Create gain node for background music
         this.backgroundMusicGain = this.audioContext.createGain();
         this.backgroundMusicGain.gain.setValueAtTime(this.musicVolume * this.masterVolume, this.audioContext.currentTime);
         this.backgroundMusicGain.connect(this.audioContext.destination);
 
-        // Simple ambient chord progression: Am - F - C - G (looping)
-        // Using frequencies for a calm, ambient feel
-        const progression = [
-            [220.00, 261.63, 329.63],  // Am (A, C, E)
-            [174.61, 220.00, 261.63],  // F (F, A, C)
-            [130.81, 164.81, 196.00],  // C (C, E, G)
-            [196.00, 246.94, 293.66]   // G (G, B, D)
-        ];
-
-        const chordDuration = 4; // seconds per chord
+        const { progression, chordDuration, waveform } = MUSIC_THEMES[theme];
         let chordIndex = 0;
 
         const playChord = () => {
@@ -294,12 +459,13 @@ export class SoundManager {
                 oscillatorGain.connect(this.backgroundMusicGain);
 
                 oscillator.frequency.value = freq;
-                oscillator.type = 'sine';
+                oscillator.type = waveform;
 
-                // Soft attack and release
+                // Soft attack and release (quicker for short chords)
+                const fade = Math.min(0.5, chordDuration / 4);
                 oscillatorGain.gain.setValueAtTime(0, startTime);
-                oscillatorGain.gain.linearRampToValueAtTime(0.15, startTime + 0.5);
-                oscillatorGain.gain.setValueAtTime(0.15, startTime + chordDuration - 0.5);
+                oscillatorGain.gain.linearRampToValueAtTime(0.15, startTime + fade);
+                oscillatorGain.gain.setValueAtTime(0.15, startTime + chordDuration - fade);
                 oscillatorGain.gain.linearRampToValueAtTime(0, startTime + chordDuration);
 
                 oscillator.start(startTime);
@@ -312,7 +478,7 @@ export class SoundManager {
 
             // Schedule next chord
             if (this.isMusicPlaying) {
-                setTimeout(() => playChord(), chordDuration * 1000);
+                this.nextChordTimeout = setTimeout(() => playChord(), chordDuration * 1000);
             }
         };
 
@@ -324,6 +490,9 @@ export class SoundManager {
 
         this.isMusicPlaying = false;
 
+        // Don't let a stopped loop's next chord play into a restarted one
+        clearTimeout(this.nextChordTimeout);
+
         // Fade out
         if (this.backgroundMusicGain && this.audioContext) {
             this.backgroundMusicGain.gain.exponentialRampToValueAtTime(
@@ -0,0 +1,55 @@
+/**
+ * Simulation clock with tick-driven timers
+ *
+ * Stands in for performance.now() and setTimeout inside the simulation.
+ * Time only moves when advance() is called, so a match can be stepped
+ * headlessly (e.g. from Node) and replays exactly.
+ */
+
+export class GameClock {
+    #timers = [];
+    #nextTimerId = 1;
+
+    constructor() {
+        this.now = 0;  // milliseconds of simulated time
+    }
+
+    schedule(delay, callback) {
+        const id = this.#nextTimerId++;
+        this.#timers.push({ id, dueTime: this.now + delay, callback });
+        return id;
+    }
+
+    cancel(id) {
+        this.#timers = this.#timers.filter(timer => timer.id !== id);
+    }
+
+    advance(deltaTime) {
+        this.now += deltaTime;
+
+        // Fire due timers in due-time order (ties in scheduling order).
+        // Callbacks may schedule or cancel other timers.
+        let timer = this.#nextDueTimer();
+        while (timer) {
+            this.#timers = this.#timers.filter(t => t !== timer);
+            timer.callback();
+            timer = this.#nextDueTimer();
+        }
+    }
+
+    clear() {
+        this.#timers = [];
+    }
+
+    #nextDueTimer() {
+        let next = null;
+        for (const timer of this.#timers) {
+            if (timer.dueTime > this.now) continue;
+            if (!next || timer.dueTime < next.dueTime ||
+                (timer.dueTime === next.dueTime && timer.id < next.id)) {
+                next = timer;
+            }
+        }
+        return next;
+    }
+}
@@ -11,15 +11,47 @@ export const GameConfig = Object.freeze({
     CANVAS_SIZE: 700,
 
     // Timing (milliseconds)
+    TICK_DURATION: 1000 / 60,       // Fixed simulation step
+    MAX_FRAME_TIME: 250,            // Longest frame the loop will catch up on
     TILE_FALL_INTERVAL: 800,        // Time between selecting new tiles
     TILE_WARNING_DURATION: 600,     // Flash duration before fall
     MIN_FALL_INTERVAL: 300,         // Fastest rate
     FALL_ACCELERATION: 20,           // Reduce interval by this amount
 
+    // Endless (solo) mode
+    ENDLESS_POINTS_PER_SECOND: 10,        // For staying alive
+    ENDLESS_WARNING_BONUS_PER_SECOND: 15, // Per warning tile under or next to you
+    ENDLESS_FALLS_PER_EXTRA_TILE: 15,     // Falls at top speed before each fall takes one more tile
+    ENDLESS_MAX_TILES_PER_FALL: 4,
+
+    // Sudden death: the board collapses a ring at a time, outside in
+    SUDDEN_DEATH_TIME: 60000,             // Into the match, unless the match sets its own
+    SUDDEN_DEATH_RING_INTERVAL: 3000,     // From one ring warning to the next
+    SUDDEN_DEATH_COUNTDOWN: 10000,        // Warn this long before sudden death starts
+
     // Player settings
+    MIN_PLAYERS: 1,
+    MAX_PLAYERS: 8,        // One per PlayerConfig entry
+    SPAWN_RING_INSET: 1,   // Players spawn this many rings in from the edge
     PLAYER_RADIUS: 15,
     PLAYER_SPEED: 200,  // pixels per second
 
+    // Dash
+    DASH_SPEED: 560,        // pixels per second while dashing
+    DASH_DURATION: 140,     // milliseconds
+    DASH_COOLDOWN: 1500,    // milliseconds from the start of one dash to the next
+
+    // Power-ups
+    POWER_UP_INTERVAL: 5000,        // Time between power-up spawns
+    MAX_POWER_UPS: 3,               // On the board at once
+    FREEZE_DURATION: 4000,          // No new warnings for this long
+    SPEED_BOOST_DURATION: 5000,
+    SPEED_BOOST_MULTIPLIER: 1.5,
+
+    // Special tiles
+    ICE_GRIP: 0.2,                  // Share of normal acceleration/deceleration on ice
+    STICKY_SPEED_MULTIPLIER: 0.5,   // Top speed on sticky tiles
+
     // Colors
     TILE_COLOR: '#2d3436',
     TILE_BORDER: '#555555',
@@ -27,6 +59,8 @@ export const GameConfig = Object.freeze({
     BACKGROUND_COLOR: '#0d0d1a',
 });
 
+// Spawn points are computed around the board ring (see getRingSpawnPositions).
+// Players 5-8 have no keys: a controller or a bot plays them
 export const PlayerConfig = [
     {
         name: 'Player 1',
@@ -36,9 +70,8 @@ export const PlayerConfig = [
             down: 'KeyS',
             left: 'KeyA',
             right: 'KeyD',
+            dash: 'ShiftLeft',
         },
-        startQ: 0,
-        startR: -5,
     },
     {
         name: 'Player 2',
@@ -48,12 +81,70 @@ export const PlayerConfig = [
             down: 'ArrowDown',
             left: 'ArrowLeft',
             right: 'ArrowRight',
+            dash: 'ShiftRight',
+        },
+    },
+    {
+        name: 'Player 3',
+        color: '#2ecc71',
+        keys: {
+            up: 'KeyI',
+            down: 'KeyK',
+            left: 'KeyJ',
+            right: 'KeyL',
+            dash: 'KeyU',
         },
-        startQ: 0,
-        startR: 5,
     },
+    {
+        name: 'Player 4',
+        color: '#9b59b6',
+        keys: {
+            up: 'Numpad8',
+            down: 'Numpad5',
+            left: 'Numpad4',
+            right: 'Numpad6',
+            dash: 'Numpad0',
+        },
+    },
+    { name: 'Player 5', color: '#e67e22', keys: null },
+    { name: 'Player 6', color: '#1abc9c', keys: null },
+    { name: 'Player 7', color: '#fd79a8', keys: null },
+    { name: 'Player 8', color: '#a3cb38', keys: null },
 ];
 
+// Special tile mixes to pick from per match: the chance of any one tile
+// being each type (keys are TileType values), the rest are normal
+export const TILE_MIXES = Object.freeze({
+    classic: Object.freeze({}),
+    mixed: Object.freeze({ cracked: 0.1, ice: 0.08, sticky: 0.08, bomb: 0.04 }),
+    chaos: Object.freeze({ cracked: 0.2, ice: 0.15, sticky: 0.15, bomb: 0.08 }),
+});
+
+// Fall strategy schedules to pick from per match: each stage's strategy
+// (a FALL_STRATEGIES name) picks the tiles for its duration in ms, the
+// last stage runs until the match ends
+export const FALL_SCHEDULES = Object.freeze({
+    classic: Object.freeze([
+        { strategy: 'classic' },
+    ]),
+    collapse: Object.freeze([
+        { strategy: 'classic', duration: 15000 },
+        { strategy: 'ring', duration: 20000 },
+        { strategy: 'spiral', duration: 20000 },
+        { strategy: 'chase' },
+    ]),
+    waves: Object.freeze([
+        { strategy: 'lines', duration: 20000 },
+        { strategy: 'checkerboard', duration: 20000 },
+        { strategy: 'lines', duration: 20000 },
+        { strategy: 'chase' },
+    ]),
+});
+
+// When sudden death starts to pick from per match (ms into the match),
+// null for never
+export const SUDDEN_DEATH_TIMES = Object.freeze([60000, 90000, 120000, null]);
+
 export const MatchPhase = Object.freeze({
     WaitingToStart: 'WaitingToStart',
     Spawning: 'Spawning',
@@ -103,6 +103,55 @@ export function generateHexGrid(radius) {
     return tiles;
 }
 
+// Axial neighbor offsets, counter-clockwise starting east
+export const HEX_DIRECTIONS = Object.freeze([
+    new HexPosition(1, 0),
+    new HexPosition(1, -1),
+    new HexPosition(0, -1),
+    new HexPosition(-1, 0),
+    new HexPosition(-1, 1),
+    new HexPosition(0, 1),
+]);
+
+/**
+ * Generate the hex positions of a single ring around the center,
+ * in order, starting at the top (0, -radius)
+ */
+export function generateHexRing(radius) {
+    if (radius === 0) return [new HexPosition(0, 0)];
+
+    const ring = [];
+
+    for (let side = 0; side < 6; side++) {
+        // Walk from each corner towards the next one
+        const corner = (2 + side) % 6;
+        const step = HEX_DIRECTIONS[(corner + 2) % 6];
+        let pos = new HexPosition(HEX_DIRECTIONS[corner].q * radius, HEX_DIRECTIONS[corner].r * radius);
+
+        for (let i = 0; i < radius; i++) {
+            ring.push(pos);
+            pos = pos.add(step);
+        }
+    }
+
+    return ring;
+}
+
+/**
+ * Spread count positions evenly around a ring
+ * (2 players face each other top and bottom)
+ */
+export function getRingSpawnPositions(count, radius) {
+    const ring = generateHexRing(radius);
+    const spacing = ring.length / count;
+
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+        positions.push(ring[Math.round(i * spacing) % ring.length]);
+    }
+    return positions;
+}
+
 /**
  * Check if a hex position is within the grid bounds
  */
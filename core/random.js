@@ -0,0 +1,62 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ *
+ * Every gameplay and animation roll in a match draws from one of these,
+ * so the same seed and the same inputs always produce the same match.
+ */
+
+export class Random {
+    constructor(seed = Random.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    static generateSeed() {
+        // Picking a fresh seed is the one roll that must not be reproducible
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Parse a user-supplied seed (e.g. from the URL), returns null if invalid
+     */
+    static parseSeed(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const seed = Number(value);
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) return null;
+
+        return seed;
+    }
+}
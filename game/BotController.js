@@ -0,0 +1,300 @@
+import { GameConfig, MatchPhase } from '../core/config.js';
+import { Random } from '../core/random.js';
+import { HEX_DIRECTIONS, HexPosition, axialToPixel, pixelToAxial } from '../core/hexUtils.js';
+import { NO_INPUT } from './Simulation.js';
+import { TileType } from '../actors/Tile.js';
+
+/**
+ * Computer-controlled player that fills a slot like a human would
+ *
+ * Reads the board each tick and returns the same { x, y, dash } input a
+ * keyboard or stick would, so bots go through InputHandler and get recorded
+ * in replays like everyone else. Bots roll their own Random so they never
+ * disturb the match's roll sequence.
+ */
+
+export const BotDifficulty = Object.freeze({
+    Easy: 'easy',
+    Normal: 'normal',
+    Hard: 'hard',
+});
+
+// Slot cycle on the title screen: human (null) → easy → normal → hard → human
+export const BOT_DIFFICULTY_CYCLE = Object.freeze([
+    null,
+    BotDifficulty.Easy,
+    BotDifficulty.Normal,
+    BotDifficulty.Hard,
+]);
+
+const BOT_SETTINGS = Object.freeze({
+    [BotDifficulty.Easy]: {
+        reactionDelay: 300,   // ms a tile has to be warning before the bot notices
+        lookahead: 1,         // Tiles searched ahead when picking somewhere to stand
+        aimNoise: 0.45,       // Aim error, as a fraction of HEX_SIZE
+        usesDash: false,      // Dash off tiles that are about to fall
+    },
+    [BotDifficulty.Normal]: {
+        reactionDelay: 200,
+        lookahead: 2,
+        aimNoise: 0.3,
+        usesDash: true,
+    },
+    [BotDifficulty.Hard]: {
+        reactionDelay: 30,
+        lookahead: 3,
+        aimNoise: 0.08,
+        usesDash: true,
+    },
+});
+
+const REPLAN_INTERVAL = 150;                      // ms between fresh looks at the board
+const ARRIVE_RADIUS = 4;                          // px from the aim point that counts as there
+const SLOW_RADIUS = GameConfig.HEX_SIZE * 0.75;   // Ease off the stick inside this distance
+const STAY_BONUS = 0.5;                           // Prefer the current tile when scores are close
+const CROSSING_TIME = 300;                        // ms a warning tile must have left to be run across
+const POWER_UP_BONUS = 3;                         // Worth a small detour to grab a power-up
+const SLOW_TILE_PENALTY = 1.5;                    // Ice and sticky tiles are poor places to wait
+
+export class BotController {
+    constructor(playerIndex, difficulty, seed) {
+        this.playerIndex = playerIndex;
+        this.difficulty = difficulty;
+        this.settings = BOT_SETTINGS[difficulty];
+        this.random = new Random(seed);
+
+        this.path = [];            // Tile positions still to walk, the last one is the goal
+        this.aimOffset = { x: 0, y: 0 };
+        this.nextPlanTime = 0;
+    }
+
+    /**
+     * Input vector for this tick, in the same shape InputHandler gives humans
+     */
+    getInput(player, gameState) {
+        if (gameState.matchPhase !== MatchPhase.InProgress || !player.isAlive || player.isFalling) {
+            return NO_INPUT;
+        }
+
+        const now = gameState.clock.now;
+        const current = this.getHexAt(player.x, player.y, gameState);
+
+        // Drop waypoints we've already reached
+        while (this.path.length > 1 && this.path[0].equals(current)) {
+            this.path.shift();
+        }
+
+        // Replan early if the way has fallen away or the goal itself is now unsafe
+        const isBlocked = this.path.length === 0 ||
+            this.path.some(pos => !this.isWalkable(gameState.board.get(pos.toKey()))) ||
+            this.isDangerous(gameState.board.get(this.path.at(-1).toKey()));
+
+        if (now >= this.nextPlanTime || isBlocked) {
+            this.plan(current, gameState);
+            this.nextPlanTime = now + REPLAN_INTERVAL;
+        }
+
+        const input = this.steer(player, gameState);
+        if (this.shouldDash(player, input, current, gameState)) {
+            return { ...input, dash: true };
+        }
+        return input;
+    }
+
+    /**
+     * Dash when the tile underfoot is going and the dash would cross no
+     * gaps and land somewhere safe
+     */
+    shouldDash(player, input, current, gameState) {
+        if (!this.settings.usesDash || !player.canDash || input === NO_INPUT) return false;
+        if (!this.isDangerous(gameState.board.get(current.toKey()))) return false;
+
+        const reach = GameConfig.DASH_SPEED * GameConfig.DASH_DURATION / 1000;
+        const magnitude = Math.sqrt(input.x * input.x + input.y * input.y);
+        const directionX = input.x / magnitude;
+        const directionY = input.y / magnitude;
+
+        const midway = this.getHexAt(player.x + directionX * reach / 2, player.y + directionY * reach / 2, gameState);
+        const landing = this.getHexAt(player.x + directionX * reach, player.y + directionY * reach, gameState);
+
+        return this.isWalkable(gameState.board.get(midway.toKey())) &&
+            !this.isDangerous(gameState.board.get(landing.toKey()));
+    }
+
+    /**
+     * Can the tile still be stood on at all (warning tiles can, for now)?
+     */
+    isWalkable(tile) {
+        return Boolean(tile) && tile.isActive && !tile.isShattering;
+    }
+
+    /**
+     * Would this bot treat the tile as unsafe? Warnings only register once
+     * they've been showing for the bot's reaction delay.
+     */
+    isDangerous(tile) {
+        if (!this.isWalkable(tile)) return true;
+        return tile.isWarning && tile.warningElapsed >= this.settings.reactionDelay;
+    }
+
+    /**
+     * Safe, or warning but with enough time left to run across
+     */
+    canCross(tile) {
+        if (!this.isDangerous(tile)) return true;
+        return this.isWalkable(tile) && tile.warningElapsed < GameConfig.TILE_WARNING_DURATION - CROSSING_TIME;
+    }
+
+    getHexAt(x, y, gameState) {
+        return pixelToAxial(x, y, GameConfig.HEX_SIZE, gameState.centerX, gameState.centerY);
+    }
+
+    /**
+     * Breadth-first walk over tiles that pass canEnter, up to maxDepth steps
+     * from start (safe tiles by default). risk counts the unsafe tiles
+     * crossed on the way.
+     * Returns Map of posKey → { pos, depth, risk, parent }, nearest first
+     */
+    explore(start, maxDepth, gameState, canEnter = (tile) => !this.isDangerous(tile)) {
+        const visited = new Map([[start.toKey(), { pos: start, depth: 0, risk: 0, parent: null }]]);
+        const queue = [start];
+
+        while (queue.length > 0) {
+            const pos = queue.shift();
+            const { depth, risk } = visited.get(pos.toKey());
+            if (depth >= maxDepth) continue;
+
+            for (const direction of HEX_DIRECTIONS) {
+                const neighbor = pos.add(direction);
+                const key = neighbor.toKey();
+                const tile = gameState.board.get(key);
+                if (visited.has(key) || !canEnter(tile)) continue;
+
+                const stepRisk = this.isDangerous(tile) ? 1 : 0;
+                visited.set(key, { pos: neighbor, depth: depth + 1, risk: risk + stepRisk, parent: pos });
+                queue.push(neighbor);
+            }
+        }
+
+        return visited;
+    }
+
+    /**
+     * Pick the best reachable tile and the path to it
+     */
+    plan(current, gameState) {
+        const { lookahead, aimNoise } = this.settings;
+
+        // Look for somewhere safe, cutting across fresh warnings if it's worth it
+        let reachable = this.explore(current, lookahead, gameState, (tile) => this.canCross(tile));
+        let goal = this.pickGoal(reachable, current, gameState);
+
+        // Cut off by warnings: run across them to the nearest safe ground
+        if (goal === null) {
+            reachable = this.explore(current, gameState.mapRadius * 2, gameState, (tile) => this.isWalkable(tile));
+            goal = [...reachable.keys()].find(key =>
+                reachable.get(key).depth > 0 && !this.isDangerous(gameState.board.get(key))) ?? null;
+        }
+
+        // Nowhere left to go, stay put and hope
+        this.path = [current];
+        if (goal !== null) {
+            this.path = [];
+            for (let pos = reachable.get(goal).pos; pos; pos = reachable.get(pos.toKey()).parent) {
+                this.path.unshift(pos);
+            }
+            if (this.path.length > 1) {
+                this.path.shift();  // Drop the tile we're standing on
+            }
+        }
+
+        // Aim somewhere near the goal's center, not exactly on it
+        const angle = this.random.range(0, Math.PI * 2);
+        const distance = this.random.range(0, aimNoise * GameConfig.HEX_SIZE);
+        this.aimOffset = { x: Math.cos(angle) * distance, y: Math.sin(angle) * distance };
+    }
+
+    /**
+     * Best scoring safe tile among those reached, or null if there are none
+     */
+    pickGoal(reachable, current, gameState) {
+        const currentIsSafe = !this.isDangerous(gameState.board.get(current.toKey()));
+
+        let best = null;
+        let bestScore = -Infinity;
+
+        for (const [key, node] of reachable) {
+            const isCurrent = node.depth === 0;
+            if (isCurrent ? !currentIsSafe : this.isDangerous(gameState.board.get(key))) continue;
+
+            const score = this.scoreTile(node, gameState) + (isCurrent ? STAY_BONUS : 0);
+            if (score > bestScore) {
+                best = key;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Higher is better: lots of safe ground around, in a big region that
+     * won't become an island, close by without crossing warnings, away
+     * from the edge and from other players, with a power-up on it
+     */
+    scoreTile(node, gameState) {
+        const { lookahead } = this.settings;
+        const openArea = this.explore(node.pos, lookahead, gameState).size;
+        const region = this.explore(node.pos, lookahead * 3, gameState, (tile) => this.isWalkable(tile)).size;
+        const edgeDistance = gameState.mapRadius - node.pos.distance(new HexPosition(0, 0));
+
+        let crowding = 0;
+        for (const other of gameState.alivePlayers) {
+            if (other.index === this.playerIndex) continue;
+            if (this.getHexAt(other.x, other.y, gameState).distance(node.pos) <= 1) {
+                crowding++;
+            }
+        }
+
+        const powerUp = gameState.powerUps.has(node.pos.toKey()) ? POWER_UP_BONUS : 0;
+        const type = gameState.board.get(node.pos.toKey()).type;
+        const slowTile = type === TileType.Ice || type === TileType.Sticky ? SLOW_TILE_PENALTY : 0;
+
+        return openArea + region * 0.3 + edgeDistance * 0.3 + powerUp - slowTile -
+            node.depth * 0.5 - node.risk * 3 - crowding * 2;
+    }
+
+    steer(player, gameState) {
+        const target = this.path[0];
+        const isGoal = this.path.length === 1;
+        const center = axialToPixel(target, GameConfig.HEX_SIZE, gameState.centerX, gameState.centerY);
+
+        // Only the goal gets the aim error, waypoints are walked through their centers
+        const targetX = center.x + (isGoal ? this.aimOffset.x : 0);
+        const targetY = center.y + (isGoal ? this.aimOffset.y : 0);
+
+        const dx = targetX - player.x;
+        const dy = targetY - player.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (isGoal && distance < ARRIVE_RADIUS) return NO_INPUT;
+
+        // Full tilt on the way, easing off near the goal so momentum doesn't overshoot
+        const magnitude = isGoal ? Math.min(1, distance / SLOW_RADIUS) : 1;
+        let x = (dx / distance) * magnitude;
+        let y = (dy / distance) * magnitude;
+
+        // On ice, steer against the drift instead of just pointing the way
+        if (gameState.getPlayerCurrentTile(player)?.type === TileType.Ice) {
+            x -= player.vx / GameConfig.PLAYER_SPEED;
+            y -= player.vy / GameConfig.PLAYER_SPEED;
+
+            const length = Math.sqrt(x * x + y * y);
+            if (length > 1) {
+                x /= length;
+                y /= length;
+            }
+        }
+        return { x, y };
+    }
+}
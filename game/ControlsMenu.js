@@ -0,0 +1,106 @@
+import { PlayerConfig } from '../core/config.js';
+import { BINDABLE_ACTIONS, formatKeyCode, describeMovedKeys } from './KeyBindings.js';
+
+/**
+ * Controls menu state: pick a player/action cell, press a key to rebind it
+ *
+ * The grid has one column per player with keys and one row per action. Arrow keys
+ * move the selection, Enter starts listening, the next key pressed is bound.
+ */
+
+export class ControlsMenu {
+    constructor(keyBindings) {
+        this.keyBindings = keyBindings;
+        this.selectedPlayer = 0;
+        this.selectedAction = 0;
+        this.isListening = false;
+        this.message = null;         // Feedback after a rebind attempt
+        this.isClosed = false;
+
+        // Say once more which saved keys had to move, then let it go
+        if (keyBindings.movedKeys.length > 0) {
+            this.message = describeMovedKeys(keyBindings.movedKeys);
+            keyBindings.movedKeys = [];
+        }
+    }
+
+    /**
+     * Players with keys to rebind, one column each
+     */
+    get playerCount() {
+        return this.keyBindings.players.length;
+    }
+
+    get action() {
+        return BINDABLE_ACTIONS[this.selectedAction];
+    }
+
+    handleKey(e) {
+        e.preventDefault();
+
+        if (this.isListening) {
+            this.listenForKey(e.code);
+            return;
+        }
+
+        switch (e.code) {
+            case 'ArrowUp':
+                this.selectedAction = (this.selectedAction + BINDABLE_ACTIONS.length - 1) % BINDABLE_ACTIONS.length;
+                break;
+            case 'ArrowDown':
+                this.selectedAction = (this.selectedAction + 1) % BINDABLE_ACTIONS.length;
+                break;
+            case 'ArrowLeft':
+                this.selectedPlayer = (this.selectedPlayer + this.playerCount - 1) % this.playerCount;
+                break;
+            case 'ArrowRight':
+                this.selectedPlayer = (this.selectedPlayer + 1) % this.playerCount;
+                break;
+            case 'Enter':
+            case 'Space':
+                this.startListening();
+                break;
+            case 'Backspace':
+            case 'Delete':
+                this.keyBindings.resetToDefaults();
+                this.message = 'Controls reset to defaults';
+                break;
+            case 'Escape':
+            case 'KeyC':
+                this.isClosed = true;
+                break;
+        }
+    }
+
+    select(playerIndex, actionIndex) {
+        this.selectedPlayer = playerIndex;
+        this.selectedAction = actionIndex;
+        this.startListening();
+    }
+
+    startListening() {
+        this.isListening = true;
+        this.message = `Press a key for ${PlayerConfig[this.selectedPlayer].name} ${this.action} (Esc to cancel)`;
+    }
+
+    listenForKey(code) {
+        this.isListening = false;
+
+        if (code === 'Escape') {
+            this.message = null;
+            return;
+        }
+
+        const player = PlayerConfig[this.selectedPlayer].name;
+        const result = this.keyBindings.rebind(this.selectedPlayer, this.action, code);
+
+        if (result.ok) {
+            this.message = `${player} ${this.action} → ${formatKeyCode(code)}`;
+        } else if (result.reason === 'conflict') {
+            const owner = PlayerConfig[result.conflict.playerIndex].name;
+            this.message = `${formatKeyCode(code)} is already ${owner} ${result.conflict.action}`;
+        } else {
+            this.message = `${formatKeyCode(code)} is reserved for menus`;
+        }
+    }
+}
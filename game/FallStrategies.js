@@ -0,0 +1,225 @@
+import { HexPosition } from '../core/hexUtils.js';
+
+/**
+ * Rules for picking which tile warns next
+ *
+ * A strategy's pickTile(candidates, gameState) gets the keys of every
+ * solid tile that isn't warning yet and returns the one to warn. It may
+ * keep state between picks (a spiral remembers where it got to);
+ * TileFallManager makes a fresh one each time its schedule moves on.
+ * Every roll goes through gameState.random so matches stay replayable.
+ */
+
+const CENTER = new HexPosition(0, 0);
+
+// Axial coordinate of a tile along each of the three hex axes (q, r, s)
+const AXES = [
+    pos => pos.q,
+    pos => pos.r,
+    pos => -pos.q - pos.r,
+];
+
+/**
+ * Uniform random, with a 20% chance to go for a tile someone is standing on
+ */
+export class ClassicStrategy {
+    pickTile(candidates, gameState) {
+        const tilesWithPlayers = candidates.filter(posKey => gameState.isTileOccupied(posKey));
+
+        if (tilesWithPlayers.length > 0 && gameState.random.chance(0.2)) {
+            return gameState.random.pick(tilesWithPlayers);
+        }
+        return gameState.random.pick(candidates);
+    }
+}
+
+/**
+ * Eats the board from the outside in, a random tile of the outermost
+ * ring at a time
+ */
+export class RingStrategy {
+    pickTile(candidates, gameState) {
+        const positions = candidates.map(posKey => HexPosition.fromKey(posKey));
+        const outermost = Math.max(...positions.map(pos => pos.distance(CENTER)));
+        const ring = candidates.filter((_, i) => positions[i].distance(CENTER) === outermost);
+
+        return gameState.random.pick(ring);
+    }
+}
+
+/**
+ * Winds around the outermost ring and on inward, one neighbour at a time
+ */
+export class SpiralStrategy {
+    constructor() {
+        this.angle = null;  // Where around the center the last tile was
+    }
+
+    pickTile(candidates, gameState) {
+        const positions = candidates.map(posKey => HexPosition.fromKey(posKey));
+        const outermost = Math.max(...positions.map(pos => pos.distance(CENTER)));
+
+        // Start anywhere, then take the next tile clockwise on the outermost ring
+        if (this.angle === null) {
+            this.angle = gameState.random.range(0, Math.PI * 2);
+        }
+
+        let best = null;
+        let bestStep = Infinity;
+        positions.forEach((pos, i) => {
+            if (pos.distance(CENTER) !== outermost) return;
+
+            const step = (getAngle(pos) - this.angle + Math.PI * 4) % (Math.PI * 2);
+            if (step > 1e-6 && step < bestStep) {
+                best = i;
+                bestStep = step;
+            }
+        });
+
+        // A lone tile left on the ring has no step of its own
+        best ??= positions.findIndex(pos => pos.distance(CENTER) === outermost);
+        this.angle = getAngle(positions[best]);
+        return candidates[best];
+    }
+}
+
+/**
+ * Runs a line straight across the board, end to end, then rolls another
+ */
+export class LinesStrategy {
+    constructor() {
+        this.line = [];  // Keys still to warn on the current line, in order
+    }
+
+    pickTile(candidates, gameState) {
+        const remaining = new Set(candidates);
+        this.line = this.line.filter(posKey => remaining.has(posKey));
+
+        if (this.line.length === 0) {
+            this.line = this.rollLine(candidates, gameState.random);
+        }
+        return this.line.shift();
+    }
+
+    rollLine(candidates, random) {
+        const positions = candidates.map(posKey => HexPosition.fromKey(posKey));
+        const axis = random.int(AXES.length);
+        const along = AXES[(axis + 1) % AXES.length];
+
+        // A row through a random remaining tile, walked from a random end
+        const row = AXES[axis](random.pick(positions));
+        const direction = random.chance(0.5) ? 1 : -1;
+
+        return positions
+            .filter(pos => AXES[axis](pos) === row)
+            .sort((a, b) => (along(a) - along(b)) * direction)
+            .map(pos => pos.toKey());
+    }
+}
+
+/**
+ * Sweeps across the board warning every third tile, so no two neighbours
+ * go at once; each wave takes the next of the three colors
+ */
+export class CheckerboardStrategy {
+    constructor() {
+        this.color = null;
+        this.wave = [];  // Keys still to warn in the current wave, in order
+    }
+
+    pickTile(candidates, gameState) {
+        const remaining = new Set(candidates);
+        this.wave = this.wave.filter(posKey => remaining.has(posKey));
+
+        for (let tries = 0; this.wave.length === 0 && tries < 3; tries++) {
+            this.wave = this.rollWave(candidates, gameState.random);
+        }
+        return this.wave.shift() ?? gameState.random.pick(candidates);
+    }
+
+    rollWave(candidates, random) {
+        this.color = this.color === null ? random.int(3) : (this.color + 1) % 3;
+
+        const axis = AXES[random.int(AXES.length)];
+        const direction = random.chance(0.5) ? 1 : -1;
+
+        return candidates
+            .map(posKey => HexPosition.fromKey(posKey))
+            .filter(pos => getColor(pos) === this.color)
+            .sort((a, b) => (axis(a) - axis(b)) * direction)
+            .map(pos => pos.toKey());
+    }
+}
+
+/**
+ * Hounds whoever is best placed: the cell with the most solid ground
+ * around it gets the tiles right next to it pulled away
+ */
+export class ChaseStrategy {
+    pickTile(candidates, gameState) {
+        const leaderTile = this.findLeaderTile(gameState);
+        if (!leaderTile) return gameState.random.pick(candidates);
+
+        const positions = candidates.map(posKey => HexPosition.fromKey(posKey));
+        const nearest = Math.max(1, Math.min(...positions.map(pos => pos.distance(leaderTile.position))));
+        const close = candidates.filter((_, i) => positions[i].distance(leaderTile.position) <= nearest);
+
+        return gameState.random.pick(close);
+    }
+
+    findLeaderTile(gameState) {
+        let leaderTile = null;
+        let mostGround = -1;
+
+        for (const player of gameState.alivePlayers) {
+            const tile = gameState.getPlayerCurrentTile(player);
+            if (!tile) continue;
+
+            const ground = countSolidTilesNear(tile.position, gameState);
+            if (ground > mostGround) {
+                leaderTile = tile;
+                mostGround = ground;
+            }
+        }
+        return leaderTile;
+    }
+}
+
+// Built-in strategies by the names match configs use; add your own here
+export const FALL_STRATEGIES = {
+    classic: ClassicStrategy,
+    ring: RingStrategy,
+    spiral: SpiralStrategy,
+    lines: LinesStrategy,
+    checkerboard: CheckerboardStrategy,
+    chase: ChaseStrategy,
+};
+
+export function createFallStrategy(name) {
+    const Strategy = FALL_STRATEGIES[name];
+    if (!Strategy) {
+        console.warn(`Unknown fall strategy "${name}", using classic`);
+        return new ClassicStrategy();
+    }
+    return new Strategy();
+}
+
+function getAngle(pos) {
+    // Pointy-top layout, same as axialToPixel
+    return Math.atan2(1.5 * pos.r, Math.sqrt(3) * (pos.q + pos.r / 2));
+}
+
+// One of three colors, never shared by neighbouring tiles
+function getColor(pos) {
+    return (((pos.q - pos.r) % 3) + 3) % 3;
+}
+
+function countSolidTilesNear(position, gameState, radius = 2) {
+    let count = 0;
+    for (const [posKey, tile] of gameState.board) {
+        if (tile.isActive && !tile.isWarning && HexPosition.fromKey(posKey).distance(position) <= radius) {
+            count++;
+        }
+    }
+    return count;
+}
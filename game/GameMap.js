@@ -0,0 +1,167 @@
+import { GameConfig } from '../core/config.js';
+import { HexPosition, generateHexGrid, getRingSpawnPositions } from '../core/hexUtils.js';
+import { TileType } from '../actors/Tile.js';
+import { FALL_STRATEGIES } from './FallStrategies.js';
+
+/**
+ * Arena maps: which tiles exist, what they are and where players start
+ *
+ * A map is plain JSON, so it can be saved, loaded and put in a replay:
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "Donut",
+ *     "tiles": [[0, -6], [1, -6, "ice"], ...],    // [q, r] or [q, r, TileType]
+ *     "spawns": [[0, -5], [0, 5], [5, 0], [-5, 0]],
+ *     "fallSchedule": [{ "strategy": "ring", "duration": 20000 }, { "strategy": "chase" }]
+ *   }
+ *
+ * Tiles without a type are normal, or rolled from the match's tile mix.
+ * Players take spawns in order, so the first two should face each other;
+ * any past the last spawn start on the free tile nearest their spot on
+ * the default ring. Without spawns everyone is spread around that ring,
+ * just inside the edge, which only works if every one of those spots is
+ * a tile of its own. The fall schedule is optional and replaces the
+ * match's own (see TileFallManager). Coordinates are axial, centered on
+ * (0, 0).
+ */
+
+export const MAP_VERSION = 1;
+
+/**
+ * The full hexagonal board
+ */
+export function createHexagonMap(name, radius) {
+    return {
+        version: MAP_VERSION,
+        name,
+        tiles: generateHexGrid(radius).map(pos => [pos.q, pos.r]),
+    };
+}
+
+/**
+ * How far the furthest tile is from the center
+ */
+export function getMapRadius(map) {
+    const center = new HexPosition(0, 0);
+    return Math.max(0, ...map.tiles.map(([q, r]) => new HexPosition(q, r).distance(center)));
+}
+
+/**
+ * Where playerCount players start on a map without spawns: spread evenly
+ * around a ring just inside the edge
+ */
+export function getDefaultSpawns(map, playerCount) {
+    const radius = getMapRadius(map) - GameConfig.SPAWN_RING_INSET;
+    return radius >= 0 ? getRingSpawnPositions(playerCount, radius) : [];
+}
+
+/**
+ * Where each of playerCount players starts: the map's spawns in order, or
+ * the default ring. Players a map lists no spawn for take the free tile
+ * nearest their spot on the ring
+ */
+export function getSpawnPositions(map, playerCount) {
+    const ringSpawns = getDefaultSpawns(map, playerCount);
+    if (!map.spawns) return ringSpawns;
+
+    const spawns = map.spawns.slice(0, playerCount).map(([q, r]) => new HexPosition(q, r));
+    const takenKeys = new Set(spawns.map(pos => pos.toKey()));
+    const tiles = map.tiles.map(([q, r]) => new HexPosition(q, r));
+
+    for (let i = spawns.length; i < playerCount; i++) {
+        const target = ringSpawns[i] ?? new HexPosition(0, 0);
+        let nearest = null;
+        for (const tile of tiles) {
+            if (takenKeys.has(tile.toKey())) continue;
+            if (!nearest || tile.distance(target) < nearest.distance(target)) {
+                nearest = tile;
+            }
+        }
+        spawns.push(nearest);
+        takenKeys.add(nearest.toKey());
+    }
+    return spawns;
+}
+
+/**
+ * Whether the default ring gives every player count its own tile to
+ * start on (an odd-shaped or tiny map's ring can miss the board)
+ */
+function hasValidDefaultSpawns(map, tileKeys) {
+    for (let count = GameConfig.MIN_PLAYERS; count <= GameConfig.MAX_PLAYERS; count++) {
+        const spawnKeys = getDefaultSpawns(map, count).map(pos => pos.toKey());
+        if (new Set(spawnKeys).size !== count || !spawnKeys.every(key => tileKeys.has(key))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Parse and validate a map file's contents (or an already parsed map)
+ */
+export function parseMap(source) {
+    let map = source;
+    if (typeof source === 'string') {
+        try {
+            map = JSON.parse(source);
+        } catch (e) {
+            throw new Error('Map file is not valid JSON');
+        }
+    }
+
+    if (map?.version !== MAP_VERSION) {
+        throw new Error(`Unsupported map version: ${map?.version}`);
+    }
+    if (typeof map.name !== 'string' || !Array.isArray(map.tiles) || map.tiles.length === 0) {
+        throw new Error('Map file is missing required fields');
+    }
+
+    const tileTypes = Object.values(TileType);
+    const tileKeys = new Set();
+    for (const tile of map.tiles) {
+        const [q, r, type] = Array.isArray(tile) ? tile : [];
+        if (!Number.isInteger(q) || !Number.isInteger(r)) {
+            throw new Error(`Map tile ${JSON.stringify(tile)} needs whole-number coordinates`);
+        }
+        if (type !== undefined && !tileTypes.includes(type)) {
+            throw new Error(`Map tile ${q},${r} has unknown type "${type}"`);
+        }
+        tileKeys.add(`${q},${r}`);
+    }
+
+    if (map.spawns === undefined) {
+        if (!hasValidDefaultSpawns(map, tileKeys)) {
+            throw new Error(`Map needs ${GameConfig.MAX_PLAYERS} spawns: the default ring just inside its edge isn't all tiles`);
+        }
+    } else {
+        if (!Array.isArray(map.spawns) || map.spawns.length === 0) {
+            throw new Error('Map spawns must list at least one, or leave them out to use the default ring');
+        }
+        if (tileKeys.size < GameConfig.MAX_PLAYERS) {
+            throw new Error(`Map needs at least ${GameConfig.MAX_PLAYERS} tiles, one for each player to start on`);
+        }
+        for (const spawn of map.spawns) {
+            if (!Array.isArray(spawn) || !tileKeys.has(`${spawn[0]},${spawn[1]}`)) {
+                throw new Error(`Map spawn ${JSON.stringify(spawn)} isn't on a tile`);
+            }
+        }
+    }
+
+    if (map.fallSchedule !== undefined) {
+        if (!Array.isArray(map.fallSchedule) || map.fallSchedule.length === 0) {
+            throw new Error('Map fall schedule must list at least one stage');
+        }
+        map.fallSchedule.forEach(({ strategy, duration } = {}, i) => {
+            if (!(strategy in FALL_STRATEGIES)) {
+                throw new Error(`Map fall schedule has unknown strategy "${strategy}"`);
+            }
+            if (i < map.fallSchedule.length - 1 && !(duration > 0)) {
+                throw new Error(`Map fall schedule stage "${strategy}" needs a duration`);
+            }
+        });
+    }
+
+    return map;
+}
@@ -1,230 +1,1252 @@
-import { MatchPhase, PlayerConfig } from '../core/config.js';
-import { GameState } from './GameState.js';
-import { InputHandler } from './InputHandler.js';
-import { TileFallManager } from './TileFallManager.js';
+import { GameConfig, PlayerConfig, MatchPhase, TILE_MIXES, FALL_SCHEDULES, SUDDEN_DEATH_TIMES } from '../core/config.js';
+import { BUNDLED_MAPS } from '../maps/index.js';
+import { parseMap } from './GameMap.js';
+import { MapEditor, EditorTool, PAINT_TYPES } from './MapEditor.js';
+import { Series, SERIES_LENGTHS } from './Series.js';
+import { Tournament } from './Tournament.js';
+import { TeamMode, TEAMS, canPlayTeamMode, getNextTeamMode } from './Teams.js';
+import { Simulation } from './Simulation.js';
+import { InputHandler, isTextField } from './InputHandler.js';
+import { GamepadButton } from './GamepadInput.js';
+import { ControlsMenu } from './ControlsMenu.js';
+import { BotController, BotDifficulty, BOT_DIFFICULTY_CYCLE } from './BotController.js';
+import { ReplayRecorder } from './ReplayRecorder.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { MatchTracker } from './MatchTracker.js';
+import { PlayerStats } from './PlayerStats.js';
+import { StatsScreen } from './StatsScreen.js';
+import { PauseMenu, PauseOption } from './PauseMenu.js';
+import { NetworkClient } from './NetworkClient.js';
+import { OnlineMatch } from './OnlineMatch.js';
+import { ClientMessage, ServerMessage } from './NetProtocol.js';
 import { Renderer } from '../rendering/Renderer.js';
-import { SoundManager } from '../audio/SoundManager.js';
+import { ReplayControls } from '../rendering/ReplayControls.js';
+import { LobbyPanel } from '../rendering/LobbyPanel.js';
+import { BracketPanel } from '../rendering/BracketPanel.js';
+import { SoundManager, MusicTheme } from '../audio/SoundManager.js';
+import { Random } from '../core/random.js';
 
 /**
  * Main game controller - handles game flow, loop, and component coordination
+ *
+ * Drives the headless Simulation from requestAnimationFrame with a fixed
+ * timestep and wires its events to sound and rendering.
  */
 
 export class GameMode {
-    constructor(canvas) {
+    constructor(canvas, { serverUrl } = {}) {
         this.canvas = canvas;
+        this.serverUrl = serverUrl;  // Multiplayer server's WebSocket URL
         this.renderer = new Renderer(canvas);
         this.soundManager = new SoundManager();
         this.soundManager.initialize();
+        this.inputHandler = new InputHandler(canvas);
 
-        this.gameState = null;
-        this.inputHandler = null;
-        this.tileFallManager = null;
+        this.simulation = null;
+        this.replayRecorder = null;
+        this.replayPlayer = null;    // Set while watching a replay
+        this.pauseMenu = null;       // Set while the match is paused
+        this.controlsMenu = null;    // Set while rebinding keys
+        this.statsScreen = null;     // Set while looking at the stats
+        this.stats = new PlayerStats();
+        this.matchTracker = null;    // Follows local matches for the stats
+        this.endlessResult = null;   // How the last endless run placed (see recordEndlessRun)
+        this.orphanedPlayerIndex = null;  // Player whose controller went away
+        this.botDifficulties = [];   // playerIndex → BotDifficulty, empty for humans
+        this.mapName = 'classic';    // Key of BUNDLED_MAPS, or 'custom', used for local matches
+        this.customMap = null;       // Last map tested from the editor
+        this.mapEditor = null;       // Kept between test runs so edits carry on
+        this.isEditingMap = false;
+        this.seriesLength = 1;       // Best of N for local matches (see SERIES_LENGTHS)
+        this.series = null;          // Set while a series (or a bracket match) is being played
+        this.tournament = null;      // Set while a bracket is being played
+        this.matchLabels = null;     // Bracket names of the match being played, Player 1 first
+        this.tileMix = 'classic';    // Key of TILE_MIXES used for local matches
+        this.fallSchedule = 'classic';  // Key of FALL_SCHEDULES used for local matches
+        this.suddenDeathTime = GameConfig.SUDDEN_DEATH_TIME;  // One of SUDDEN_DEATH_TIMES
+        this.teamMode = TeamMode.FreeForAll;  // Local matches only, see Teams.js
+        this.network = null;         // Set while connected to the multiplayer server
+        this.onlineMatch = null;     // Set while playing an online match
 
         this.animationFrameId = null;
         this.lastFrameTime = 0;
-        this.playersSpawnStarted = false;
+        this.accumulator = 0;
 
         this.boundGameLoop = this.gameLoop.bind(this);
+
+        this.initializeReplayUI();
+        this.initializeLobbyUI();
+        this.initializeBracketUI();
+        this.initializeStatsUI();
+        this.initializeMapEditorUI();
+        this.initializeGamepads();
+        this.inputHandler.touch.events.subscribe('tap', (position) => this.handleTap(position));
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Don't let the match play on in a background tab
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.isMatchLive()) {
+                this.pauseMatch('Paused while you were away.');
+            }
+        });
+    }
+
+    get gameState() {
+        return this.simulation.gameState;
     }
 
-    initialize(playerCount = 2) {
-        // Create new game state
-        this.gameState = new GameState();
-        // Store player count for later initialization
-        this.playerCount = playerCount;
+    get map() {
+        return this.mapName === 'custom' ? this.customMap : BUNDLED_MAPS[this.mapName];
+    }
 
-        // Don't initialize board or players yet - wait for SPACE
-        // Create handlers (they'll work once players are initialized)
-        this.inputHandler = new InputHandler(this.gameState);
-        this.tileFallManager = new TileFallManager(this.gameState);
+    initialize(playerCount = 2, seed = Random.generateSeed()) {
+        // Store player count for restarts
+        this.playerCount = Math.max(GameConfig.MIN_PLAYERS, Math.min(GameConfig.MAX_PLAYERS, playerCount));
+
+        // Dropping below four players ends 2v2, below two ends co-op
+        if (!canPlayTeamMode(this.teamMode, this.playerCount)) {
+            this.teamMode = TeamMode.FreeForAll;
+        }
+
+        // Create a new seeded simulation so the match can be reproduced.
+        // Board and players are only created once SPACE is pressed.
+        const config = {
+            playerCount: this.playerCount,
+            map: this.map,
+            tileTypes: TILE_MIXES[this.tileMix],
+            fallSchedule: this.map.fallSchedule ?? FALL_SCHEDULES[this.fallSchedule],
+            endless: this.playerCount === 1,
+            // Endless runs and co-op have their own curve instead
+            suddenDeathTime: this.playerCount === 1 || this.teamMode === TeamMode.Coop ? null : this.suddenDeathTime,
+            teamMode: this.teamMode,
+        };
+        this.simulation = new Simulation({ ...config, seed });
+        this.replayRecorder = new ReplayRecorder(this.simulation, config);
+        this.matchTracker = new MatchTracker(this.simulation);
+        this.endlessResult = null;
+        this.inputHandler.touch.setPlayerCount(this.playerCount);
+        this.inputHandler.touch.setTeamMode(this.teamMode);
+        this.fillKeylessSeats();
+        this.setupBots();
 
         // Subscribe to events
         this.subscribeToEvents();
 
         // Start rendering loop and wait for SPACE
         this.startGameLoop();
-        this.bindStartKey();
-    }
-
-    checkSpawnProgress() {
-        const checkInterval = setInterval(() => {
-            // Check if all tiles are spawned
-            if (this.gameState.areAllTilesSpawned() && !this.playersSpawnStarted) {
-                this.playersSpawnStarted = true;
-                // NOW initialize players on the spawned tiles
-                this.gameState.initializePlayers(PlayerConfig.slice(0, this.playerCount));
-                this.gameState.startPlayerSpawnAnimations();
-                // Play spawn sound for players
-                for (let i = 0; i < this.playerCount; i++) {
-                    setTimeout(() => this.soundManager.play('playerSpawn'), i * 100);
-                }
+    }
+
+    handleKeyDown(e) {
+        // Typing in the lobby's name or code field
+        if (isTextField(e.target)) return;
+
+        if (this.isEditingMap) {
+            this.mapEditor.handleKey(e);
+            return;
+        }
+
+        // Frame rate readout, anywhere but the map editor
+        if (e.code === 'Backquote') {
+            e.preventDefault();
+            this.renderer.toggleFrameStats();
+            return;
+        }
+
+        if (this.bracketPanel.isVisible) {
+            if (e.code === 'Escape') {
+                e.preventDefault();
+                this.bracketPanel.hide();
+            }
+            return;
+        }
+
+        if (this.replayPlayer) {
+            this.handleReplayKey(e);
+            return;
+        }
+
+        if (this.network) {
+            this.handleOnlineKey(e);
+            return;
+        }
+
+        if (this.controlsMenu) {
+            this.controlsMenu.handleKey(e);
+            if (this.controlsMenu.isClosed) {
+                this.controlsMenu = null;
             }
+            return;
+        }
 
-            // Check if all players are spawned
-            if (this.playersSpawnStarted && this.gameState.areAllPlayersSpawned()) {
-                clearInterval(checkInterval);
-                this.onSpawnComplete();
+        if (this.statsScreen) {
+            this.statsScreen.handleKey(e);
+            if (this.statsScreen.isClosed) {
+                this.statsScreen = null;
             }
-        }, 50);
+            return;
+        }
+
+        if (this.pauseMenu) {
+            this.pauseMenu.handleKey(e);
+            if (this.pauseMenu.choice) {
+                this.choosePauseOption(this.pauseMenu.choice);
+            }
+            return;
+        }
+
+        switch (this.gameState.matchPhase) {
+            case MatchPhase.WaitingToStart:
+                this.handleTitleKey(e);
+                break;
+            case MatchPhase.Spawning:
+            case MatchPhase.InProgress:
+                if (e.code === 'Escape' || e.code === 'KeyP') {
+                    e.preventDefault();
+                    this.pauseMatch('Take a breather.');
+                }
+                break;
+            case MatchPhase.GameOver:
+                this.handleGameOverKey(e);
+                break;
+        }
     }
 
-    onSpawnComplete() {
-        // All animations complete, now start the game
-        this.startGame();
+    handleTitleKey(e) {
+        // 1-8 picks the number of players, Shift+1-8 cycles that slot through the bots
+        const slot = Number(e.code.replace('Digit', ''));
+        if (slot >= GameConfig.MIN_PLAYERS && slot <= GameConfig.MAX_PLAYERS) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.cycleBot(slot - 1);
+            } else {
+                this.setPlayerCount(slot);
+            }
+            return;
+        }
+
+        if (e.code === 'Space') {
+            e.preventDefault();
+            this.startMatch();
+        } else if (e.code === 'KeyR') {
+            e.preventDefault();
+            this.replayFileInput.click();
+        } else if (e.code === 'KeyC') {
+            e.preventDefault();
+            this.controlsMenu = new ControlsMenu(this.inputHandler.keyBindings);
+        } else if (e.code === 'KeyO') {
+            e.preventDefault();
+            this.openLobby();
+        } else if (e.code === 'KeyM') {
+            e.preventDefault();
+            this.cycleMap();
+        } else if (e.code === 'KeyB') {
+            e.preventDefault();
+            this.cycleTileMix();
+        } else if (e.code === 'KeyF') {
+            e.preventDefault();
+            this.cycleFallSchedule();
+        } else if (e.code === 'KeyE') {
+            e.preventDefault();
+            this.openMapEditor();
+        } else if (e.code === 'KeyN') {
+            e.preventDefault();
+            this.cycleSeriesLength();
+        } else if (e.code === 'KeyG') {
+            e.preventDefault();
+            this.cycleSuddenDeathTime();
+        } else if (e.code === 'KeyV') {
+            e.preventDefault();
+            this.cycleTeamMode();
+        } else if (e.code === 'KeyT') {
+            e.preventDefault();
+            this.bracketPanel.show();
+        } else if (e.code === 'KeyH') {
+            e.preventDefault();
+            this.openStats();
+        }
     }
 
-    bindStartKey() {
-        const handleStart = (e) => {
-            if (e.code === 'Space' && this.gameState.matchPhase === MatchPhase.WaitingToStart) {
-                e.preventDefault();
-                document.removeEventListener('keydown', handleStart);
-                this.startTileSpawn();
+    startMatch() {
+        // A longer series starts with its first round
+        if (!this.series && this.seriesLength > 1 && this.canPlaySeries()) {
+            this.series = this.createSeries();
+        }
+        this.simulation.startMatch();
+    }
+
+    /**
+     * A series between the players, or in 2v2 between the teams
+     */
+    createSeries() {
+        return new Series(this.seriesLength, this.teamMode === TeamMode.Teams ? TEAMS.length : this.playerCount);
+    }
+
+    /**
+     * Endless runs and co-op have no winner to count, so they're never
+     * played as a series
+     */
+    canPlaySeries() {
+        return this.playerCount > 1 && this.teamMode !== TeamMode.Coop;
+    }
+
+    cycleTeamMode() {
+        this.teamMode = getNextTeamMode(this.teamMode, this.playerCount);
+        this.initialize(this.playerCount, this.gameState.seed);
+    }
+
+    cycleSeriesLength() {
+        if (!this.canPlaySeries()) return;
+        this.seriesLength = SERIES_LENGTHS[(SERIES_LENGTHS.indexOf(this.seriesLength) + 1) % SERIES_LENGTHS.length];
+    }
+
+    cycleSuddenDeathTime() {
+        this.suddenDeathTime = SUDDEN_DEATH_TIMES[(SUDDEN_DEATH_TIMES.indexOf(this.suddenDeathTime) + 1) % SUDDEN_DEATH_TIMES.length];
+        this.initialize(this.playerCount, this.gameState.seed);
+    }
+
+    cycleMap() {
+        const maps = Object.keys(BUNDLED_MAPS);
+        if (this.customMap) {
+            maps.push('custom');
+        }
+        this.mapName = maps[(maps.indexOf(this.mapName) + 1) % maps.length];
+        this.initialize(this.playerCount, this.gameState.seed);
+    }
+
+    cycleTileMix() {
+        const mixes = Object.keys(TILE_MIXES);
+        this.tileMix = mixes[(mixes.indexOf(this.tileMix) + 1) % mixes.length];
+
+        // Rebuild the (still empty) match with the new board, same seed
+        this.initialize(this.playerCount, this.gameState.seed);
+    }
+
+    cycleFallSchedule() {
+        // A map with its own fall script keeps it
+        if (this.map.fallSchedule) return;
+
+        const schedules = Object.keys(FALL_SCHEDULES);
+        this.fallSchedule = schedules[(schedules.indexOf(this.fallSchedule) + 1) % schedules.length];
+        this.initialize(this.playerCount, this.gameState.seed);
+    }
+
+    setPlayerCount(playerCount) {
+        if (playerCount === this.playerCount) return;
+
+        // Rebuild the (still empty) match, keeping the seed shown on screen
+        this.initialize(playerCount, this.gameState.seed);
+    }
+
+    cycleBot(playerIndex) {
+        // A player with no controls of their own can't be handed back to a human
+        const cycle = this.hasControls(playerIndex) ? BOT_DIFFICULTY_CYCLE : BOT_DIFFICULTY_CYCLE.filter(Boolean);
+        const current = cycle.indexOf(this.botDifficulties[playerIndex] ?? null);
+        this.botDifficulties[playerIndex] = cycle[(current + 1) % cycle.length];
+
+        // Making an empty slot a bot brings it into the match
+        if (playerIndex >= this.playerCount) {
+            this.setPlayerCount(playerIndex + 1);
+        } else {
+            this.setupBots();
+        }
+    }
+
+    isBot(playerIndex) {
+        return Boolean(this.botDifficulties[playerIndex]);
+    }
+
+    /**
+     * Whether a player has keys or a controller to play with
+     */
+    hasControls(playerIndex) {
+        return PlayerConfig[playerIndex].keys !== null || this.inputHandler.gamepads.hasGamepad(playerIndex);
+    }
+
+    /**
+     * Hand players without keys or a controller to a bot
+     */
+    fillKeylessSeats() {
+        for (let i = 0; i < this.playerCount; i++) {
+            if (!this.hasControls(i) && !this.isBot(i)) {
+                this.botDifficulties[i] = BotDifficulty.Normal;
             }
-        };
-        document.addEventListener('keydown', handleStart);
+        }
     }
 
-    startTileSpawn() {
-        // Change phase to spawning (this removes the "Press SPACE" text)
-        this.gameState.matchPhase = MatchPhase.Spawning;
+    setupBots() {
+        this.inputHandler.clearBots();
 
-        // Initialize the board now
-        this.gameState.initializeBoard(this.renderer.centerX, this.renderer.centerY);
+        const botPlayers = [];
+        for (let i = 0; i < this.playerCount; i++) {
+            if (!this.isBot(i)) continue;
 
-        // Check for when tiles finish spawning, then spawn players
-        this.checkSpawnProgress();
+            // Seeded from the match seed so replaying a seed replays the bots' choices too
+            const bot = new BotController(i, this.botDifficulties[i], this.gameState.seed + i + 1);
+            this.inputHandler.setBot(i, bot);
+            botPlayers.push(i);
+        }
+
+        this.inputHandler.touch.setBotPlayers(botPlayers);
     }
 
     subscribeToEvents() {
-        this.gameState.events.subscribe('playerEliminated', (player) => {
+        const events = this.simulation.events;
+
+        events.subscribe('playersSpawning', (players) => {
+            // Play spawn sound for players
+            players.forEach((_, i) => {
+                setTimeout(() => this.soundManager.play('playerSpawn'), i * 100);
+            });
+        });
+
+        events.subscribe('matchStarted', () => {
+            this.soundManager.startBackgroundMusic();
+        });
+
+        events.subscribe('suddenDeath', () => {
+            this.soundManager.play('suddenDeath');
+            this.soundManager.startBackgroundMusic(MusicTheme.SuddenDeath);
+        });
+
+        events.subscribe('ringCollapsing', () => {
+            this.soundManager.play('ringCollapse');
+            for (const player of this.gameState.alivePlayers) {
+                this.inputHandler.gamepads.rumble(player.index, { duration: 300, strong: 0.6, weak: 0.4 });
+            }
+        });
+
+        events.subscribe('playerEliminated', (player) => {
             console.log(`${player.name} eliminated! Survived ${(player.survivalTime / 1000).toFixed(1)}s`);
             this.soundManager.play('playerEliminated');
+            this.inputHandler.gamepads.rumble(player.index, { duration: 400, strong: 1, weak: 0.8 });
         });
 
-        this.gameState.events.subscribe('gameOver', (winner) => {
+        events.subscribe('gameOver', (winner) => {
             this.handleGameOver(winner);
             this.soundManager.play('gameOver');
         });
 
-        this.gameState.events.subscribe('tileWarning', () => {
-            this.soundManager.play('tileWarning');
+        events.subscribe('tileWarning', (posKey) => {
+            // A collapsing ring has its own sound, not a beep per tile
+            if (!this.gameState.isSuddenDeath) {
+                this.soundManager.play('tileWarning');
+            }
+
+            // Short buzz for anyone standing on the warned tile
+            for (const player of this.gameState.alivePlayers) {
+                if (this.gameState.getPlayerCurrentTile(player)?.position.toKey() === posKey) {
+                    this.inputHandler.gamepads.rumble(player.index, { duration: 120, strong: 0.2, weak: 0.6 });
+                }
+            }
         });
 
-        this.gameState.events.subscribe('tileFallen', () => {
+        events.subscribe('tileFallen', () => {
             this.soundManager.play('tileShatter');
         });
-    }
 
-    startGame() {
-        this.gameState.matchPhase = MatchPhase.InProgress;
-        this.gameState.gameStartTime = performance.now();
+        events.subscribe('tileCracked', () => {
+            this.soundManager.play('tileCrack');
+        });
 
-        this.tileFallManager.start();
-        this.soundManager.startBackgroundMusic();
-        this.startGameLoop();
+        events.subscribe('bombDetonated', () => {
+            this.soundManager.play('bomb');
+            for (const player of this.gameState.alivePlayers) {
+                this.inputHandler.gamepads.rumble(player.index, { duration: 200, strong: 0.5, weak: 0.2 });
+            }
+        });
+
+        events.subscribe('powerUpSpawned', () => {
+            this.soundManager.play('powerUpSpawn');
+        });
+
+        events.subscribe('powerUpCollected', ({ player }) => {
+            this.soundManager.play('powerUpCollected');
+            this.inputHandler.gamepads.rumble(player.index, { duration: 80, strong: 0, weak: 0.5 });
+        });
+
+        events.subscribe('shieldBroken', (player) => {
+            this.soundManager.play('shieldBroken');
+            this.inputHandler.gamepads.rumble(player.index, { duration: 250, strong: 0.7, weak: 0.5 });
+        });
+
+        events.subscribe('playerDashed', () => {
+            this.soundManager.play('dash');
+        });
+
+        events.subscribe('bump', ({ first, second, impact }) => {
+            this.soundManager.play('bump');
+            for (const player of [first, second]) {
+                this.inputHandler.gamepads.rumble(player.index, { duration: 100, strong: impact, weak: 0.3 });
+            }
+        });
     }
 
     startGameLoop() {
+        // The loop runs across restarts, only start it once
+        if (this.animationFrameId) return;
+
         this.lastFrameTime = performance.now();
+        this.accumulator = 0;
         this.animationFrameId = requestAnimationFrame(this.boundGameLoop);
     }
 
     gameLoop(timestamp) {
-        const deltaTime = timestamp - this.lastFrameTime;
+        // Clamp long frames (e.g. after a background tab) so we don't spiral
+        const deltaTime = Math.min(timestamp - this.lastFrameTime, GameConfig.MAX_FRAME_TIME);
         this.lastFrameTime = timestamp;
 
-        // Update game state
-        this.update(deltaTime);
+        this.inputHandler.poll();
+
+        if (this.isEditingMap) {
+            this.renderer.renderMapEditor(this.mapEditor);
+
+            this.animationFrameId = requestAnimationFrame(this.boundGameLoop);
+            return;
+        }
+
+        if (this.replayPlayer) {
+            this.replayPlayer.advance(Math.max(0, deltaTime));
+            this.replayControls.update(this.replayPlayer);
+            this.renderer.render(this.replayPlayer.gameState, { isReplay: true });
+
+            this.animationFrameId = requestAnimationFrame(this.boundGameLoop);
+            return;
+        }
+
+        // Advance the simulation in fixed ticks, recording inputs for the replay
+        // (online, only our own input goes in and the server has the rest)
+        this.accumulator += this.pauseMenu ? 0 : Math.max(0, deltaTime);
+        while (this.accumulator >= GameConfig.TICK_DURATION) {
+            if (this.onlineMatch) {
+                this.onlineMatch.step(this.inputHandler.getPlayerInput(0));
+            } else {
+                const inputs = this.inputHandler.sampleInputs(this.gameState);
+                this.replayRecorder.recordInputs(inputs);
+                this.simulation.step(inputs);
+            }
+            this.accumulator -= GameConfig.TICK_DURATION;
+        }
+        this.onlineMatch?.interpolateRemotePlayers(timestamp);
 
         // Render
-        this.renderer.render(this.gameState);
+        this.renderer.render(this.gameState, {
+            playerCount: this.playerCount,
+            keyBindings: this.inputHandler.keyBindings,
+            controlsMenu: this.controlsMenu,
+            statsScreen: this.statsScreen,
+            gamepadPlayers: [...this.inputHandler.gamepads.assignments.keys()],
+            botDifficulties: this.botDifficulties,
+            mapName: this.map.name,
+            tileMix: this.tileMix,
+            seriesLength: this.canPlaySeries() ? this.seriesLength : null,
+            series: this.series,
+            tournament: this.tournament,
+            fallSchedule: this.map.fallSchedule ? null : this.fallSchedule,
+            suddenDeathTime: this.suddenDeathTime,
+            touchInput: this.inputHandler.touch.isActive ? this.inputHandler.touch : null,
+            pauseMenu: this.pauseMenu,
+            isOnline: Boolean(this.onlineMatch),
+            playerLabels: this.onlineMatch?.getPlayerLabels() ?? this.matchLabels,
+            endless: this.getEndlessUI(),
+        });
 
         // Continue loop (always running for animations)
         this.animationFrameId = requestAnimationFrame(this.boundGameLoop);
     }
 
-    update(deltaTime) {
-        // Update player positions based on input (only when game is in progress)
-        if (this.gameState.matchPhase === MatchPhase.InProgress) {
-            this.inputHandler.updatePlayers(deltaTime);
+    stopGameLoop() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
         }
+    }
+
+    handleGameOver(winner) {
+        this.soundManager.stopBackgroundMusic();
+        this.recordStats(winner);
 
-        // Update player animations (wobble and eye)
-        this.updatePlayerAnimations(deltaTime);
+        if (this.series) {
+            // In 2v2 the series is between the teams
+            this.series.recordRound((this.teamMode === TeamMode.Teams ? winner?.team : winner?.index) ?? null);
+            if (this.series.isOver && this.tournament) {
+                this.tournament.recordWinner(this.series.champion);
+            }
+        }
 
-        // Update tile animations (always update for jiggle effect)
-        this.updateTileAnimations(deltaTime);
+        // Continue the game loop for end screen rendering
+        // The game over screen will be rendered in the normal render loop
     }
 
-    updatePlayerAnimations(deltaTime) {
-        for (const player of this.gameState.players) {
-            player.updateWobble(deltaTime);
-            player.updateEye(deltaTime);
+    handleGameOverKey(e) {
+        if (e.code === 'KeyF') {
+            e.preventDefault();
+            this.downloadReplay();
+        } else if (e.code === 'KeyE') {
+            e.preventDefault();
+            this.openMapEditor();
+        } else if (e.code === 'Escape' && this.series) {
+            e.preventDefault();
+            this.endSeries();
+            this.restart();
+        } else if (e.code === 'KeyR' || e.code === 'KeyT') {
+            e.preventDefault();
+
+            // R rolls a fresh seed, T replays the same one
+            const seed = e.code === 'KeyT' ? this.gameState.seed : Random.generateSeed();
+            this.continueAfterGameOver(seed);
         }
     }
 
-    updateTileAnimations(deltaTime) {
-        // Get tiles that have players on them
-        const tilesWithPlayers = new Set();
-        for (const player of this.gameState.alivePlayers) {
-            const tile = this.gameState.getPlayerCurrentTile(player);
-            if (tile) {
-                tilesWithPlayers.add(tile);
+    recordStats(winner) {
+        // Local matches only, online ones belong to the server
+        if (!this.matchTracker) return;
+
+        const names = this.gameState.players.map(player => this.getProfileName(player.index));
+        this.stats.recordMatch({
+            mapName: this.map.name,
+            mode: this.getModeName(),
+            seed: this.gameState.seed,
+            results: this.matchTracker.getResults(names),
+            winner: winner?.index ?? null,
+            isCoop: this.teamMode === TeamMode.Coop,
+        });
+
+        if (this.simulation.endless) {
+            const player = this.gameState.players[0];
+            this.endlessResult = this.stats.recordEndlessRun({
+                mapName: this.map.name,
+                name: names[0],
+                score: Math.floor(player.score),
+                survivalTime: player.survivalTime,
+                seed: this.gameState.seed,
+            });
+        }
+    }
+
+    /**
+     * Score, personal best and high scores for the HUD in an endless run
+     */
+    getEndlessUI() {
+        if (this.onlineMatch || !this.simulation.endless) return null;
+
+        return {
+            personalBest: this.stats.getPersonalBest(this.map.name, this.getProfileName(0)),
+            highScores: this.stats.getHighScores(this.map.name),
+            result: this.endlessResult,
+        };
+    }
+
+    /**
+     * Stats profile a player slot plays under: their bracket name, or the slot
+     */
+    getProfileName(playerIndex) {
+        if (this.matchLabels) return this.matchLabels[playerIndex];
+
+        const difficulty = this.botDifficulties[playerIndex];
+        return difficulty
+            ? `${difficulty[0].toUpperCase()}${difficulty.slice(1)} Bot`
+            : PlayerConfig[playerIndex].name;
+    }
+
+    getModeName() {
+        if (this.playerCount === 1) return 'Endless';
+        if (this.teamMode === TeamMode.Teams) return '2v2 Teams';
+        if (this.teamMode === TeamMode.Coop) return `Co-op (${this.playerCount} Players)`;
+        return `${this.playerCount} Players`;
+    }
+
+    openStats() {
+        this.statsScreen = new StatsScreen(this.stats, {
+            onExport: () => this.downloadStats(),
+            onImport: () => this.statsFileInput.click(),
+        });
+    }
+
+    downloadStats() {
+        const blob = new Blob([JSON.stringify(this.stats.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'single-cell-stats.json';
+        link.click();
+
+        URL.revokeObjectURL(url);
+        this.statsScreen.message = `Saved ${link.download}`;
+    }
+
+    /**
+     * Next round of the series, next match of the bracket, or a plain restart
+     */
+    continueAfterGameOver(seed = Random.generateSeed()) {
+        if (this.series?.isOver) {
+            if (this.tournament?.isOver) {
+                this.endSeries();
+            } else if (this.tournament) {
+                this.series = new Series(this.seriesLength, 2);
+                this.matchLabels = this.tournament.getMatchNames();
+            } else {
+                this.series = this.createSeries();
             }
         }
+        this.restart(seed);
+    }
+
+    restart(seed = Random.generateSeed()) {
+        this.pauseMenu = null;
+
+        // Don't stop the game loop - it will continue for the new game
+        this.gameState.reset();
+        this.initialize(this.playerCount, seed);
+
+        // Rounds of a series follow straight on from each other
+        if (this.series) {
+            this.simulation.startMatch();
+        }
+    }
+
+    startTournament(names) {
+        try {
+            this.tournament = new Tournament(names);
+        } catch (e) {
+            this.bracketPanel.setStatus(e.message);
+            return;
+        }
+
+        // Every bracket match is two people sharing the keyboard
+        this.bracketPanel.hide();
+        this.botDifficulties = [];
+        this.teamMode = TeamMode.FreeForAll;
+        this.playerCount = 2;
+        this.series = new Series(this.seriesLength, 2);
+        this.matchLabels = this.tournament.getMatchNames();
+        this.restart();
+    }
+
+    endSeries() {
+        this.series = null;
+        this.tournament = null;
+        this.matchLabels = null;
+    }
+
+    initializeGamepads() {
+        const gamepads = this.inputHandler.gamepads;
+
+        gamepads.events.subscribe('buttonPressed', (press) => this.handleGamepadButton(press));
 
-        // Update all tiles (including shattering ones)
-        for (const [_, tile] of this.gameState.board) {
-            // Update shattering animation
-            if (tile.isShattering) {
-                tile.updateShatter(deltaTime);
-                tile.getShatterProgress(); // This will call fall() when done
-                continue; // Skip other updates for shattering tiles
+        gamepads.events.subscribe('connected', () => {
+            if (this.isMatchLive()) {
+                this.pauseMatch('Controller connected. Press a button on it to take over a player.');
             }
+        });
+
+        gamepads.events.subscribe('disconnected', ({ playerIndex }) => {
+            if (playerIndex === null) return;
 
-            if (!tile.isActive) continue;
+            this.orphanedPlayerIndex = playerIndex;
+            if (this.gameState.matchPhase === MatchPhase.WaitingToStart && !this.onlineMatch) {
+                // Nobody's started yet: a player left without controls goes back to a bot
+                this.fillKeylessSeats();
+                this.setupBots();
+            } else if (this.isMatchLive()) {
+                const name = this.gameState.players[playerIndex]?.name ?? `Player ${playerIndex + 1}`;
+                this.pauseMatch(`${name}'s controller disconnected. Reconnect it and press a button.`);
+            }
+        });
+    }
 
-            // Update jiggle animation (works in all phases)
-            tile.updateJiggle(deltaTime);
+    handleGamepadButton({ gamepadIndex, button, playerIndex }) {
+        if (this.replayPlayer || this.network) return;
 
-            // Update sink animation based on whether player is on it
-            tile.updateSink(tilesWithPlayers.has(tile), deltaTime);
+        if (this.pauseMenu) {
+            if (playerIndex === null) {
+                this.assignGamepadMidMatch(gamepadIndex);
+            }
+            this.resumeMatch();
+            return;
+        }
+
+        switch (this.gameState.matchPhase) {
+            case MatchPhase.WaitingToStart:
+                // New controllers join, Start on a joined one starts the match
+                if (playerIndex === null) {
+                    this.assignGamepadToOpenSlot(gamepadIndex);
+                } else if (button === GamepadButton.Start) {
+                    this.startMatch();
+                }
+                break;
+            case MatchPhase.Spawning:
+            case MatchPhase.InProgress:
+                if (button === GamepadButton.Start && playerIndex !== null) {
+                    this.pauseMatch('Take a breather.');
+                }
+                break;
+            case MatchPhase.GameOver:
+                if (button === GamepadButton.Start || button === GamepadButton.A) {
+                    this.continueAfterGameOver();
+                }
+                break;
         }
     }
 
-    stopGameLoop() {
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
+    assignGamepadToOpenSlot(gamepadIndex) {
+        const gamepads = this.inputHandler.gamepads;
+
+        // Players a bot only has for want of keys come first, then the next free one
+        const isKeyless = (i) => PlayerConfig[i].keys === null;
+        const isOpen = (i) => !gamepads.hasGamepad(i) && (!this.isBot(i) || isKeyless(i));
+        const slots = [...Array(GameConfig.MAX_PLAYERS).keys()];
+        const playerIndex = slots.find(i => i < this.playerCount && isKeyless(i) && isOpen(i)) ?? slots.find(isOpen);
+        if (playerIndex === undefined) return;
+
+        gamepads.assign(playerIndex, gamepadIndex);
+        this.botDifficulties[playerIndex] = null;
+        if (playerIndex >= this.playerCount) {
+            this.setPlayerCount(playerIndex + 1);
+        } else {
+            this.setupBots();
         }
     }
 
-    handleGameOver() {
-        this.tileFallManager.stop();
+    assignGamepadMidMatch(gamepadIndex) {
+        const gamepads = this.inputHandler.gamepads;
+
+        // Give it back to whoever lost theirs, else the first player without one
+        let playerIndex = this.orphanedPlayerIndex;
+        if (playerIndex === null || gamepads.hasGamepad(playerIndex)) {
+            playerIndex = this.gameState.players.findIndex(player =>
+                !gamepads.hasGamepad(player.index) && !this.isBot(player.index));
+        }
+
+        if (playerIndex >= 0 && playerIndex < this.playerCount) {
+            gamepads.assign(playerIndex, gamepadIndex);
+            this.orphanedPlayerIndex = null;
+        }
+    }
+
+    handleTap({ x, y }) {
+        // The editor handles its own pointer, toolbar included
+        if (this.replayPlayer || this.isEditingMap) return;
+
+        // Buttons are laid out by the renderer as it draws them
+        const target = this.renderer.hitTest(x, y);
+        if (!target) return;
+
+        // Dash buttons work online too, the rest are local-only
+        if (target.startsWith('dash-')) {
+            this.inputHandler.pressDash(Number(target.slice('dash-'.length)));
+            return;
+        }
+        if (this.network) return;
+
+        if (target.startsWith('pause-') && this.pauseMenu) {
+            this.choosePauseOption(target.slice('pause-'.length));
+        } else if (target === 'pause') {
+            this.pauseMatch('Take a breather.');
+        } else if (target === 'start') {
+            this.startMatch();
+        } else if (target === 'restart') {
+            this.continueAfterGameOver();
+        } else if (target === 'rounds') {
+            this.cycleSeriesLength();
+        } else if (target === 'stats') {
+            this.openStats();
+        } else if (target.startsWith('stats-tab-') && this.statsScreen) {
+            this.statsScreen.selectTab(target.slice('stats-tab-'.length));
+        } else if (target.startsWith('stats-profile-') && this.statsScreen) {
+            this.statsScreen.selectedProfile = Number(target.slice('stats-profile-'.length));
+        } else if (target === 'map') {
+            this.cycleMap();
+        } else if (target === 'tiles') {
+            this.cycleTileMix();
+        } else if (target === 'falls') {
+            this.cycleFallSchedule();
+        } else if (target === 'sudden-death') {
+            this.cycleSuddenDeathTime();
+        } else if (target === 'team-mode') {
+            this.cycleTeamMode();
+        } else if (target === 'edit-map') {
+            this.openMapEditor();
+        } else if (target.startsWith('players-')) {
+            this.setPlayerCount(Number(target.slice('players-'.length)));
+        } else if (target.startsWith('bot-')) {
+            this.cycleBot(Number(target.slice('bot-'.length)));
+        } else if (target.startsWith('rebind-') && this.controlsMenu) {
+            const [playerIndex, actionIndex] = target.slice('rebind-'.length).split('-').map(Number);
+            this.controlsMenu.select(playerIndex, actionIndex);
+        }
+    }
+
+    isMatchLive() {
+        const phase = this.gameState.matchPhase;
+        return !this.replayPlayer && !this.onlineMatch &&
+            (phase === MatchPhase.Spawning || phase === MatchPhase.InProgress);
+    }
+
+    /**
+     * Freeze the match where it is: nothing advances the simulation's
+     * clock while paused, so its timers and animations stop with it
+     */
+    pauseMatch(prompt) {
+        // Already paused: just say why it's still paused
+        if (this.pauseMenu) {
+            this.pauseMenu.prompt = prompt;
+            return;
+        }
+
+        this.pauseMenu = new PauseMenu(prompt);
         this.soundManager.stopBackgroundMusic();
+    }
 
-        // Continue the game loop for end screen rendering
-        // The game over screen will be rendered in the normal render loop
+    resumeMatch() {
+        this.pauseMenu = null;
+        this.accumulator = 0;
+        if (this.gameState.matchPhase === MatchPhase.InProgress) {
+            this.soundManager.startBackgroundMusic(this.gameState.isSuddenDeath ? MusicTheme.SuddenDeath : MusicTheme.Calm);
+        }
+    }
+
+    choosePauseOption(option) {
+        if (option === PauseOption.Resume) {
+            this.resumeMatch();
+        } else if (option === PauseOption.Restart) {
+            // Straight into a fresh match (a series round already starts itself)
+            this.restart();
+            if (this.gameState.matchPhase === MatchPhase.WaitingToStart) {
+                this.startMatch();
+            }
+        } else if (option === PauseOption.Quit) {
+            this.endSeries();
+            this.restart();
+        }
+    }
+
+    initializeReplayUI() {
+        this.replayControls = new ReplayControls(document.getElementById('replay-controls'), {
+            onTogglePause: () => this.replayPlayer.togglePause(),
+            onSpeedChange: (speed) => this.replayPlayer.setSpeed(speed),
+            onSeek: (tick) => this.replayPlayer.seek(tick),
+            onExit: () => this.exitReplay(),
+        });
+
+        this.replayFileInput = document.getElementById('replay-file');
+        this.replayFileInput.addEventListener('change', async () => {
+            const file = this.replayFileInput.files[0];
+            this.replayFileInput.value = '';
+            if (!file) return;
+
+            try {
+                this.enterReplay(ReplayPlayer.fromJSON(await file.text()));
+            } catch (e) {
+                console.error('Could not load replay:', e.message);
+            }
+        });
+    }
+
+    initializeStatsUI() {
+        this.statsFileInput = document.getElementById('stats-file');
+        this.statsFileInput.addEventListener('change', async () => {
+            const file = this.statsFileInput.files[0];
+            this.statsFileInput.value = '';
+            if (!file) return;
+
+            let message = `Imported ${file.name}`;
+            try {
+                this.stats.import(await file.text());
+            } catch (e) {
+                message = e.message;
+            }
+            if (this.statsScreen) {
+                this.statsScreen.message = message;
+            }
+        });
+    }
 
-        // Listen for restart
-        this.bindRestartKey();
+    initializeBracketUI() {
+        this.bracketPanel = new BracketPanel(document.getElementById('bracket'), {
+            onStart: (names) => this.startTournament(names),
+            onCancel: () => this.bracketPanel.hide(),
+        });
     }
 
-    bindRestartKey() {
-        const handleRestart = (e) => {
-            if (e.code === 'KeyR') {
+    initializeMapEditorUI() {
+        this.mapFileInput = document.getElementById('map-file');
+        this.mapFileInput.addEventListener('change', async () => {
+            const file = this.mapFileInput.files[0];
+            this.mapFileInput.value = '';
+            if (!file || !this.mapEditor) return;
+
+            try {
+                this.mapEditor.loadMap(parseMap(await file.text()));
+            } catch (e) {
+                this.mapEditor.message = e.message;
+            }
+        });
+
+        // Painting needs drags and the right button, not just taps
+        this.canvas.addEventListener('pointerdown', (e) => this.handleEditorPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handleEditorPointerMove(e));
+        this.canvas.addEventListener('pointerup', () => this.mapEditor?.pointerUp());
+        this.canvas.addEventListener('pointercancel', () => this.mapEditor?.pointerUp());
+        this.canvas.addEventListener('contextmenu', (e) => {
+            if (this.isEditingMap) {
                 e.preventDefault();
-                document.removeEventListener('keydown', handleRestart);
-                this.restart();
             }
+        });
+    }
+
+    openMapEditor() {
+        // Pick up where the last test run left off, or start from the current map
+        if (this.mapName !== 'custom' || !this.mapEditor) {
+            this.mapEditor = new MapEditor(this.map, {
+                onTest: (map) => this.testCustomMap(map),
+                onImport: () => this.mapFileInput.click(),
+                onExport: () => this.downloadMap(),
+                onExit: () => this.closeMapEditor(),
+            });
+            this.mapEditor.name = `${this.map.name} (edited)`;
+        }
+
+        this.soundManager.stopBackgroundMusic();
+        this.endSeries();
+        this.pauseMenu = null;
+        this.isEditingMap = true;
+        this.inputHandler.touch.setPlayerCount(0);
+    }
+
+    closeMapEditor() {
+        this.isEditingMap = false;
+        this.mapEditor.pointerUp();
+        this.initialize(this.playerCount, this.gameState.seed);
+    }
+
+    testCustomMap(map) {
+        this.customMap = map;
+        this.mapName = 'custom';
+        this.closeMapEditor();
+        this.simulation.startMatch();
+    }
+
+    getEditorPointer(e) {
+        const { x, y } = this.inputHandler.touch.getPointerPosition(e);
+        return {
+            x,
+            y,
+            hex: this.renderer.screenToHex(x, y),
         };
-        document.addEventListener('keydown', handleRestart);
     }
 
-    restart() {
-        this.playersSpawnStarted = false;
-        // Don't stop the game loop - it will continue for the new game
-        this.gameState.reset();
-        this.initialize(this.playerCount);
+    handleEditorPointerDown(e) {
+        if (!this.isEditingMap) return;
+
+        e.preventDefault();
+        const { x, y, hex } = this.getEditorPointer(e);
+
+        // Toolbar buttons first, the board gets everything else (this also
+        // swallows the title-screen tap that just opened the editor)
+        const target = this.renderer.hitTest(x, y);
+        if (target) {
+            this.handleEditorButton(target);
+            return;
+        }
+
+        this.canvas.setPointerCapture?.(e.pointerId);
+        this.mapEditor.pointerDown(hex, e.button === 2);
+    }
+
+    handleEditorPointerMove(e) {
+        if (!this.isEditingMap) return;
+
+        this.mapEditor.pointerMove(this.getEditorPointer(e).hex);
+    }
+
+    handleEditorButton(target) {
+        const editor = this.mapEditor;
+        const paintType = target.slice('editor-paint-'.length);
+
+        if (PAINT_TYPES.includes(paintType)) {
+            editor.selectPaint(paintType);
+        } else if (target === 'editor-erase') {
+            editor.selectTool(EditorTool.Erase);
+        } else if (target === 'editor-spawn') {
+            editor.selectTool(EditorTool.Spawn);
+        } else if (target === 'editor-symmetry') {
+            editor.cycleSymmetry();
+        } else if (target === 'editor-undo') {
+            editor.undo();
+        } else if (target === 'editor-redo') {
+            editor.redo();
+        } else if (target === 'editor-clear') {
+            editor.clear();
+        } else if (target === 'editor-shrink') {
+            editor.resize(-1);
+        } else if (target === 'editor-grow') {
+            editor.resize(1);
+        } else if (target === 'editor-import') {
+            editor.onImport();
+        } else if (target === 'editor-export') {
+            editor.onExport();
+        } else if (target === 'editor-test') {
+            editor.test();
+        } else if (target === 'editor-exit') {
+            editor.onExit();
+        }
+    }
+
+    downloadMap() {
+        const map = this.mapEditor.toMap();
+        if (!map) return;
+
+        const blob = new Blob([JSON.stringify(map)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const slug = map.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `single-cell-map-${slug}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+        this.mapEditor.message = `Saved ${link.download}`;
+    }
+
+    initializeLobbyUI() {
+        this.lobbyPanel = new LobbyPanel(document.getElementById('lobby'), {
+            onCreate: (name) => this.network?.send(ClientMessage.CreateRoom, { name }),
+            onJoin: (name, code) => this.network?.send(ClientMessage.JoinRoom, { name, code }),
+            onStart: () => this.network?.send(ClientMessage.StartMatch),
+            onLeave: () => this.leaveOnline(),
+        });
+    }
+
+    openLobby() {
+        if (this.network) return;
+
+        this.lobbyPanel.show();
+        this.lobbyPanel.setStatus(`Connecting to ${this.serverUrl}…`);
+
+        const network = new NetworkClient(this.serverUrl);
+        network.events.subscribe('open', () => {
+            this.lobbyPanel.setStatus('Connected. Create a room, or enter a code to join one.');
+        });
+        network.events.subscribe('close', () => this.handleDisconnect(network));
+        network.events.subscribe(ServerMessage.Lobby, (lobby) => this.lobbyPanel.showRoom(lobby));
+        network.events.subscribe(ServerMessage.MatchStarting, (match) => this.startOnlineMatch(match));
+        network.events.subscribe(ServerMessage.Error, ({ message }) => {
+            console.warn('Server:', message);
+            this.lobbyPanel.setStatus(message);
+        });
+
+        this.network = network;
+        network.connect();
+    }
+
+    startOnlineMatch(match) {
+        this.onlineMatch?.dispose();
+        this.onlineMatch = new OnlineMatch(this.network, match);
+
+        // The online match's mirror simulation stands in for the local one
+        this.simulation = this.onlineMatch.simulation;
+        this.replayRecorder = null;
+        this.matchTracker = null;
+        this.pauseMenu = null;
+        this.controlsMenu = null;
+        this.statsScreen = null;
+        this.endSeries();
+        this.accumulator = 0;
+
+        // Online we play with Player 1's controls, whichever slot we're in
+        this.inputHandler.clearBots();
+        this.inputHandler.touch.setPlayerCount(1);
+        this.inputHandler.touch.setTeamMode(TeamMode.FreeForAll);
+        this.inputHandler.touch.setBotPlayers([]);
+
+        this.lobbyPanel.hide();
+        this.subscribeToEvents();
+    }
+
+    handleOnlineKey(e) {
+        if (e.code === 'Escape') {
+            e.preventDefault();
+            this.leaveOnline();
+        } else if (e.code === 'KeyR' && this.onlineMatch && this.gameState.matchPhase === MatchPhase.GameOver) {
+            e.preventDefault();
+            this.network.send(ClientMessage.StartMatch);
+        }
+    }
+
+    leaveOnline() {
+        const network = this.network;
+        this.lobbyPanel.hide();
+        this.handleDisconnect(network);
+        network?.disconnect();
+    }
+
+    handleDisconnect(network) {
+        // Ignore the close of a connection we already left
+        if (!network || network !== this.network) return;
+
+        this.network = null;
+
+        if (this.onlineMatch) {
+            this.onlineMatch.dispose();
+            this.onlineMatch = null;
+            this.soundManager.stopBackgroundMusic();
+            this.initialize(this.playerCount);
+        }
+
+        // Stays up to explain if the panel is still open, press O to retry
+        this.lobbyPanel.setStatus('Disconnected. Is the server running (node server/server.js)? Press O to retry.');
+    }
+
+    handleReplayKey(e) {
+        const seekStep = Math.round(5000 / GameConfig.TICK_DURATION);  // 5 seconds
+
+        switch (e.code) {
+            case 'Space':
+                this.replayPlayer.togglePause();
+                break;
+            case 'ArrowLeft':
+                this.replayPlayer.seek(this.replayPlayer.tick - seekStep);
+                break;
+            case 'ArrowRight':
+                this.replayPlayer.seek(this.replayPlayer.tick + seekStep);
+                break;
+            case 'Comma':
+                this.replayPlayer.changeSpeed(-1);
+                break;
+            case 'Period':
+                this.replayPlayer.changeSpeed(1);
+                break;
+            case 'Escape':
+                this.exitReplay();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    enterReplay(replayPlayer) {
+        this.replayPlayer = replayPlayer;
+        this.replayControls.show(replayPlayer);
+    }
+
+    exitReplay() {
+        this.replayPlayer = null;
+        this.replayControls.hide();
+    }
+
+    downloadReplay() {
+        const replay = this.replayRecorder.toJSON();
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `single-cell-replay-${replay.seed}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
     }
 }
@@ -1,58 +1,95 @@
 import { EventEmitter } from '../core/types.js';
+import { Random } from '../core/random.js';
+import { GameClock } from '../core/clock.js';
 import { MatchPhase, GameConfig, PlayerConfig } from '../core/config.js';
-import { generateHexGrid, axialToPixel, pixelToAxial, HexPosition } from '../core/hexUtils.js';
-import { Tile } from '../actors/Tile.js';
+import { axialToPixel, pixelToAxial, HexPosition } from '../core/hexUtils.js';
+import { Tile, TileType } from '../actors/Tile.js';
 import { Player } from '../actors/Player.js';
+import { PowerUpType } from '../actors/PowerUp.js';
+import { getMapRadius, getSpawnPositions } from './GameMap.js';
+import { TeamMode, getTeam, getPlayerColor } from './Teams.js';
+import { BUNDLED_MAPS } from '../maps/index.js';
 
 /**
  * Central game state container
  */
 
 export class GameState {
-    constructor() {
+    constructor(seed = Random.generateSeed()) {
+        this.random = new Random(seed);  // Every roll in the match comes from here
         this.board = new Map();          // posKey → Tile
+        this.occupancy = new Map();      // posKey → alive players over it, see updateOccupancy
+        this.powerUps = new Map();       // posKey → PowerUp
+        this.map = BUNDLED_MAPS.classic; // Replaced by initializeBoard
+        this.mapRadius = getMapRadius(this.map);
         this.players = [];
         this.alivePlayers = [];
         this.matchPhase = MatchPhase.WaitingToStart;
+        this.teamMode = TeamMode.FreeForAll;  // See Teams.js
         this.gameStartTime = 0;
+        this.suddenDeathStartTime = null;  // Clock time sudden death starts, null if it won't
         this.events = new EventEmitter();
+        this.clock = new GameClock();    // Simulated time, advanced by Simulation.step
 
         // Canvas center (set during initialization)
         this.centerX = 0;
         this.centerY = 0;
     }
 
-    initializeBoard(centerX, centerY) {
+    /**
+     * Lay out the map's tiles (see GameMap.js). tileTypes gives the chance
+     * of each special TileType (see TILE_MIXES) for tiles the map leaves
+     * untyped; with none, those are all normal
+     */
+    initializeBoard(centerX, centerY, map = BUNDLED_MAPS.classic, tileTypes = {}) {
         this.centerX = centerX;
         this.centerY = centerY;
+        this.map = map;
+        this.mapRadius = getMapRadius(map);
         this.board.clear();
+        this.occupancy.clear();
 
-        const positions = generateHexGrid(GameConfig.GRID_RADIUS);
+        const hasSpecialTiles = Object.keys(tileTypes).length > 0;
 
         // Create tiles with staggered spawn animations
-        for (let i = 0; i < positions.length; i++) {
-            const pos = positions[i];
-            const tile = new Tile(pos);
+        for (const [q, r, mapType] of map.tiles) {
+            const pos = new HexPosition(q, r);
+            const type = mapType ?? (hasSpecialTiles ? this.rollTileType(tileTypes) : TileType.Normal);
+            const tile = new Tile(pos, this.random, type);
 
             // Random delay based on distance from center + randomness
             const distance = pos.distance(new HexPosition(0, 0));
             const baseDelay = distance * 50; // 50ms per ring
-            const randomDelay = Math.random() * 200; // Up to 200ms random
+            const randomDelay = this.random.next() * 200; // Up to 200ms random
 
             tile.startSpawnAnimation(baseDelay + randomDelay);
             this.board.set(pos.toKey(), tile);
         }
     }
 
+    rollTileType(tileTypes) {
+        let roll = this.random.next();
+        for (const [type, chance] of Object.entries(tileTypes)) {
+            if (roll < chance) return type;
+            roll -= chance;
+        }
+        return TileType.Normal;
+    }
+
     initializePlayers(playerConfigs) {
         this.players = [];
 
+        // The map's spawns in order, or spread evenly around a ring just inside the edge
+        const spawnPositions = getSpawnPositions(this.map, playerConfigs.length);
+
         for (let i = 0; i < playerConfigs.length; i++) {
             const config = playerConfigs[i];
-            const startPos = new HexPosition(config.startQ, config.startR);
+            const startPos = spawnPositions[i];
             const pixel = axialToPixel(startPos, GameConfig.HEX_SIZE, this.centerX, this.centerY);
 
-            const player = new Player(i, config, pixel.x, pixel.y);
+            const player = new Player(i, config, pixel.x, pixel.y, this.random);
+            player.team = getTeam(i, this.teamMode);
+            player.color = getPlayerColor(i, this.teamMode, config.color);
             this.players.push(player);
         }
 
@@ -104,6 +141,14 @@ export class GameState {
         }
     }
 
+    crackTile(posKey) {
+        const tile = this.board.get(posKey);
+        if (tile && tile.isActive) {
+            tile.crack();
+            this.events.emit('tileCracked', posKey);
+        }
+    }
+
     removeTile(posKey) {
         const tile = this.board.get(posKey);
         if (tile) {
@@ -112,49 +157,177 @@ export class GameState {
         }
     }
 
+    /**
+     * A player has lost their footing: a shield catches them once and puts
+     * them on the nearest safe tile, otherwise they fall
+     */
+    dropPlayer(player) {
+        if (player.effects.has(PowerUpType.Shield)) {
+            const tile = this.findNearestSafeTile(player.x, player.y);
+            if (tile) {
+                const pixel = axialToPixel(tile.position, GameConfig.HEX_SIZE, this.centerX, this.centerY);
+                player.effects.delete(PowerUpType.Shield);
+                player.x = pixel.x;
+                player.y = pixel.y;
+                player.vx = 0;
+                player.vy = 0;
+                player.knockbackX = 0;
+                player.knockbackY = 0;
+                player.dashTimeLeft = 0;
+                this.events.emit('shieldBroken', player);
+                return;
+            }
+        }
+
+        player.startFalling();
+        this.eliminatePlayer(player);
+    }
+
+    findNearestSafeTile(x, y) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const [_, tile] of this.board) {
+            if (!tile.isActive || tile.isShattering || tile.isWarning) continue;
+
+            const pixel = axialToPixel(tile.position, GameConfig.HEX_SIZE, this.centerX, this.centerY);
+            const distance = Math.hypot(pixel.x - x, pixel.y - y);
+            if (distance < nearestDistance) {
+                nearest = tile;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
     eliminatePlayer(player) {
         player.isAlive = false;
-        player.survivalTime = performance.now() - this.gameStartTime;
+        player.survivalTime = this.clock.now - this.gameStartTime;
         this.alivePlayers = this.alivePlayers.filter(p => p !== player);
+        this.leaveOccupancy(player);
         this.events.emit('playerEliminated', player);
 
         // Delay game over until falling animation completes
-        if (this.alivePlayers.length <= 1) {
-            setTimeout(() => {
-                // Double-check still at end game (in case of restart)
-                if (this.alivePlayers.length <= 1 && this.matchPhase === MatchPhase.InProgress) {
+        if (this.isMatchDecided()) {
+            this.clock.schedule(player.fallDuration, () => {
+                // Double-check still at end game (another elimination may have ended it)
+                if (this.isMatchDecided() && this.matchPhase === MatchPhase.InProgress) {
                     this.matchPhase = MatchPhase.GameOver;
                     this.events.emit('gameOver', this.alivePlayers[0] || null);
                 }
-            }, player.fallDuration);
+            });
         }
     }
 
+    /**
+     * Whether the match is over: one cell (or one team's cells) left
+     * standing, or in co-op nobody
+     */
+    isMatchDecided() {
+        if (this.teamMode === TeamMode.Coop) {
+            return this.alivePlayers.length === 0;
+        }
+        if (this.teamMode === TeamMode.Teams) {
+            return new Set(this.alivePlayers.map(player => player.team)).size <= 1;
+        }
+        return this.alivePlayers.length <= 1;
+    }
+
+    areOpponents(first, second) {
+        return first !== second && (first.team === null || first.team !== second.team);
+    }
+
+    /**
+     * Co-op score: every player's survival time added up, the ones still
+     * standing counted up to now
+     */
+    getCombinedSurvivalTime() {
+        const matchTime = this.clock.now - this.gameStartTime;
+        return this.players.reduce((total, player) => total + (player.isAlive ? matchTime : player.survivalTime), 0);
+    }
+
+    /**
+     * Work out which hex every alive player is over. Simulation calls this
+     * once a tick, after cells move, so tile and power-up logic can look
+     * players up by tile instead of checking every player against every
+     * tile (which doesn't scale to big boards).
+     */
+    updateOccupancy() {
+        this.occupancy.clear();
+
+        for (const player of this.alivePlayers) {
+            const posKey = pixelToAxial(player.x, player.y, GameConfig.HEX_SIZE, this.centerX, this.centerY).toKey();
+            const players = this.occupancy.get(posKey);
+            if (players) {
+                players.push(player);
+            } else {
+                this.occupancy.set(posKey, [player]);
+            }
+        }
+    }
+
+    /**
+     * Take an eliminated player off the map straight away rather than at
+     * the next tick, so a second fall the same tick doesn't find them
+     */
+    leaveOccupancy(player) {
+        for (const [posKey, players] of this.occupancy) {
+            if (!players.includes(player)) continue;
+
+            const remaining = players.filter(p => p !== player);
+            if (remaining.length > 0) {
+                this.occupancy.set(posKey, remaining);
+            } else {
+                this.occupancy.delete(posKey);
+            }
+        }
+    }
+
+    /**
+     * Alive players on a tile, as of this tick's updateOccupancy
+     */
     checkPlayersOnTile(posKey) {
-        const tile = this.board.get(posKey);
-        if (!tile) return [];
+        if (!this.board.has(posKey)) return [];
+        return this.occupancy.get(posKey) ?? [];
+    }
+
+    isTileOccupied(posKey) {
+        return this.board.has(posKey) && this.occupancy.has(posKey);
+    }
 
-        const hexPos = HexPosition.fromKey(posKey);
-        const tilePixel = axialToPixel(hexPos, GameConfig.HEX_SIZE, this.centerX, this.centerY);
+    get isSuddenDeath() {
+        return this.suddenDeathStartTime !== null && this.clock.now >= this.suddenDeathStartTime;
+    }
+
+    /**
+     * ms until sudden death starts or, once it has, until the next ring
+     * warns; null in a match without sudden death
+     */
+    getSuddenDeathCountdown() {
+        if (this.suddenDeathStartTime === null) return null;
+
+        const elapsed = this.clock.now - this.suddenDeathStartTime;
+        if (elapsed < 0) return -elapsed;
+
+        const interval = GameConfig.SUDDEN_DEATH_RING_INTERVAL;
+        return interval - (elapsed % interval);
+    }
 
-        return this.alivePlayers.filter(player => {
-            const playerHex = pixelToAxial(
-                player.x,
-                player.y,
-                GameConfig.HEX_SIZE,
-                this.centerX,
-                this.centerY
-            );
-            return playerHex.toKey() === posKey;
-        });
+    get seed() {
+        return this.random.seed;
     }
 
-    reset() {
+    reset(seed = this.random.seed) {
+        this.random.setSeed(seed);
         this.board.clear();
+        this.powerUps.clear();
         this.players = [];
         this.alivePlayers = [];
         this.matchPhase = MatchPhase.WaitingToStart;
         this.gameStartTime = 0;
+        this.suddenDeathStartTime = null;
         this.events.clear();
+        this.clock = new GameClock();
     }
 }
@@ -0,0 +1,146 @@
+import { EventEmitter } from '../core/types.js';
+import { NO_INPUT } from './Simulation.js';
+
+/**
+ * Polls the Gamepad API and maps controllers to players
+ *
+ * Left stick (or d-pad) gives proportional movement. Button presses are
+ * emitted as events so menus can use them, and controllers can rumble.
+ */
+
+const STICK_DEADZONE = 0.2;
+
+// Standard gamepad mapping
+export const GamepadButton = Object.freeze({
+    A: 0,
+    B: 1,
+    Start: 9,
+    DpadUp: 12,
+    DpadDown: 13,
+    DpadLeft: 14,
+    DpadRight: 15,
+});
+
+export class GamepadInput {
+    constructor() {
+        this.events = new EventEmitter();
+        this.assignments = new Map();       // playerIndex → gamepad index
+        this.previousButtons = new Map();   // gamepad index → pressed state per button
+
+        this.isSupported = typeof navigator.getGamepads === 'function';
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        window.addEventListener('gamepadconnected', (e) => {
+            this.events.emit('connected', e.gamepad);
+        });
+
+        window.addEventListener('gamepaddisconnected', (e) => {
+            const playerIndex = this.getPlayerForGamepad(e.gamepad.index);
+            this.previousButtons.delete(e.gamepad.index);
+            this.unassignGamepad(e.gamepad.index);
+            this.events.emit('disconnected', { gamepad: e.gamepad, playerIndex });
+        });
+    }
+
+    getGamepads() {
+        if (!this.isSupported) return [];
+        return [...navigator.getGamepads()].filter(Boolean);
+    }
+
+    getGamepad(gamepadIndex) {
+        if (!this.isSupported) return null;
+        return navigator.getGamepads()[gamepadIndex] ?? null;
+    }
+
+    /**
+     * Read button state once per frame and emit presses (rising edges)
+     */
+    poll() {
+        for (const gamepad of this.getGamepads()) {
+            const previous = this.previousButtons.get(gamepad.index) ?? [];
+            const current = gamepad.buttons.map(button => button.pressed);
+
+            current.forEach((pressed, button) => {
+                if (pressed && !previous[button]) {
+                    this.events.emit('buttonPressed', {
+                        gamepadIndex: gamepad.index,
+                        button,
+                        playerIndex: this.getPlayerForGamepad(gamepad.index),
+                    });
+                }
+            });
+
+            this.previousButtons.set(gamepad.index, current);
+        }
+    }
+
+    assign(playerIndex, gamepadIndex) {
+        // A controller drives one player at a time
+        this.unassignGamepad(gamepadIndex);
+        this.assignments.set(playerIndex, gamepadIndex);
+    }
+
+    unassignGamepad(gamepadIndex) {
+        const playerIndex = this.getPlayerForGamepad(gamepadIndex);
+        if (playerIndex !== null) {
+            this.assignments.delete(playerIndex);
+        }
+    }
+
+    getPlayerForGamepad(gamepadIndex) {
+        for (const [playerIndex, index] of this.assignments) {
+            if (index === gamepadIndex) return playerIndex;
+        }
+        return null;
+    }
+
+    hasGamepad(playerIndex) {
+        return this.assignments.has(playerIndex);
+    }
+
+    getPlayerInput(playerIndex) {
+        if (!this.assignments.has(playerIndex)) return NO_INPUT;
+
+        const gamepad = this.getGamepad(this.assignments.get(playerIndex));
+        if (!gamepad) return NO_INPUT;
+
+        // Left stick with a radial deadzone, rescaled so movement starts at 0
+        let x = gamepad.axes[0] ?? 0;
+        let y = gamepad.axes[1] ?? 0;
+        const magnitude = Math.sqrt(x * x + y * y);
+
+        if (magnitude < STICK_DEADZONE) {
+            x = 0;
+            y = 0;
+        } else {
+            const scaled = Math.min((magnitude - STICK_DEADZONE) / (1 - STICK_DEADZONE), 1);
+            x = (x / magnitude) * scaled;
+            y = (y / magnitude) * scaled;
+        }
+
+        // D-pad acts like keys
+        const isPressed = (button) => gamepad.buttons[button]?.pressed;
+        if (isPressed(GamepadButton.DpadUp)) y -= 1;
+        if (isPressed(GamepadButton.DpadDown)) y += 1;
+        if (isPressed(GamepadButton.DpadLeft)) x -= 1;
+        if (isPressed(GamepadButton.DpadRight)) x += 1;
+
+        return (x === 0 && y === 0) ? NO_INPUT : { x, y };
+    }
+
+    rumble(playerIndex, { duration = 150, strong = 0.5, weak = 0.5 } = {}) {
+        if (!this.assignments.has(playerIndex)) return;
+
+        const gamepad = this.getGamepad(this.assignments.get(playerIndex));
+        gamepad?.vibrationActuator?.playEffect?.('dual-rumble', {
+            duration,
+            strongMagnitude: strong,
+            weakMagnitude: weak,
+        }).catch(() => {
+            // Rumble is best-effort, some controllers refuse it
+        });
+    }
+}
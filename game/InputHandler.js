@@ -1,29 +1,68 @@
-import { GameConfig, MatchPhase } from '../core/config.js';
+import { NO_INPUT } from './Simulation.js';
+import { KeyBindings, MENU_KEYS } from './KeyBindings.js';
+import { GamepadInput, GamepadButton } from './GamepadInput.js';
+import { TouchInput } from './TouchInput.js';
 
 /**
- * Handles keyboard input for multiple players with smooth movement
+ * Handles keyboard, gamepad, touch and bot input for multiple players
+ *
+ * Turns held keys, analog sticks, virtual joysticks and bot decisions into
+ * the per-player input vectors that Simulation.step consumes; the movement
+ * physics live in the simulation. Dash presses are latched until the next
+ * tick samples them, so a quick tap between ticks isn't lost.
  */
 
+export function isTextField(element) {
+    return element?.tagName === 'INPUT' || element?.tagName === 'TEXTAREA';
+}
+
 export class InputHandler {
-    constructor(gameState) {
-        this.gameState = gameState;
+    constructor(canvas) {
         this.heldKeys = new Set();
+        this.keyBindings = new KeyBindings();
+        this.gamepads = new GamepadInput();
+        this.touch = new TouchInput(canvas);
+        this.bots = new Map();       // playerIndex → BotController
+        this.dashPresses = new Set();    // Players who pressed dash since the last tick
 
         this.bindEvents();
     }
 
+    /**
+     * Poll devices that don't push events (gamepads), once per frame
+     */
+    poll() {
+        this.gamepads.poll();
+    }
+
     bindEvents() {
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+
+        this.gamepads.events.subscribe('buttonPressed', ({ button, playerIndex }) => {
+            if (playerIndex !== null && button === GamepadButton.A) {
+                this.pressDash(playerIndex);
+            }
+        });
     }
 
     handleKeyDown(e) {
+        // Let text fields (like the online lobby's) have their keys
+        if (isTextField(e.target)) return;
+
         // Prevent default for game keys
         if (this.isGameKey(e.code)) {
             e.preventDefault();
         }
 
         this.heldKeys.add(e.code);
+
+        if (!e.repeat) {
+            const playerIndex = this.keyBindings.players.findIndex(keys => keys.dash === e.code);
+            if (playerIndex !== -1) {
+                this.pressDash(playerIndex);
+            }
+        }
     }
 
     handleKeyUp(e) {
@@ -31,107 +70,66 @@ export class InputHandler {
     }
 
     isGameKey(code) {
-        const gameKeys = [
-            'KeyW', 'KeyA', 'KeyS', 'KeyD',
-            'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
-            'Space', 'KeyR'
-        ];
-        return gameKeys.includes(code);
+        return MENU_KEYS.includes(code) || this.keyBindings.getAllKeys().includes(code);
     }
 
     isKeyHeld(code) {
         return this.heldKeys.has(code);
     }
 
-    updatePlayers(deltaTime) {
-        if (this.gameState.matchPhase !== MatchPhase.InProgress) return;
-
-        for (const player of this.gameState.alivePlayers) {
-            this.updatePlayerMovement(player, deltaTime);
-        }
+    pressDash(playerIndex) {
+        this.dashPresses.add(playerIndex);
     }
 
-    updatePlayerMovement(player, deltaTime) {
-        // Don't move if falling
-        if (player.isFalling) return;
-
-        let inputX = 0;
-        let inputY = 0;
+    setBot(playerIndex, bot) {
+        this.bots.set(playerIndex, bot);
+    }
 
-        // Check which movement keys are held for this player
-        if (this.heldKeys.has(player.keys.up)) inputY -= 1;
-        if (this.heldKeys.has(player.keys.down)) inputY += 1;
-        if (this.heldKeys.has(player.keys.left)) inputX -= 1;
-        if (this.heldKeys.has(player.keys.right)) inputX += 1;
+    clearBots() {
+        this.bots.clear();
+    }
 
-        // Normalize diagonal input
-        if (inputX !== 0 && inputY !== 0) {
-            inputX *= 0.707;
-            inputY *= 0.707;
-        }
+    /**
+     * Sample the current input for each player, indexed by player.index
+     */
+    sampleInputs(gameState) {
+        const inputs = [];
 
-        // Apply acceleration/deceleration with momentum
-        const acceleration = 1200; // pixels/s^2
-        const deceleration = 800; // pixels/s^2
-        const maxSpeed = GameConfig.PLAYER_SPEED;
-        const dt = deltaTime / 1000;
-
-        if (inputX !== 0) {
-            player.vx += inputX * acceleration * dt;
-        } else {
-            // Decelerate
-            if (player.vx > 0) {
-                player.vx = Math.max(0, player.vx - deceleration * dt);
-            } else if (player.vx < 0) {
-                player.vx = Math.min(0, player.vx + deceleration * dt);
-            }
+        for (const player of gameState.players) {
+            const bot = this.bots.get(player.index);
+            inputs[player.index] = bot ? bot.getInput(player, gameState) : this.getPlayerInput(player.index);
         }
 
-        if (inputY !== 0) {
-            player.vy += inputY * acceleration * dt;
-        } else {
-            // Decelerate
-            if (player.vy > 0) {
-                player.vy = Math.max(0, player.vy - deceleration * dt);
-            } else if (player.vy < 0) {
-                player.vy = Math.min(0, player.vy + deceleration * dt);
-            }
-        }
+        // Presses for slots nobody sampled (bots, empty seats) don't carry over
+        this.dashPresses.clear();
+        return inputs;
+    }
 
-        // Clamp to max speed
-        const speed = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
-        if (speed > maxSpeed) {
-            player.vx = (player.vx / speed) * maxSpeed;
-            player.vy = (player.vy / speed) * maxSpeed;
+    /**
+     * Combined keyboard, gamepad and touch input for a player slot
+     */
+    getPlayerInput(playerIndex) {
+        let x = 0;
+        let y = 0;
+
+        // Check which movement keys are held for this player, if they have any
+        const keys = this.keyBindings.getKeys(playerIndex);
+        if (keys) {
+            if (this.heldKeys.has(keys.up)) y -= 1;
+            if (this.heldKeys.has(keys.down)) y += 1;
+            if (this.heldKeys.has(keys.left)) x -= 1;
+            if (this.heldKeys.has(keys.right)) x += 1;
         }
 
-        // Calculate new position
-        const newX = player.x + player.vx * dt;
-        const newY = player.y + player.vy * dt;
-
-        // Squash and stretch based on velocity
-        const velocityMagnitude = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
-        const stretchFactor = Math.min(velocityMagnitude / maxSpeed, 1) * 0.2;
-
-        if (velocityMagnitude > 10) {
-            // Stretch in direction of movement
-            const angle = Math.atan2(player.vy, player.vx);
-            player.scaleX = 1 + Math.abs(Math.cos(angle)) * stretchFactor;
-            player.scaleY = 1 + Math.abs(Math.sin(angle)) * stretchFactor;
-        } else {
-            // Return to normal
-            player.scaleX = 1;
-            player.scaleY = 1;
-        }
+        // Add the assigned controller and virtual joystick (the simulation clamps the sum)
+        const gamepadInput = this.gamepads.getPlayerInput(playerIndex);
+        const touchInput = this.touch.getPlayerInput(playerIndex);
+        x += gamepadInput.x + touchInput.x;
+        y += gamepadInput.y + touchInput.y;
 
-        // Check if new position is on a valid tile - if not, player falls!
-        if (!this.gameState.isTileActive(newX, newY)) {
-            player.startFalling();
-            this.gameState.eliminatePlayer(player);
-            return;
+        if (this.dashPresses.delete(playerIndex)) {
+            return { x, y, dash: true };
         }
-
-        player.x = newX;
-        player.y = newY;
+        return (x === 0 && y === 0) ? NO_INPUT : { x, y };
     }
 }
@@ -0,0 +1,180 @@
+import { PlayerConfig } from '../core/config.js';
+
+/**
+ * Per-player keyboard bindings, persisted to localStorage
+ *
+ * PlayerConfig holds the defaults; anything the players rebind in the
+ * controls menu overrides them and survives reloads. Only the players
+ * PlayerConfig gives keys have bindings.
+ */
+
+const STORAGE_KEY = 'singleCellSurvival.keyBindings';
+const STORAGE_VERSION = 1;
+
+// Actions a player can bind, in menu order
+export const BINDABLE_ACTIONS = Object.freeze(Object.keys(PlayerConfig[0].keys));
+
+// Keys GameMode handles itself on the title, game over and pause screens
+export const MENU_KEYS = Object.freeze([
+    'Space', 'Enter', 'Escape', 'Backspace', 'KeyR', 'KeyT', 'KeyF', 'KeyC', 'KeyO', 'KeyB', 'KeyM', 'KeyE', 'KeyN', 'KeyH', 'KeyP', 'KeyG', 'KeyV', 'Backquote',
+    'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8',
+]);
+
+// Keys that can never be bound to a player action: the menu keys, and
+// ones the map editor and forms rely on
+export const RESERVED_KEYS = Object.freeze([...MENU_KEYS, 'Delete', 'Tab']);
+
+// Short on-screen labels for KeyboardEvent.code values
+const KEY_GLYPHS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: 'LShift',
+    ShiftRight: 'RShift',
+    ControlLeft: 'LCtrl',
+    ControlRight: 'RCtrl',
+    AltLeft: 'LAlt',
+    AltRight: 'RAlt',
+};
+
+export function formatKeyCode(code) {
+    if (!code) return '?';
+    if (KEY_GLYPHS[code]) return KEY_GLYPHS[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num${code.slice(6)}`;
+    return code;
+}
+
+/**
+ * One line about saved keys load() moved off menu keys, for the title
+ * screen and controls menu
+ */
+export function describeMovedKeys(movedKeys) {
+    const moves = movedKeys.map(({ playerIndex, action, from, to }) =>
+        `${PlayerConfig[playerIndex].name} ${action} ${formatKeyCode(from)} → ${to ? formatKeyCode(to) : 'unbound'}`);
+    return `Menus use these keys now, so they were moved: ${moves.join(', ')}`;
+}
+
+export class KeyBindings {
+    constructor() {
+        this.movedKeys = [];   // Saved keys load() had to move off menu keys: { playerIndex, action, from, to }
+        this.players = this.load();
+
+        // Keep the move, so the title screen only has to mention it once
+        if (this.movedKeys.length > 0) {
+            this.save();
+        }
+    }
+
+    static getDefaults() {
+        return PlayerConfig.filter(config => config.keys).map(config => ({ ...config.keys }));
+    }
+
+    /**
+     * A player's keys, or null for a player without any
+     */
+    getKeys(playerIndex) {
+        return this.players[playerIndex] ?? null;
+    }
+
+    getAllKeys() {
+        return this.players.flatMap(keys => Object.values(keys));
+    }
+
+    /**
+     * Find who already uses a key, ignoring one player/action slot
+     * Returns { playerIndex, action } or null
+     */
+    findConflict(code, exceptPlayerIndex, exceptAction) {
+        for (let playerIndex = 0; playerIndex < this.players.length; playerIndex++) {
+            for (const action of BINDABLE_ACTIONS) {
+                if (playerIndex === exceptPlayerIndex && action === exceptAction) continue;
+                if (this.players[playerIndex][action] === code) {
+                    return { playerIndex, action };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Bind a key to a player's action
+     * Returns { ok: true } or { ok: false, reason, conflict? }
+     */
+    rebind(playerIndex, action, code) {
+        if (RESERVED_KEYS.includes(code)) {
+            return { ok: false, reason: 'reserved' };
+        }
+
+        const conflict = this.findConflict(code, playerIndex, action);
+        if (conflict) {
+            return { ok: false, reason: 'conflict', conflict };
+        }
+
+        this.players[playerIndex][action] = code;
+        this.save();
+        return { ok: true };
+    }
+
+    resetToDefaults() {
+        this.players = KeyBindings.getDefaults();
+        this.save();
+    }
+
+    load() {
+        const defaults = KeyBindings.getDefaults();
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved?.version !== STORAGE_VERSION || !Array.isArray(saved.players)) {
+                return defaults;
+            }
+
+            // Take valid saved keys, fall back to defaults for anything missing
+            const players = defaults.map((keys, playerIndex) => {
+                const savedKeys = saved.players[playerIndex] ?? {};
+                for (const action of BINDABLE_ACTIONS) {
+                    if (savedKeys[action] === null) {
+                        keys[action] = null;   // Left unbound by an earlier move
+                    }
+                    if (typeof savedKeys[action] !== 'string') continue;
+
+                    if (RESERVED_KEYS.includes(savedKeys[action]) && savedKeys[action] !== keys[action]) {
+                        this.movedKeys.push({ playerIndex, action, from: savedKeys[action], to: null });
+                    } else {
+                        keys[action] = savedKeys[action];
+                    }
+                }
+                return keys;
+            });
+
+            // A key saved before the menus took it goes back to its default,
+            // or is left unbound if another saved binding has that now
+            for (const move of this.movedKeys) {
+                const fallback = players[move.playerIndex][move.action];
+                const isTaken = players.some((keys, playerIndex) => BINDABLE_ACTIONS.some(action =>
+                    keys[action] === fallback && (playerIndex !== move.playerIndex || action !== move.action)));
+                move.to = isTaken ? null : fallback;
+                players[move.playerIndex][move.action] = move.to;
+                console.warn(`Key ${move.from} is reserved for menus, ${PlayerConfig[move.playerIndex].name} ${move.action} is now ${move.to ?? 'unbound'}`);
+            }
+            return players;
+        } catch (e) {
+            console.warn('Could not load key bindings, using defaults', e);
+            return defaults;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                version: STORAGE_VERSION,
+                players: this.players,
+            }));
+        } catch (e) {
+            console.warn('Could not save key bindings', e);
+        }
+    }
+}
@@ -0,0 +1,377 @@
+import { GameConfig } from '../core/config.js';
+import { Random } from '../core/random.js';
+import { HexPosition, isWithinGrid } from '../core/hexUtils.js';
+import { Tile, TileType } from '../actors/Tile.js';
+import { MAP_VERSION, parseMap, getMapRadius } from './GameMap.js';
+
+/**
+ * Map editor state: paint and erase tiles, place spawns, undo and redo
+ *
+ * Works on hex positions; GameMode turns pointer events into those and
+ * the Renderer draws the result. Each stroke (press, drag, release) is
+ * one undo step. The symmetry brush repeats every stroke across the
+ * board so maps come out fair. The board can be grown well past the
+ * classic one, for big maps.
+ */
+
+export const EditorTool = Object.freeze({
+    Paint: 'paint',
+    Erase: 'erase',
+    Spawn: 'spawn',
+});
+
+export const Symmetry = Object.freeze({
+    None: 'none',
+    Mirror: 'mirror',   // Left-right and top-bottom
+    Rotate: 'rotate',   // Six-fold, around the center
+});
+
+// Paint types in number-key order (1-5)
+export const PAINT_TYPES = Object.freeze(Object.values(TileType));
+
+const SYMMETRY_CYCLE = Object.values(Symmetry);
+const MAX_UNDO_STEPS = 100;
+const MAX_EDITOR_RADIUS = 30;      // Rings, well past the bundled maps
+
+/**
+ * Everywhere the symmetry brush repeats a stroke at pos, including pos
+ */
+export function getSymmetricPositions(pos, symmetry) {
+    const positions = [pos];
+
+    if (symmetry === Symmetry.Mirror) {
+        // Axial reflections across the vertical and horizontal axes, and both
+        positions.push(
+            new HexPosition(-pos.q - pos.r, pos.r),
+            new HexPosition(pos.q + pos.r, -pos.r),
+            new HexPosition(-pos.q, -pos.r),
+        );
+    } else if (symmetry === Symmetry.Rotate) {
+        // 60° steps: (q, r) → (-r, q + r)
+        let rotated = pos;
+        for (let i = 0; i < 5; i++) {
+            rotated = new HexPosition(-rotated.r, rotated.q + rotated.r);
+            positions.push(rotated);
+        }
+    }
+
+    // Points on an axis map onto themselves
+    const seen = new Set();
+    return positions.filter(position => {
+        const key = position.toKey();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+export class MapEditor {
+    constructor(map, { onTest, onImport, onExport, onExit }) {
+        this.onTest = onTest;
+        this.onImport = onImport;
+        this.onExport = onExport;
+        this.onExit = onExit;
+
+        this.random = new Random();  // Tiles want one for their animations
+        this.tiles = new Map();      // posKey → Tile
+        this.spawns = [];            // Slot → HexPosition (or undefined)
+        this.name = 'Custom';
+        this.fallSchedule = undefined;  // Kept from a loaded map, not edited here
+        this.radius = GameConfig.GRID_RADIUS;  // Rings out from the center tiles can go
+
+        this.tool = EditorTool.Paint;
+        this.paintType = TileType.Normal;
+        this.spawnSlot = 0;          // Next spawn the spawn tool places
+        this.symmetry = Symmetry.None;
+        this.hover = null;           // HexPosition under the pointer
+        this.message = null;         // Feedback line (errors, what just happened)
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.strokeStart = null;     // Snapshot taken when the current stroke began
+        this.strokeTool = null;
+
+        this.loadMap(map);
+        this.undoStack = [];
+    }
+
+    handleKey(e) {
+        const isCommand = e.ctrlKey || e.metaKey;
+        const slot = Number(e.code.replace('Digit', ''));
+
+        if (isCommand && e.code === 'KeyZ' && e.shiftKey) {
+            this.redo();
+        } else if (isCommand && e.code === 'KeyZ') {
+            this.undo();
+        } else if (isCommand && e.code === 'KeyY') {
+            this.redo();
+        } else if (isCommand && e.code === 'KeyS') {
+            this.onExport();
+        } else if (isCommand && e.code === 'KeyO') {
+            this.onImport();
+        } else if (slot >= 1 && slot <= PAINT_TYPES.length) {
+            this.selectPaint(PAINT_TYPES[slot - 1]);
+        } else if (e.code === 'KeyX') {
+            this.selectTool(EditorTool.Erase);
+        } else if (e.code === 'KeyP') {
+            this.selectTool(EditorTool.Spawn);
+        } else if (e.code === 'KeyS') {
+            this.cycleSymmetry();
+        } else if (e.code === 'Equal' || e.code === 'NumpadAdd') {
+            this.resize(1);
+        } else if (e.code === 'Minus' || e.code === 'NumpadSubtract') {
+            this.resize(-1);
+        } else if (e.code === 'Delete' || e.code === 'Backspace') {
+            this.clear();
+        } else if (e.code === 'Enter') {
+            this.test();
+        } else if (e.code === 'Escape') {
+            this.onExit();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    selectPaint(type) {
+        this.tool = EditorTool.Paint;
+        this.paintType = type;
+    }
+
+    selectTool(tool) {
+        this.tool = tool;
+    }
+
+    cycleSymmetry() {
+        this.symmetry = SYMMETRY_CYCLE[(SYMMETRY_CYCLE.indexOf(this.symmetry) + 1) % SYMMETRY_CYCLE.length];
+    }
+
+    /**
+     * Grow or shrink the board by rings; it never shrinks past a tile
+     */
+    resize(delta) {
+        const furthest = this.tiles.size > 0 ? getMapRadius({ tiles: this.toTileList() }) : 0;
+        const radius = Math.max(1, furthest, Math.min(MAX_EDITOR_RADIUS, this.radius + delta));
+        if (radius === this.radius) {
+            this.message = delta > 0 ? `The board can't grow past radius ${MAX_EDITOR_RADIUS}` : 'Erase the outer tiles to shrink the board';
+            return;
+        }
+
+        this.radius = radius;
+        this.message = `Board radius ${radius}`;
+    }
+
+    /**
+     * Start a stroke; erase is for the right mouse button, whatever the tool
+     */
+    pointerDown(pos, erase = false) {
+        this.hover = pos;
+        this.message = null;
+        this.strokeStart = this.snapshot();
+        this.strokeTool = erase ? EditorTool.Erase : this.tool;
+
+        // Spawns are placed one per click, painting and erasing drag
+        if (this.strokeTool === EditorTool.Spawn) {
+            this.placeSpawn(pos);
+            this.endStroke();
+        } else {
+            this.applyBrush(pos);
+        }
+    }
+
+    pointerMove(pos) {
+        this.hover = pos;
+        if (this.strokeStart) {
+            this.applyBrush(pos);
+        }
+    }
+
+    pointerUp() {
+        if (this.strokeStart) {
+            this.endStroke();
+        }
+    }
+
+    endStroke() {
+        // Only strokes that changed something are worth undoing
+        if (JSON.stringify(this.strokeStart) !== JSON.stringify(this.snapshot())) {
+            this.pushUndo(this.strokeStart);
+        }
+        this.strokeStart = null;
+    }
+
+    applyBrush(pos) {
+        for (const position of getSymmetricPositions(pos, this.symmetry)) {
+            if (!isWithinGrid(position, this.radius)) continue;
+
+            const key = position.toKey();
+            if (this.strokeTool === EditorTool.Erase) {
+                this.tiles.delete(key);
+                this.removeSpawnAt(position);
+            } else if (this.tiles.get(key)?.type !== this.paintType) {
+                this.tiles.set(key, this.createTile(position, this.paintType));
+            }
+        }
+    }
+
+    placeSpawn(pos) {
+        if (!this.tiles.has(pos.toKey())) {
+            this.message = 'Spawns go on tiles';
+            return;
+        }
+
+        // One spawn per tile: placing on an existing one moves it
+        this.spawns = this.spawns.map(spawn => spawn?.equals(pos) ? undefined : spawn);
+        this.spawns[this.spawnSlot] = pos;
+        this.spawnSlot = this.getMissingSpawnSlots()[0] ?? (this.spawnSlot + 1) % GameConfig.MAX_PLAYERS;
+        this.message = null;
+    }
+
+    /**
+     * Erasing a spawn leaves its slot empty (the others keep their players)
+     * and makes it the next one placed
+     */
+    removeSpawnAt(pos) {
+        const slot = this.spawns.findIndex(spawn => spawn?.equals(pos));
+        if (slot === -1) return;
+
+        this.spawns[slot] = undefined;
+        this.spawnSlot = slot;
+    }
+
+    /**
+     * Empty slots before the last spawn placed. Players past the last one
+     * start near the default ring, but none can be skipped
+     */
+    getMissingSpawnSlots() {
+        const missing = [];
+        for (let slot = 0; slot < this.spawns.findLastIndex(Boolean); slot++) {
+            if (!this.spawns[slot]) missing.push(slot);
+        }
+        return missing;
+    }
+
+    clear() {
+        if (this.tiles.size === 0) return;
+
+        this.pushUndo(this.snapshot());
+        this.tiles.clear();
+        this.spawns = [];
+        this.spawnSlot = 0;
+    }
+
+    createTile(position, type) {
+        return new Tile(position, this.random, type);
+    }
+
+    snapshot() {
+        return {
+            tiles: this.toTileList(),
+            spawns: this.spawns.map(spawn => spawn && [spawn.q, spawn.r]),
+        };
+    }
+
+    restore({ tiles, spawns }) {
+        this.tiles.clear();
+        for (const [q, r, type] of tiles) {
+            this.tiles.set(`${q},${r}`, this.createTile(new HexPosition(q, r), type));
+        }
+        this.spawns = spawns.map(spawn => spawn && new HexPosition(spawn[0], spawn[1]));
+
+        // Make room for whatever came back
+        if (tiles.length > 0) {
+            this.radius = Math.max(this.radius, getMapRadius({ tiles }));
+        }
+    }
+
+    /**
+     * [q, r, type] for every tile
+     */
+    toTileList() {
+        return [...this.tiles.values()].map(tile => [tile.position.q, tile.position.r, tile.type]);
+    }
+
+    pushUndo(snapshot) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > MAX_UNDO_STEPS) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+
+        this.redoStack.push(this.snapshot());
+        this.restore(this.undoStack.pop());
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+
+        this.undoStack.push(this.snapshot());
+        this.restore(this.redoStack.pop());
+    }
+
+    /**
+     * Replace what's being edited with a map (undoable)
+     */
+    loadMap(map) {
+        this.pushUndo(this.snapshot());
+        this.radius = GameConfig.GRID_RADIUS;
+        this.restore({
+            tiles: map.tiles.map(([q, r, type]) => [q, r, type ?? TileType.Normal]),
+            spawns: map.spawns ?? [],
+        });
+        this.name = map.name;
+        this.fallSchedule = map.fallSchedule;
+        this.spawnSlot = 0;
+        this.message = `Loaded ${map.name}`;
+    }
+
+    /**
+     * The edited map in the map file format, or null (with a message
+     * saying why) if it isn't playable yet
+     */
+    toMap() {
+        if (this.tiles.size === 0) {
+            this.message = 'Paint some tiles first';
+            return null;
+        }
+
+        const map = {
+            version: MAP_VERSION,
+            name: this.name,
+            tiles: [...this.tiles.values()].map(({ position, type }) =>
+                type === TileType.Normal ? [position.q, position.r] : [position.q, position.r, type]),
+        };
+
+        // Spawns stay in their slots, with no gaps; none at all means the default ring
+        const missingSlots = this.getMissingSpawnSlots();
+        if (missingSlots.length > 0) {
+            const players = missingSlots.map(slot => slot + 1).join(', ');
+            this.message = `Place a spawn for Player ${players}, or erase the ones after`;
+            return null;
+        }
+        if (this.spawns.some(Boolean)) {
+            map.spawns = this.spawns.filter(Boolean).map(spawn => [spawn.q, spawn.r]);
+        }
+        if (this.fallSchedule) {
+            map.fallSchedule = this.fallSchedule;
+        }
+
+        try {
+            return parseMap(map);
+        } catch (e) {
+            this.message = e.message;
+            return null;
+        }
+    }
+
+    test() {
+        const map = this.toMap();
+        if (map) {
+            this.onTest(map);
+        }
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * Follows a local match for the stats: how long each cell lasted, how
+ * many tiles fell around it while it did and where it finished
+ */
+
+export class MatchTracker {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.tilesSurvived = [];     // Player index → tiles that fell while they were alive
+        this.finishes = [];          // Player index → finishing position, 1 is the winner
+
+        const events = simulation.events;
+        events.subscribe('tileFallen', () => {
+            for (const player of simulation.gameState.alivePlayers) {
+                this.tilesSurvived[player.index] = (this.tilesSurvived[player.index] ?? 0) + 1;
+            }
+        });
+        events.subscribe('playerEliminated', (player) => {
+            // Everyone still standing finishes ahead of this cell
+            this.finishes[player.index] = simulation.gameState.alivePlayers.length + 1;
+        });
+    }
+
+    /**
+     * Each player's result, once the match is over; names are the stats
+     * profiles to file them under, by player index
+     */
+    getResults(names) {
+        const gameState = this.simulation.gameState;
+        const matchTime = gameState.clock.now - gameState.gameStartTime;
+
+        return gameState.players.map((player, i) => ({
+            name: names[i],
+            survivalTime: player.isAlive ? matchTime : player.survivalTime,
+            tilesSurvived: this.tilesSurvived[i] ?? 0,
+            finish: player.isAlive ? 1 : this.finishes[i],
+            team: player.team,
+        }));
+    }
+}
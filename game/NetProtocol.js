@@ -0,0 +1,77 @@
+/**
+ * Messages between the browser and the multiplayer server
+ *
+ * Everything is JSON text over one WebSocket: { type, ...fields }.
+ * Clients only ever send their own input; the server owns the match and
+ * answers with snapshots of the cells and the events that happened.
+ */
+
+export const NET_PATH = '/ws';
+export const DEFAULT_PORT = 8080;
+export const SNAPSHOT_INTERVAL = 3;    // Ticks between snapshots (20 per second)
+export const ROOM_CODE_LENGTH = 4;
+export const MAX_NAME_LENGTH = 16;
+
+export const ClientMessage = Object.freeze({
+    CreateRoom: 'createRoom',    // { name }
+    JoinRoom: 'joinRoom',        // { name, code }
+    LeaveRoom: 'leaveRoom',
+    StartMatch: 'startMatch',    // Host only, also used for rematches
+    Input: 'input',              // { seq, x, y, dash? }, one per client tick
+});
+
+export const ServerMessage = Object.freeze({
+    Lobby: 'lobby',              // { code, players: [name], hostIndex, yourIndex, isMatchRunning }
+    MatchStarting: 'matchStarting',  // { seed, config, playerIndex, names }
+    Snapshot: 'snapshot',        // { tick, ack, players: [[x, y, vx, vy, knockbackX, knockbackY, dashTimeLeft, dashCooldown]] }
+    Event: 'event',              // { name, payload }
+    Error: 'error',              // { message }
+});
+
+// GameState events the server forwards, and how their payloads go over the wire
+export const NET_EVENT_SERIALIZERS = {
+    tileWarning: (posKey) => posKey,
+    tileFallen: (posKey) => posKey,
+    tileCracked: (posKey) => posKey,
+    ringCollapsing: (posKeys) => posKeys,
+    bombDetonated: (posKey) => posKey,
+    playerEliminated: (player) => ({
+        index: player.index,
+        survivalTime: player.survivalTime,
+        x: player.x,
+        y: player.y,
+    }),
+    gameOver: (winner) => winner ? winner.index : null,
+    playerDashed: (player) => player.index,
+    powerUpSpawned: (powerUp) => ({ posKey: powerUp.position.toKey(), type: powerUp.type }),
+    powerUpCollected: ({ player, powerUp }) => ({
+        index: player.index,
+        posKey: powerUp.position.toKey(),
+        type: powerUp.type,
+    }),
+    shieldBroken: (player) => ({ index: player.index, x: player.x, y: player.y }),
+    curseTriggered: (player) => player.index,
+    bump: ({ first, second, normalX, normalY, impact }) => ({
+        first: first.index,
+        second: second.index,
+        normalX,
+        normalY,
+        impact,
+    }),
+};
+
+export function encodeMessage(type, fields = {}) {
+    return JSON.stringify({ type, ...fields });
+}
+
+/**
+ * Parse a message, returns null if it isn't a { type } object
+ */
+export function decodeMessage(text) {
+    try {
+        const message = JSON.parse(text);
+        return (message && typeof message.type === 'string') ? message : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,51 @@
+import { EventEmitter } from '../core/types.js';
+import { encodeMessage, decodeMessage } from './NetProtocol.js';
+
+/**
+ * Browser side of the multiplayer connection
+ *
+ * Wraps a WebSocket and re-emits each server message under its type
+ * (see ServerMessage), plus 'open' and 'close'.
+ */
+
+export class NetworkClient {
+    constructor(url) {
+        this.url = url;
+        this.events = new EventEmitter();
+        this.socket = null;
+    }
+
+    get isConnected() {
+        return this.socket?.readyState === WebSocket.OPEN;
+    }
+
+    connect() {
+        this.socket = new WebSocket(this.url);
+
+        this.socket.addEventListener('open', () => this.events.emit('open'));
+        this.socket.addEventListener('error', () => {
+            console.warn(`Could not reach the multiplayer server at ${this.url}`);
+        });
+        this.socket.addEventListener('close', () => {
+            this.socket = null;
+            this.events.emit('close');
+        });
+        this.socket.addEventListener('message', (e) => {
+            const message = decodeMessage(e.data);
+            if (!message) {
+                console.warn('Ignoring malformed server message');
+                return;
+            }
+            this.events.emit(message.type, message);
+        });
+    }
+
+    send(type, fields) {
+        if (!this.isConnected) return;
+        this.socket.send(encodeMessage(type, fields));
+    }
+
+    disconnect() {
+        this.socket?.close();
+    }
+}
@@ -0,0 +1,252 @@
+import { GameConfig, MatchPhase } from '../core/config.js';
+import { Simulation, normalizeInput, MAX_SQUASH } from './Simulation.js';
+import { ClientMessage, ServerMessage } from './NetProtocol.js';
+import { PowerUpType } from '../actors/PowerUp.js';
+
+/**
+ * Client half of an online match
+ *
+ * Runs a non-authoritative Simulation seeded like the server's, so the
+ * board and animations match. Our own cell is predicted from local input
+ * and reconciled against each snapshot; remote cells are interpolated a
+ * little behind the latest snapshots so they move smoothly. Tile falls
+ * and cracks, power-ups and eliminations come from the server's events.
+ */
+
+const INTERPOLATION_DELAY = 100;   // ms remote cells are drawn behind the server
+const SNAPSHOT_BUFFER_SIZE = 20;
+const MAX_PENDING_INPUTS = 120;    // Stop predicting further than ~2s ahead
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Copy a snapshot's dash timers onto a cell; mid-dash its velocity
+ * points the way the dash goes
+ */
+function applyDashState(player, [, , vx, vy, , , dashTimeLeft, dashCooldown]) {
+    player.dashTimeLeft = dashTimeLeft;
+    player.dashCooldown = dashCooldown;
+
+    const speed = Math.sqrt(vx * vx + vy * vy);
+    if (player.isDashing && speed > 0) {
+        player.dashDirectionX = vx / speed;
+        player.dashDirectionY = vy / speed;
+    }
+}
+
+export class OnlineMatch {
+    constructor(client, { seed, config, playerIndex, names }) {
+        this.client = client;
+        this.playerIndex = playerIndex;
+        this.names = names;
+
+        this.simulation = new Simulation({ ...config, seed, isAuthoritative: false });
+
+        this.nextSeq = 1;
+        this.pendingInputs = [];     // { seq, input } sent but not yet acknowledged
+        this.snapshots = [];         // { time, players } for interpolating remote cells
+
+        this.unsubscribers = [
+            client.events.subscribe(ServerMessage.Snapshot, (snapshot) => this.handleSnapshot(snapshot)),
+            client.events.subscribe(ServerMessage.Event, (event) => this.applyEvent(event)),
+        ];
+
+        this.simulation.startMatch();
+    }
+
+    get gameState() {
+        return this.simulation.gameState;
+    }
+
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * HUD labels: each player's name, with ours marked
+     */
+    getPlayerLabels() {
+        return this.names.map((name, i) => i === this.playerIndex ? `${name} (You)` : name);
+    }
+
+    /**
+     * Send our input and predict its effect locally, one tick
+     */
+    step(localInput) {
+        const input = normalizeInput(localInput);
+        const seq = this.nextSeq++;
+
+        this.client.send(ClientMessage.Input, input.dash ? { seq, x: input.x, y: input.y, dash: true } : { seq, x: input.x, y: input.y });
+        this.pendingInputs.push({ seq, input });
+        if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+            this.pendingInputs.shift();
+        }
+
+        // Remote cells get no input here, interpolation places them each frame
+        const inputs = [];
+        inputs[this.playerIndex] = input;
+        this.simulation.step(inputs);
+    }
+
+    handleSnapshot({ ack, players }) {
+        this.snapshots.push({ time: performance.now(), players });
+        if (this.snapshots.length > SNAPSHOT_BUFFER_SIZE) {
+            this.snapshots.shift();
+        }
+
+        this.pendingInputs = this.pendingInputs.filter(pending => pending.seq > ack);
+        this.reconcile(players[this.playerIndex]);
+    }
+
+    /**
+     * Snap our cell to the server's state, then replay the inputs it
+     * hasn't seen yet so prediction carries on from there
+     */
+    reconcile(state) {
+        const player = this.gameState.players[this.playerIndex];
+        if (!player || !state || !player.isAlive || player.isFalling) return;
+
+        [player.x, player.y, player.vx, player.vy, player.knockbackX, player.knockbackY] = state;
+        applyDashState(player, state);
+
+        if (this.gameState.matchPhase !== MatchPhase.InProgress) return;
+        for (const { input } of this.pendingInputs) {
+            this.simulation.updatePlayerMovement(player, input, GameConfig.TICK_DURATION);
+        }
+    }
+
+    /**
+     * Place remote cells between the two snapshots around (now - delay)
+     */
+    interpolateRemotePlayers(now) {
+        if (this.snapshots.length === 0) return;
+
+        const renderTime = now - INTERPOLATION_DELAY;
+        let older = this.snapshots[0];
+        let newer = older;
+
+        for (const snapshot of this.snapshots) {
+            if (snapshot.time <= renderTime) {
+                older = snapshot;
+                newer = snapshot;
+            } else {
+                newer = snapshot;
+                break;
+            }
+        }
+
+        const span = newer.time - older.time;
+        const t = span > 0 ? Math.min(Math.max((renderTime - older.time) / span, 0), 1) : 1;
+
+        for (const player of this.gameState.players) {
+            if (player.index === this.playerIndex || !player.isAlive) continue;
+
+            const from = older.players[player.index];
+            const to = newer.players[player.index];
+            if (!from || !to) continue;
+
+            player.x = lerp(from[0], to[0], t);
+            player.y = lerp(from[1], to[1], t);
+            player.vx = to[2];
+            player.vy = to[3];
+            applyDashState(player, to);
+        }
+    }
+
+    /**
+     * Apply a GameState event the server forwarded
+     */
+    applyEvent({ name, payload }) {
+        const gameState = this.gameState;
+
+        switch (name) {
+            case 'tileWarning':
+                gameState.markTileWarning(payload);
+                break;
+            case 'tileFallen':
+                gameState.removeTile(payload);
+                break;
+            case 'tileCracked':
+                gameState.crackTile(payload);
+                break;
+            case 'bombDetonated':
+                gameState.events.emit('bombDetonated', payload);
+                break;
+            case 'ringCollapsing':
+                // Its tiles' warnings follow as their own events
+                gameState.events.emit('ringCollapsing', payload);
+                break;
+            case 'playerEliminated': {
+                const player = gameState.players[payload.index];
+                if (!player?.isAlive) break;
+
+                // Fall from where the server saw the cell, not our guess
+                player.x = payload.x;
+                player.y = payload.y;
+                player.startFalling();
+                gameState.eliminatePlayer(player);
+                player.survivalTime = payload.survivalTime;
+                break;
+            }
+            case 'powerUpSpawned':
+                this.simulation.powerUpManager.addPowerUp(payload.posKey, payload.type);
+                break;
+            case 'powerUpCollected': {
+                const player = gameState.players[payload.index];
+                const powerUp = gameState.powerUps.get(payload.posKey);
+                if (!player || !powerUp) break;
+
+                gameState.powerUps.delete(payload.posKey);
+                this.simulation.powerUpManager.applyPowerUp(player, payload.type);
+                gameState.events.emit('powerUpCollected', { player, powerUp });
+                break;
+            }
+            case 'shieldBroken': {
+                const player = gameState.players[payload.index];
+                if (!player) break;
+
+                // Put the cell where the shield caught it; our own gets the
+                // rest (velocity and so on) from the next snapshot
+                player.effects.delete(PowerUpType.Shield);
+                player.x = payload.x;
+                player.y = payload.y;
+                gameState.events.emit('shieldBroken', player);
+                break;
+            }
+            case 'curseTriggered': {
+                const player = gameState.players[payload];
+                if (player) {
+                    gameState.events.emit('curseTriggered', player);
+                }
+                break;
+            }
+            case 'playerDashed': {
+                // Our own dash was announced when we predicted it
+                const player = gameState.players[payload];
+                if (player && payload !== this.playerIndex) {
+                    gameState.events.emit('playerDashed', player);
+                }
+                break;
+            }
+            case 'bump': {
+                const first = gameState.players[payload.first];
+                const second = gameState.players[payload.second];
+                if (!first || !second) break;
+
+                const { normalX, normalY, impact } = payload;
+                first.startSquash(normalX, normalY, impact * MAX_SQUASH);
+                second.startSquash(normalX, normalY, impact * MAX_SQUASH);
+                gameState.events.emit('bump', { first, second, normalX, normalY, impact });
+                break;
+            }
+            case 'gameOver':
+                if (gameState.matchPhase === MatchPhase.GameOver) break;
+
+                gameState.matchPhase = MatchPhase.GameOver;
+                gameState.events.emit('gameOver', gameState.players[payload] ?? null);
+                break;
+        }
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Pause overlay state: why the match stopped, and resume, restart or quit
+ *
+ * Up/Down pick an option and Enter takes it; Escape or P resumes.
+ * GameMode reads choice once one has been made.
+ */
+
+export const PauseOption = Object.freeze({
+    Resume: 'resume',
+    Restart: 'restart',
+    Quit: 'quit',
+});
+
+export const PAUSE_OPTIONS = Object.freeze(Object.values(PauseOption));
+
+export class PauseMenu {
+    constructor(prompt) {
+        this.prompt = prompt;
+        this.selected = 0;
+        this.choice = null;
+    }
+
+    handleKey(e) {
+        switch (e.code) {
+            case 'ArrowUp':
+                this.selected = (this.selected + PAUSE_OPTIONS.length - 1) % PAUSE_OPTIONS.length;
+                break;
+            case 'ArrowDown':
+                this.selected = (this.selected + 1) % PAUSE_OPTIONS.length;
+                break;
+            case 'Enter':
+            case 'Space':
+                this.choice = PAUSE_OPTIONS[this.selected];
+                break;
+            case 'Escape':
+            case 'KeyP':
+                this.choice = PauseOption.Resume;
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+}
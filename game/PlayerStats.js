@@ -0,0 +1,309 @@
+/**
+ * Per-profile match stats and survival leaderboards, persisted to
+ * localStorage
+ *
+ * A profile is a name: the bracket name a player entered, or the
+ * player's slot ("Player 1", "Hard Bot"). Leaderboards keep the ten
+ * longest survivals for each map and mode, and endless runs get a high
+ * score table per map. The whole file can be exported and imported to
+ * move it to another machine.
+ */
+
+const STORAGE_KEY = 'singleCellSurvival.stats';
+const STORAGE_VERSION = 1;
+const LEADERBOARD_SIZE = 10;
+
+/**
+ * Lookup table keyed by free text (player and map names), with no
+ * prototype, so a name like "constructor" or "__proto__" is just a name
+ */
+function createDictionary(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+function createProfile() {
+    return {
+        matches: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        longestSurvival: 0,          // ms
+        tilesSurvived: 0,            // Tiles that fell while this player was still in
+        finishTotal: 0,              // Sum of finishing positions in versus matches
+        headToHead: createDictionary(),    // Opponent name → { wins, losses, draws }
+        endlessBests: createDictionary(),  // Map name → best endless score
+    };
+}
+
+const PROFILE_COUNTERS = ['matches', 'wins', 'losses', 'draws', 'longestSurvival', 'tilesSurvived', 'finishTotal'];
+const RECORD_COUNTERS = ['wins', 'losses', 'draws'];
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+/**
+ * Check one table of a stats file (leaderboards or high scores): each
+ * entry a list of named results with a finite scoreField
+ */
+function validateTables(tables, scoreField, label) {
+    for (const [key, entries] of Object.entries(tables)) {
+        if (!Array.isArray(entries)) {
+            throw new Error(`Stats ${label} "${key}" must be a list`);
+        }
+        for (const entry of entries) {
+            if (!isObject(entry) || typeof entry.name !== 'string' || !Number.isFinite(entry[scoreField])) {
+                throw new Error(`Stats ${label} "${key}" has an invalid entry`);
+            }
+        }
+    }
+}
+
+/**
+ * Check a profile's counters and records; what it leaves out is filled
+ * in with defaults
+ */
+function validateProfile(name, profile) {
+    if (!isObject(profile)) {
+        throw new Error(`Stats profile "${name}" is invalid`);
+    }
+    for (const field of PROFILE_COUNTERS) {
+        if (Object.hasOwn(profile, field) && !isCount(profile[field])) {
+            throw new Error(`Stats profile "${name}" has an invalid ${field}`);
+        }
+    }
+
+    if (Object.hasOwn(profile, 'headToHead')) {
+        if (!isObject(profile.headToHead)) {
+            throw new Error(`Stats profile "${name}" has an invalid head-to-head record`);
+        }
+        for (const record of Object.values(profile.headToHead)) {
+            if (!isObject(record) || !RECORD_COUNTERS.every(field => isCount(record[field]))) {
+                throw new Error(`Stats profile "${name}" has an invalid head-to-head record`);
+            }
+        }
+    }
+
+    if (Object.hasOwn(profile, 'endlessBests')) {
+        if (!isObject(profile.endlessBests) || !Object.values(profile.endlessBests).every(Number.isFinite)) {
+            throw new Error(`Stats profile "${name}" has invalid endless bests`);
+        }
+    }
+}
+
+/**
+ * Parse and validate a stats file's contents
+ */
+export function parseStats(source) {
+    let stats;
+    try {
+        stats = JSON.parse(source);
+    } catch (e) {
+        throw new Error('Stats file is not valid JSON');
+    }
+
+    if (stats?.version !== STORAGE_VERSION) {
+        throw new Error(`Unsupported stats version: ${stats?.version}`);
+    }
+    if (!isObject(stats.profiles) || !isObject(stats.leaderboards)) {
+        throw new Error('Stats file is missing required fields');
+    }
+    if (stats.highScores !== undefined && !isObject(stats.highScores)) {
+        throw new Error('Stats high scores are invalid');
+    }
+
+    // Anything wrong in here would break recording the next match, so
+    // refuse the whole file rather than save it
+    validateTables(stats.leaderboards, 'survivalTime', 'leaderboard');
+    validateTables(stats.highScores ?? {}, 'score', 'high score table');
+    for (const [name, profile] of Object.entries(stats.profiles)) {
+        validateProfile(name, profile);
+    }
+
+    // Fill in anything an older file left out, in name-keyed dictionaries
+    const profiles = createDictionary();
+    for (const [name, profile] of Object.entries(stats.profiles)) {
+        profiles[name] = {
+            ...createProfile(),
+            ...profile,
+            headToHead: createDictionary(profile.headToHead),
+            endlessBests: createDictionary(profile.endlessBests),
+        };
+    }
+    return {
+        version: stats.version,
+        profiles,
+        leaderboards: createDictionary(stats.leaderboards),
+        highScores: createDictionary(stats.highScores),
+    };
+}
+
+export class PlayerStats {
+    constructor() {
+        ({ profiles: this.profiles, leaderboards: this.leaderboards, highScores: this.highScores } = this.load());
+    }
+
+    /**
+     * File a finished match. results: [{ name, survivalTime, tilesSurvived,
+     * finish, team }] from MatchTracker; winner is a result's index or null.
+     * In 2v2 the winner's whole team wins; co-op matches count like solo
+     * ones, with no wins or losses
+     */
+    recordMatch({ mapName, mode, seed, results, winner, isCoop = false }) {
+        const isVersus = results.length > 1 && !isCoop;
+        const winningTeam = winner === null ? null : results[winner].team;
+        const isWinner = (result) => winner !== null &&
+            (results[winner] === result || (winningTeam !== null && result.team === winningTeam));
+
+        for (const result of results) {
+            const profile = this.getProfile(result.name);
+            profile.matches++;
+            profile.longestSurvival = Math.max(profile.longestSurvival, result.survivalTime);
+            profile.tilesSurvived += result.tilesSurvived;
+
+            if (!isVersus) continue;
+
+            profile.finishTotal += result.finish;
+            if (winner === null) {
+                profile.draws++;
+            } else if (isWinner(result)) {
+                profile.wins++;
+            } else {
+                profile.losses++;
+            }
+
+            // Against each opponent: whoever finished higher (or whose team
+            // won), level in a draw. Teammates aren't opponents
+            for (const opponent of results) {
+                if (opponent === result || opponent.name === result.name) continue;
+                if (result.team !== null && opponent.team === result.team) continue;
+
+                if (!Object.hasOwn(profile.headToHead, opponent.name)) {
+                    profile.headToHead[opponent.name] = { wins: 0, losses: 0, draws: 0 };
+                }
+                const record = profile.headToHead[opponent.name];
+                if (winner === null || (winningTeam === null && result.finish === opponent.finish)) {
+                    record.draws++;
+                } else if (winningTeam !== null ? isWinner(result) : result.finish < opponent.finish) {
+                    record.wins++;
+                } else {
+                    record.losses++;
+                }
+            }
+        }
+
+        const key = `${mapName} · ${mode}`;
+        const date = new Date().toISOString();
+        const leaderboard = Object.hasOwn(this.leaderboards, key) ? this.leaderboards[key] : [];
+        leaderboard.push(...results.map(({ name, survivalTime }) => ({ name, survivalTime, seed, date })));
+        leaderboard.sort((a, b) => b.survivalTime - a.survivalTime);
+        this.leaderboards[key] = leaderboard.slice(0, LEADERBOARD_SIZE);
+
+        this.save();
+    }
+
+    /**
+     * File an endless run's score. Returns its place in the map's high
+     * score table (1-based, or null if it didn't make it) and whether it
+     * beat the player's own best
+     */
+    recordEndlessRun({ mapName, name, score, survivalTime, seed }) {
+        const profile = this.getProfile(name);
+        const previousBest = Object.hasOwn(profile.endlessBests, mapName) ? profile.endlessBests[mapName] : null;
+        const isPersonalBest = previousBest === null || score > previousBest;
+        if (isPersonalBest) {
+            profile.endlessBests[mapName] = score;
+        }
+
+        const entry = { name, score, survivalTime, seed, date: new Date().toISOString() };
+        const highScores = this.getHighScores(mapName);
+        highScores.push(entry);
+        highScores.sort((a, b) => b.score - a.score);
+        this.highScores[mapName] = highScores.slice(0, LEADERBOARD_SIZE);
+
+        const rank = this.highScores[mapName].indexOf(entry);
+        this.save();
+        return { rank: rank >= 0 ? rank + 1 : null, isPersonalBest, previousBest };
+    }
+
+    getHighScores(mapName) {
+        return Object.hasOwn(this.highScores, mapName) ? this.highScores[mapName] : [];
+    }
+
+    getHighScoreKeys() {
+        return Object.keys(this.highScores).sort();
+    }
+
+    /**
+     * A player's best endless score on a map, or null if they've no runs
+     */
+    getPersonalBest(mapName, name) {
+        if (!Object.hasOwn(this.profiles, name)) return null;
+
+        const { endlessBests } = this.profiles[name];
+        return Object.hasOwn(endlessBests, mapName) ? endlessBests[mapName] : null;
+    }
+
+    getProfile(name) {
+        if (!Object.hasOwn(this.profiles, name)) {
+            this.profiles[name] = createProfile();
+        }
+        return this.profiles[name];
+    }
+
+    /**
+     * [name, profile] pairs, most wins first
+     */
+    getProfiles() {
+        return Object.entries(this.profiles)
+            .sort(([nameA, a], [nameB, b]) => b.wins - a.wins || b.longestSurvival - a.longestSurvival || nameA.localeCompare(nameB));
+    }
+
+    getLeaderboardKeys() {
+        return Object.keys(this.leaderboards).sort();
+    }
+
+    /**
+     * Average finishing position over versus matches, or null if none
+     */
+    getAverageFinish(profile) {
+        const versusMatches = profile.wins + profile.losses + profile.draws;
+        return versusMatches > 0 ? profile.finishTotal / versusMatches : null;
+    }
+
+    toJSON() {
+        return {
+            version: STORAGE_VERSION,
+            profiles: this.profiles,
+            leaderboards: this.leaderboards,
+            highScores: this.highScores,
+        };
+    }
+
+    /**
+     * Replace everything with an exported stats file; throws if it's invalid
+     */
+    import(source) {
+        ({ profiles: this.profiles, leaderboards: this.leaderboards, highScores: this.highScores } = parseStats(source));
+        this.save();
+    }
+
+    load() {
+        const empty = { profiles: createDictionary(), leaderboards: createDictionary(), highScores: createDictionary() };
+
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? parseStats(saved) : empty;
+        } catch (e) {
+            console.warn('Could not load stats, starting fresh', e);
+            return empty;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+        } catch (e) {
+            console.warn('Could not save stats', e);
+        }
+    }
+}
@@ -0,0 +1,132 @@
+import { GameConfig } from '../core/config.js';
+import { HexPosition } from '../core/hexUtils.js';
+import { PowerUp, PowerUpType } from '../actors/PowerUp.js';
+
+/**
+ * Spawns power-ups on random tiles, hands them out on pickup and runs
+ * down the effects they give
+ *
+ * Power-ups vanish when their tile shatters. Only a running manager (the
+ * authoritative one) spawns and collects; a mirror gets its power-ups
+ * through addPowerUp() and applyPowerUp() and just animates them.
+ */
+
+// How long each effect lasts once collected (Infinity: until it's used)
+const EFFECT_DURATIONS = Object.freeze({
+    [PowerUpType.Shield]: Infinity,
+    [PowerUpType.Freeze]: GameConfig.FREEZE_DURATION,
+    [PowerUpType.Speed]: GameConfig.SPEED_BOOST_DURATION,
+    [PowerUpType.Curse]: Infinity,
+});
+
+export class PowerUpManager {
+    constructor(gameState, tileFallManager) {
+        this.gameState = gameState;
+        this.tileFallManager = tileFallManager;
+        this.nextSpawnTimeout = null;
+        this.isRunning = false;
+
+        const events = gameState.events;
+        events.subscribe('tileFallen', (posKey) => this.gameState.powerUps.delete(posKey));
+        events.subscribe('curseTriggered', (player) => player.effects.delete(PowerUpType.Curse));
+    }
+
+    start() {
+        this.isRunning = true;
+        this.scheduleNextSpawn();
+    }
+
+    stop() {
+        this.isRunning = false;
+
+        if (this.nextSpawnTimeout) {
+            this.gameState.clock.cancel(this.nextSpawnTimeout);
+            this.nextSpawnTimeout = null;
+        }
+    }
+
+    scheduleNextSpawn() {
+        if (!this.isRunning) return;
+
+        this.nextSpawnTimeout = this.gameState.clock.schedule(GameConfig.POWER_UP_INTERVAL, () => {
+            this.spawnRandomPowerUp();
+            this.scheduleNextSpawn();
+        });
+    }
+
+    spawnRandomPowerUp() {
+        const gameState = this.gameState;
+        if (gameState.powerUps.size >= GameConfig.MAX_POWER_UPS) return;
+
+        // Solid, free tiles nobody is standing on
+        const candidates = [];
+        for (const [posKey, tile] of gameState.board) {
+            if (!tile.isActive || tile.isShattering || tile.isWarning) continue;
+            if (gameState.powerUps.has(posKey) || gameState.isTileOccupied(posKey)) continue;
+            candidates.push(posKey);
+        }
+        if (candidates.length === 0) return;
+
+        // A curse needs an opponent to land on
+        const [firstAlive] = gameState.alivePlayers;
+        const hasOpponents = gameState.alivePlayers.some(player => gameState.areOpponents(player, firstAlive));
+        const types = Object.values(PowerUpType).filter(type =>
+            type !== PowerUpType.Curse || hasOpponents
+        );
+
+        this.addPowerUp(gameState.random.pick(candidates), gameState.random.pick(types));
+    }
+
+    addPowerUp(posKey, type) {
+        const powerUp = new PowerUp(HexPosition.fromKey(posKey), type);
+        this.gameState.powerUps.set(posKey, powerUp);
+        this.gameState.events.emit('powerUpSpawned', powerUp);
+        return powerUp;
+    }
+
+    update(deltaTime) {
+        for (const [_, powerUp] of this.gameState.powerUps) {
+            powerUp.update(deltaTime);
+        }
+
+        for (const player of this.gameState.players) {
+            this.updateEffects(player, deltaTime);
+        }
+
+        if (this.isRunning) {
+            this.collectPowerUps();
+        }
+    }
+
+    updateEffects(player, deltaTime) {
+        for (const [type, timeLeft] of player.effects) {
+            if (timeLeft - deltaTime <= 0) {
+                player.effects.delete(type);
+            } else {
+                player.effects.set(type, timeLeft - deltaTime);
+            }
+        }
+    }
+
+    collectPowerUps() {
+        // Lowest player slot gets it when two cells share the tile
+        for (const [posKey, powerUp] of this.gameState.powerUps) {
+            const [player] = this.gameState.checkPlayersOnTile(posKey);
+            if (!player) continue;
+
+            this.gameState.powerUps.delete(posKey);
+            this.applyPowerUp(player, powerUp.type);
+            this.gameState.events.emit('powerUpCollected', { player, powerUp });
+        }
+    }
+
+    applyPowerUp(player, type) {
+        player.effects.set(type, EFFECT_DURATIONS[type]);
+
+        if (type === PowerUpType.Freeze) {
+            this.tileFallManager.freeze(GameConfig.FREEZE_DURATION);
+        } else if (type === PowerUpType.Curse) {
+            this.tileFallManager.curse(player);
+        }
+    }
+}
@@ -0,0 +1,149 @@
+import { GameConfig } from '../core/config.js';
+import { Simulation } from './Simulation.js';
+import { REPLAY_VERSION } from './ReplayRecorder.js';
+
+/**
+ * Plays a recorded replay back by re-running the simulation
+ *
+ * Supports pause, variable speed and seeking. Seeking backwards rebuilds
+ * the simulation from the seed and fast-forwards, which is cheap because
+ * stepping is headless.
+ */
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.speed = 1;
+        this.isPaused = false;
+        this.accumulator = 0;
+
+        // tick → [[playerIndex, input], ...]
+        this.inputTimeline = new Map();
+        for (const [tick, index, x, y, dash] of replay.inputs) {
+            if (!this.inputTimeline.has(tick)) {
+                this.inputTimeline.set(tick, []);
+            }
+            this.inputTimeline.get(tick).push([index, dash ? { x, y, dash: true } : { x, y }]);
+        }
+
+        if (replay.gameConfig && JSON.stringify(replay.gameConfig) !== JSON.stringify({ ...GameConfig })) {
+            console.warn('Replay was recorded with a different GameConfig, playback may diverge');
+        }
+
+        this.restartSimulation();
+        this.seek(this.startTick);
+    }
+
+    /**
+     * Parse and validate a replay file's contents
+     */
+    static fromJSON(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Replay file is not valid JSON');
+        }
+
+        if (replay?.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay?.version}`);
+        }
+        if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.startTick) ||
+            !Number.isInteger(replay.endTick) || !Array.isArray(replay.inputs)) {
+            throw new Error('Replay file is missing required fields');
+        }
+
+        return new ReplayPlayer(replay);
+    }
+
+    get gameState() {
+        return this.simulation.gameState;
+    }
+
+    get tick() {
+        return this.simulation.tick;
+    }
+
+    get startTick() {
+        return this.replay.startTick;
+    }
+
+    get endTick() {
+        return this.replay.endTick;
+    }
+
+    get isFinished() {
+        return this.tick >= this.endTick;
+    }
+
+    restartSimulation() {
+        this.simulation = new Simulation({ ...this.replay.config, seed: this.replay.seed });
+        this.currentInputs = [];
+    }
+
+    stepOnce() {
+        const tick = this.simulation.tick;
+
+        if (tick === this.startTick) {
+            this.simulation.startMatch();
+        }
+
+        const changes = this.inputTimeline.get(tick);
+        if (changes) {
+            for (const [index, input] of changes) {
+                this.currentInputs[index] = input;
+            }
+        }
+
+        this.simulation.step(this.currentInputs);
+    }
+
+    advance(deltaTime) {
+        if (this.isPaused || this.isFinished) return;
+
+        this.accumulator += deltaTime * this.speed;
+        while (this.accumulator >= GameConfig.TICK_DURATION && !this.isFinished) {
+            this.stepOnce();
+            this.accumulator -= GameConfig.TICK_DURATION;
+        }
+    }
+
+    seek(targetTick) {
+        const tick = Math.max(this.startTick, Math.min(this.endTick, Math.round(targetTick)));
+
+        if (tick < this.simulation.tick) {
+            this.restartSimulation();
+        }
+
+        while (this.simulation.tick < tick) {
+            this.stepOnce();
+        }
+
+        this.accumulator = 0;
+    }
+
+    togglePause() {
+        // Play again from the start once the end is reached
+        if (this.isFinished) {
+            this.seek(this.startTick);
+            this.isPaused = false;
+            return this.isPaused;
+        }
+
+        this.isPaused = !this.isPaused;
+        return this.isPaused;
+    }
+
+    setSpeed(speed) {
+        if (REPLAY_SPEEDS.includes(speed)) {
+            this.speed = speed;
+        }
+    }
+
+    changeSpeed(direction) {
+        const index = REPLAY_SPEEDS.indexOf(this.speed) + direction;
+        this.setSpeed(REPLAY_SPEEDS[Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, index))]);
+    }
+}
@@ -0,0 +1,97 @@
+import { GameConfig } from '../core/config.js';
+import { NO_INPUT, normalizeInput } from './Simulation.js';
+
+/**
+ * Records a match as a compact, JSON-serializable replay
+ *
+ * A replay holds the seed, the simulation config, every change in a
+ * player's input (keyed by tick) and the GameState events that fired.
+ * Because the simulation is deterministic, seed + inputs is enough to
+ * play the match back; the events are kept for study and sanity checks.
+ */
+
+export const REPLAY_VERSION = 1;
+
+// Keep recording briefly after game over so the last fall plays out
+const TRAILING_TICKS = Math.round(1000 / GameConfig.TICK_DURATION);
+
+// How each event's payload is written to the replay
+const EVENT_SERIALIZERS = {
+    tileWarning: (posKey) => posKey,
+    tileFallen: (posKey) => posKey,
+    tileCracked: (posKey) => posKey,
+    bombDetonated: (posKey) => posKey,
+    playerEliminated: (player) => player.index,
+    playerDashed: (player) => player.index,
+    powerUpSpawned: (powerUp) => [powerUp.position.toKey(), powerUp.type],
+    powerUpCollected: ({ player, powerUp }) => [player.index, powerUp.type],
+    shieldBroken: (player) => player.index,
+    curseTriggered: (player) => player.index,
+    gameOver: (winner) => winner ? winner.index : null,
+    matchStarted: () => null,
+    bump: ({ first, second }) => [first.index, second.index],
+};
+
+export class ReplayRecorder {
+    constructor(simulation, config) {
+        this.simulation = simulation;
+        this.config = config;  // Options the Simulation was created with
+
+        this.inputs = [];           // [tick, playerIndex, x, y], only when input changes
+        this.events = [];           // [tick, eventName, payload]
+        this.lastInputs = [];       // playerIndex → last recorded input
+        this.endTick = null;
+
+        this.subscribeToEvents();
+    }
+
+    subscribeToEvents() {
+        for (const [eventName, serialize] of Object.entries(EVENT_SERIALIZERS)) {
+            this.simulation.events.subscribe(eventName, (data) => {
+                this.events.push([this.simulation.tick, eventName, serialize(data)]);
+            });
+        }
+
+        this.simulation.events.subscribe('gameOver', () => {
+            this.endTick = this.simulation.tick + TRAILING_TICKS;
+        });
+    }
+
+    get isFinished() {
+        return this.endTick !== null && this.simulation.tick >= this.endTick;
+    }
+
+    /**
+     * Record the inputs about to be passed to simulation.step()
+     */
+    recordInputs(inputs) {
+        if (this.simulation.matchStartTick === null || this.isFinished) return;
+
+        const tick = this.simulation.tick;
+
+        for (let index = 0; index < this.simulation.playerCount; index++) {
+            const input = normalizeInput(inputs[index]);
+            const last = this.lastInputs[index] ?? NO_INPUT;
+
+            if (input.x !== last.x || input.y !== last.y || input.dash !== last.dash) {
+                // A trailing 1 marks the tick a dash was pressed
+                this.inputs.push(input.dash ? [tick, index, input.x, input.y, 1] : [tick, index, input.x, input.y]);
+                this.lastInputs[index] = input;
+            }
+        }
+    }
+
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.simulation.gameState.seed,
+            config: this.config,
+            gameConfig: { ...GameConfig },
+            recordedAt: new Date().toISOString(),
+            startTick: this.simulation.matchStartTick,
+            endTick: this.endTick ?? this.simulation.tick,
+            inputs: this.inputs,
+            events: this.events,
+        };
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * Best-of-N series: round wins carried across restarts until someone
+ * has won more than half the rounds
+ *
+ * Drawn rounds are recorded but don't count, so they're played again.
+ * In 2v2 the series is between the teams, by team index.
+ */
+
+// Title screen choices; best of 1 is a plain single match
+export const SERIES_LENGTHS = Object.freeze([1, 3, 5, 7]);
+
+export class Series {
+    constructor(bestOf, playerCount) {
+        this.bestOf = bestOf;
+        this.wins = new Array(playerCount).fill(0);  // Player index → rounds won
+        this.rounds = [];                            // Winner index per round, null for a draw
+    }
+
+    get winsNeeded() {
+        return Math.floor(this.bestOf / 2) + 1;
+    }
+
+    get roundNumber() {
+        return this.rounds.length;
+    }
+
+    /**
+     * Player index of the series winner, or null while it's still going
+     */
+    get champion() {
+        const index = this.wins.findIndex(wins => wins >= this.winsNeeded);
+        return index === -1 ? null : index;
+    }
+
+    get isOver() {
+        return this.champion !== null;
+    }
+
+    recordRound(winnerIndex) {
+        if (this.isOver) return;
+
+        this.rounds.push(winnerIndex);
+        if (winnerIndex !== null) {
+            this.wins[winnerIndex]++;
+        }
+    }
+}
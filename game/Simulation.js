@@ -0,0 +1,436 @@
+import { GameConfig, MatchPhase, PlayerConfig, FALL_SCHEDULES } from '../core/config.js';
+import { GameState } from './GameState.js';
+import { TileFallManager } from './TileFallManager.js';
+import { PowerUpManager } from './PowerUpManager.js';
+import { PowerUpType } from '../actors/PowerUp.js';
+import { TileType } from '../actors/Tile.js';
+import { HEX_DIRECTIONS } from '../core/hexUtils.js';
+import { BUNDLED_MAPS } from '../maps/index.js';
+import { TeamMode } from './Teams.js';
+
+/**
+ * Headless fixed-timestep simulation of a match
+ *
+ * Owns the GameState, TileFallManager and PowerUpManager and advances them
+ * one tick at a time with explicit player input. Has no DOM, timer or canvas
+ * dependencies, so it can be stepped from Node as well as from GameMode's
+ * rAF loop:
+ *
+ *   const sim = new Simulation({ seed: 42 });
+ *   sim.startMatch();
+ *   sim.step([{ x: 1, y: 0 }, { x: 0, y: -1 }]);
+ *
+ * Input is one { x, y } vector per player index, each axis in [-1, 1],
+ * with dash: true on the tick a player presses their dash button.
+ * Positions are world units (HEX_SIZE per hex); the Renderer's Camera
+ * decides where they land on screen.
+ */
+
+export const NO_INPUT = Object.freeze({ x: 0, y: 0 });
+
+// Axis resolution, so recorded inputs replay bit-for-bit
+const INPUT_STEPS = 100;
+
+// Cell-to-cell collisions
+const BUMP_RESTITUTION = 1.4;   // Above 1 so bumps shove harder than they'd bounce
+const KNOCKBACK_DRAG = 500;     // pixels/s^2 a shove slows down by
+const BUMP_MIN_SPEED = 60;      // Closing speed (pixels/s) that counts as a bump
+export const MAX_SQUASH = 0.35;     // Scale squeezed off by the hardest bump
+
+/**
+ * Clamp an input vector to [-1, 1] per axis and quantize it
+ */
+export function normalizeInput(input) {
+    if (!input) return NO_INPUT;
+
+    const x = Math.round(Math.max(-1, Math.min(1, input.x)) * INPUT_STEPS) / INPUT_STEPS;
+    const y = Math.round(Math.max(-1, Math.min(1, input.y)) * INPUT_STEPS) / INPUT_STEPS;
+
+    if (input.dash === true) return { x, y, dash: true };
+    return (x === 0 && y === 0) ? NO_INPUT : { x, y };
+}
+
+export class Simulation {
+    constructor({
+        seed,
+        playerCount = 2,
+        centerX = 0,
+        centerY = 0,
+        map = BUNDLED_MAPS.classic,
+        tileTypes = {},
+        fallSchedule = map.fallSchedule ?? FALL_SCHEDULES.classic,
+        isAuthoritative = true,
+        endless = false,
+        suddenDeathTime = null,
+        teamMode = TeamMode.FreeForAll,
+    } = {}) {
+        this.gameState = new GameState(seed);
+        this.gameState.teamMode = teamMode;  // Free-for-all, 2v2 or co-op (see Teams.js)
+        this.tileFallManager = new TileFallManager(this.gameState, fallSchedule, {
+            escalate: endless || teamMode === TeamMode.Coop,
+        });
+        this.powerUpManager = new PowerUpManager(this.gameState, this.tileFallManager);
+
+        this.playerCount = Math.max(GameConfig.MIN_PLAYERS, Math.min(GameConfig.MAX_PLAYERS, playerCount));
+        this.centerX = centerX;        // World units, nothing to do with the window
+        this.centerY = centerY;
+        this.map = map;                // See GameMap.js
+        this.tileTypes = tileTypes;    // Special tile chances, see TILE_MIXES
+        this.isAuthoritative = isAuthoritative;  // False to mirror an online server's match from its events
+        this.endless = endless;        // Solo run, scored until the player falls (see updateScore)
+        this.suddenDeathTime = suddenDeathTime;  // ms into the match, null for never
+
+        this.tick = 0;
+        this.matchStartTick = null;  // Tick startMatch() was called on, for replays
+        this.playersSpawnStarted = false;
+
+        this.gameState.events.subscribe('gameOver', () => {
+            this.tileFallManager.stop();
+            this.powerUpManager.stop();
+        });
+    }
+
+    get events() {
+        return this.gameState.events;
+    }
+
+    startMatch() {
+        if (this.gameState.matchPhase !== MatchPhase.WaitingToStart) return;
+
+        this.matchStartTick = this.tick;
+
+        // Change phase to spawning (this removes the "Press SPACE" text)
+        this.gameState.matchPhase = MatchPhase.Spawning;
+        this.gameState.initializeBoard(this.centerX, this.centerY, this.map, this.tileTypes);
+    }
+
+    step(inputs = []) {
+        const deltaTime = GameConfig.TICK_DURATION;
+        this.tick++;
+
+        // Update player positions based on input (only when game is in progress)
+        if (this.gameState.matchPhase === MatchPhase.InProgress) {
+            for (const player of this.gameState.alivePlayers) {
+                const dashCooldown = player.dashCooldown;
+                this.updatePlayerMovement(player, normalizeInput(inputs[player.index]), deltaTime);
+
+                // Announced here, not in updatePlayerMovement, because online
+                // reconciliation re-runs that for inputs already predicted
+                if (player.dashCooldown > dashCooldown) {
+                    this.events.emit('playerDashed', player);
+                }
+            }
+
+            // Online the server resolves collisions and its snapshots carry the shoves
+            if (this.isAuthoritative) {
+                this.resolveCollisions();
+            }
+        }
+
+        // Who's on which tile, for everything below (power-ups, sinking
+        // tiles, falls that come due)
+        this.gameState.updateOccupancy();
+
+        if (this.gameState.matchPhase === MatchPhase.InProgress) {
+            this.powerUpManager.update(deltaTime);
+
+            if (this.endless) {
+                this.gameState.alivePlayers.forEach(player => this.updateScore(player, deltaTime));
+            }
+        }
+
+        this.updatePlayerAnimations(deltaTime);
+        this.updateTileAnimations(deltaTime);
+        this.updateSpawnSequence();
+
+        // Fire tile falls and other timers that came due this tick
+        this.gameState.clock.advance(deltaTime);
+    }
+
+    /**
+     * Endless scoring: points for every second alive, and a bonus for each
+     * warning tile the cell is standing on or right next to
+     */
+    updateScore(player, deltaTime) {
+        if (player.isFalling) return;
+
+        let nearWarnings = 0;
+        const tile = this.gameState.getPlayerCurrentTile(player);
+        if (tile) {
+            const positions = [tile.position, ...HEX_DIRECTIONS.map(direction => tile.position.add(direction))];
+            nearWarnings = positions.filter(pos => this.gameState.board.get(pos.toKey())?.isWarning).length;
+        }
+
+        const perSecond = GameConfig.ENDLESS_POINTS_PER_SECOND + nearWarnings * GameConfig.ENDLESS_WARNING_BONUS_PER_SECOND;
+        player.score += perSecond * deltaTime / 1000;
+    }
+
+    updateSpawnSequence() {
+        if (this.gameState.matchPhase !== MatchPhase.Spawning) return;
+
+        // Once all tiles are in, place the players on them
+        if (!this.playersSpawnStarted) {
+            if (this.gameState.areAllTilesSpawned()) {
+                this.playersSpawnStarted = true;
+                this.gameState.initializePlayers(PlayerConfig.slice(0, this.playerCount));
+                this.gameState.startPlayerSpawnAnimations();
+                this.events.emit('playersSpawning', this.gameState.players);
+            }
+            return;
+        }
+
+        // All animations complete, now start the game
+        if (this.gameState.areAllPlayersSpawned()) {
+            this.startGame();
+        }
+    }
+
+    startGame() {
+        this.gameState.matchPhase = MatchPhase.InProgress;
+        this.gameState.gameStartTime = this.gameState.clock.now;
+
+        if (this.isAuthoritative) {
+            this.tileFallManager.start();
+            this.powerUpManager.start();
+        }
+
+        // Online both ends keep this timer, so both hear the cue and show the countdown
+        if (this.suddenDeathTime !== null) {
+            this.gameState.suddenDeathStartTime = this.gameState.clock.now + this.suddenDeathTime;
+            this.gameState.clock.schedule(this.suddenDeathTime, () => this.startSuddenDeath());
+        }
+        this.events.emit('matchStarted');
+    }
+
+    /**
+     * Stop the usual falls and collapse the board a ring at a time from the
+     * outside in
+     */
+    startSuddenDeath() {
+        if (this.gameState.matchPhase !== MatchPhase.InProgress) return;
+
+        this.events.emit('suddenDeath');
+        if (this.isAuthoritative) {
+            this.tileFallManager.startSuddenDeath();
+        }
+    }
+
+    updatePlayerMovement(player, input, deltaTime) {
+        // Don't move if falling
+        if (player.isFalling) return;
+
+        let inputX = input.x;
+        let inputY = input.y;
+
+        // Normalize diagonal input
+        const inputMagnitude = Math.sqrt(inputX * inputX + inputY * inputY);
+        if (inputMagnitude > 1) {
+            inputX /= inputMagnitude;
+            inputY /= inputMagnitude;
+        }
+
+        player.updateDash(deltaTime);
+        if (input.dash && player.canDash) {
+            this.startDash(player, inputX, inputY, inputMagnitude);
+        }
+
+        // Ice leaves little grip to speed up or stop with, sticky tiles hold you back
+        const tileType = this.gameState.getPlayerCurrentTile(player)?.type;
+        const grip = tileType === TileType.Ice ? GameConfig.ICE_GRIP : 1;
+        const stickiness = tileType === TileType.Sticky ? GameConfig.STICKY_SPEED_MULTIPLIER : 1;
+
+        // Apply acceleration/deceleration with momentum
+        const acceleration = 1200 * grip; // pixels/s^2
+        const deceleration = 800 * grip; // pixels/s^2
+        const speedBoost = player.effects.has(PowerUpType.Speed) ? GameConfig.SPEED_BOOST_MULTIPLIER : 1;
+        const maxSpeed = GameConfig.PLAYER_SPEED * speedBoost * stickiness;
+        const dt = deltaTime / 1000;
+
+        // A partly tilted analog stick caps speed proportionally (keys are always full tilt)
+        const speedLimit = inputMagnitude > 0 ? maxSpeed * Math.min(inputMagnitude, 1) : maxSpeed;
+
+        if (inputX !== 0) {
+            player.vx += inputX * acceleration * dt;
+        } else {
+            // Decelerate
+            if (player.vx > 0) {
+                player.vx = Math.max(0, player.vx - deceleration * dt);
+            } else if (player.vx < 0) {
+                player.vx = Math.min(0, player.vx + deceleration * dt);
+            }
+        }
+
+        if (inputY !== 0) {
+            player.vy += inputY * acceleration * dt;
+        } else {
+            // Decelerate
+            if (player.vy > 0) {
+                player.vy = Math.max(0, player.vy - deceleration * dt);
+            } else if (player.vy < 0) {
+                player.vy = Math.min(0, player.vy + deceleration * dt);
+            }
+        }
+
+        // Clamp to max speed
+        const speed = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
+        if (speed > speedLimit) {
+            player.vx = (player.vx / speed) * speedLimit;
+            player.vy = (player.vy / speed) * speedLimit;
+        }
+
+        // A dash overrides steering and the speed cap until it runs out
+        if (player.isDashing) {
+            player.vx = player.dashDirectionX * GameConfig.DASH_SPEED;
+            player.vy = player.dashDirectionY * GameConfig.DASH_SPEED;
+        }
+
+        // Shoves ride on top of the cell's own movement and ease off over time
+        const knockbackSpeed = Math.sqrt(player.knockbackX * player.knockbackX + player.knockbackY * player.knockbackY);
+        if (knockbackSpeed > 0) {
+            const remaining = Math.max(0, knockbackSpeed - KNOCKBACK_DRAG * dt) / knockbackSpeed;
+            player.knockbackX *= remaining;
+            player.knockbackY *= remaining;
+        }
+
+        // Calculate new position
+        const newX = player.x + (player.vx + player.knockbackX) * dt;
+        const newY = player.y + (player.vy + player.knockbackY) * dt;
+
+        // Squash and stretch based on velocity
+        const velocityMagnitude = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
+        const stretchFactor = player.isDashing ? 0.45 : Math.min(velocityMagnitude / maxSpeed, 1) * 0.2;
+
+        if (velocityMagnitude > 10) {
+            // Stretch in direction of movement
+            const angle = Math.atan2(player.vy, player.vx);
+            player.scaleX = 1 + Math.abs(Math.cos(angle)) * stretchFactor;
+            player.scaleY = 1 + Math.abs(Math.sin(angle)) * stretchFactor;
+        } else {
+            // Return to normal
+            player.scaleX = 1;
+            player.scaleY = 1;
+        }
+
+        // Flatten against whatever we just bumped into
+        const squash = player.getSquash();
+        if (squash > 0) {
+            const normalX = Math.abs(player.squashNormalX);
+            const normalY = Math.abs(player.squashNormalY);
+            player.scaleX *= 1 - squash * normalX + squash * normalY * 0.5;
+            player.scaleY *= 1 - squash * normalY + squash * normalX * 0.5;
+        }
+
+        // Check if new position is on a valid tile - if not, player falls!
+        if (this.isAuthoritative && !this.gameState.isTileActive(newX, newY)) {
+            this.gameState.dropPlayer(player);
+            return;
+        }
+
+        player.x = newX;
+        player.y = newY;
+    }
+
+    /**
+     * Dash the way the player is steering, or the way they're already
+     * drifting if they aren't; a cell standing still has nowhere to dash
+     */
+    startDash(player, inputX, inputY, inputMagnitude) {
+        let directionX = inputX;
+        let directionY = inputY;
+        let magnitude = Math.min(inputMagnitude, 1);
+
+        if (magnitude === 0) {
+            directionX = player.vx;
+            directionY = player.vy;
+            magnitude = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
+        }
+        if (magnitude === 0) return;
+
+        player.startDash(directionX / magnitude, directionY / magnitude);
+    }
+
+    /**
+     * Push overlapping cells apart and trade momentum along the line
+     * between them, so a running cell can shove a slower one
+     */
+    resolveCollisions() {
+        const players = this.gameState.alivePlayers;
+        const minDistance = GameConfig.PLAYER_RADIUS * 2;
+
+        for (let i = 0; i < players.length; i++) {
+            for (let j = i + 1; j < players.length; j++) {
+                const a = players[i];
+                const b = players[j];
+
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance >= minDistance) continue;
+
+                // Cells stacked exactly on top of each other split sideways
+                const normalX = distance > 0 ? dx / distance : 1;
+                const normalY = distance > 0 ? dy / distance : 0;
+
+                // Separate evenly so neither overlaps
+                const push = (minDistance - distance) / 2;
+                a.x -= normalX * push;
+                a.y -= normalY * push;
+                b.x += normalX * push;
+                b.y += normalY * push;
+
+                // Only cells moving into each other exchange momentum
+                const closingSpeed =
+                    (a.vx + a.knockbackX - b.vx - b.knockbackX) * normalX +
+                    (a.vy + a.knockbackY - b.vy - b.knockbackY) * normalY;
+                if (closingSpeed <= 0) continue;
+
+                // Equal masses: each takes an equal and opposite impulse
+                const impulse = closingSpeed * (1 + BUMP_RESTITUTION) / 2;
+                a.knockbackX -= normalX * impulse;
+                a.knockbackY -= normalY * impulse;
+                b.knockbackX += normalX * impulse;
+                b.knockbackY += normalY * impulse;
+
+                // Leaning on each other isn't a bump
+                if (closingSpeed < BUMP_MIN_SPEED) continue;
+
+                const impact = Math.min(closingSpeed / (GameConfig.PLAYER_SPEED * 2), 1);
+                a.startSquash(normalX, normalY, impact * MAX_SQUASH);
+                b.startSquash(normalX, normalY, impact * MAX_SQUASH);
+                this.events.emit('bump', { first: a, second: b, normalX, normalY, impact });
+            }
+        }
+    }
+
+    updatePlayerAnimations(deltaTime) {
+        for (const player of this.gameState.players) {
+            player.updateSpawn(deltaTime);
+            player.updateFall(deltaTime);
+            player.updateSquash(deltaTime);
+            player.updateWobble(deltaTime);
+            player.updateEye(deltaTime);
+        }
+    }
+
+    updateTileAnimations(deltaTime) {
+        // Update all tiles (including shattering ones)
+        for (const [posKey, tile] of this.gameState.board) {
+            // Update shattering animation (calls fall() when done)
+            if (tile.isShattering) {
+                tile.updateShatter(deltaTime);
+                continue; // Skip other updates for shattering tiles
+            }
+
+            if (!tile.isActive) continue;
+
+            tile.updateSpawn(deltaTime);
+            tile.updateWarning(deltaTime);
+
+            // Update jiggle animation (works in all phases)
+            tile.updateJiggle(deltaTime);
+
+            // Update sink animation based on whether player is on it
+            tile.updateSink(this.gameState.occupancy.has(posKey), deltaTime);
+        }
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * Stats screen state: a tab each for players, leaderboards, endless high
+ * scores and the selected player's head-to-head record
+ *
+ * Left/Right switch tabs, Up/Down pick the player (or leaderboard, or map),
+ * X exports the stats file and I imports one.
+ */
+
+export const StatsTab = Object.freeze({
+    Players: 'players',
+    Leaderboards: 'leaderboards',
+    HighScores: 'highScores',
+    HeadToHead: 'headToHead',
+});
+
+const TABS = Object.values(StatsTab);
+
+export class StatsScreen {
+    constructor(stats, { onExport, onImport }) {
+        this.stats = stats;
+        this.onExport = onExport;
+        this.onImport = onImport;
+        this.tab = StatsTab.Players;
+        this.selectedProfile = 0;
+        this.selectedLeaderboard = 0;
+        this.selectedHighScores = 0;
+        this.message = null;
+        this.isClosed = false;
+    }
+
+    handleKey(e) {
+        e.preventDefault();
+
+        switch (e.code) {
+            case 'ArrowLeft':
+                this.selectTab(TABS[(TABS.indexOf(this.tab) + TABS.length - 1) % TABS.length]);
+                break;
+            case 'ArrowRight':
+                this.selectTab(TABS[(TABS.indexOf(this.tab) + 1) % TABS.length]);
+                break;
+            case 'ArrowUp':
+                this.moveSelection(-1);
+                break;
+            case 'ArrowDown':
+                this.moveSelection(1);
+                break;
+            case 'KeyX':
+                this.onExport();
+                break;
+            case 'KeyI':
+                this.onImport();
+                break;
+            case 'Escape':
+            case 'KeyH':
+                this.isClosed = true;
+                break;
+        }
+    }
+
+    selectTab(tab) {
+        this.tab = tab;
+    }
+
+    moveSelection(step) {
+        if (this.tab === StatsTab.Leaderboards) {
+            const count = this.stats.getLeaderboardKeys().length;
+            this.selectedLeaderboard = count > 0 ? (this.selectedLeaderboard + step + count) % count : 0;
+        } else if (this.tab === StatsTab.HighScores) {
+            const count = this.stats.getHighScoreKeys().length;
+            this.selectedHighScores = count > 0 ? (this.selectedHighScores + step + count) % count : 0;
+        } else {
+            const count = this.stats.getProfiles().length;
+            this.selectedProfile = count > 0 ? (this.selectedProfile + step + count) % count : 0;
+        }
+    }
+
+    /**
+     * [name, profile] of the player picked on the players tab, or null
+     */
+    get profile() {
+        return this.stats.getProfiles()[this.selectedProfile] ?? null;
+    }
+
+    get leaderboardKey() {
+        return this.stats.getLeaderboardKeys()[this.selectedLeaderboard] ?? null;
+    }
+
+    /**
+     * Map whose endless high scores are showing, or null if none yet
+     */
+    get highScoresKey() {
+        return this.stats.getHighScoreKeys()[this.selectedHighScores] ?? null;
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Team play: 2v2 teams and co-op
+ *
+ * In 2v2, Players 1 and 4 take on Players 2 and 3: the default ring puts
+ * 1 and 4 on its top half and 2 and 3 on the bottom, so each side starts
+ * together (Players 1 and 2 still face each other across it). Each
+ * member plays in a shade of the team's color, and a team wins as soon as
+ * only its members are left. In co-op everyone is on one side against the
+ * board, the falls keep speeding up, and the match is scored on the
+ * players' combined survival time.
+ */
+
+export const TeamMode = Object.freeze({
+    FreeForAll: 'freeForAll',
+    Teams: 'teams',
+    Coop: 'coop',
+});
+
+export const TEAM_MODE_NAMES = Object.freeze({
+    [TeamMode.FreeForAll]: 'Free-for-all',
+    [TeamMode.Teams]: '2v2 Teams',
+    [TeamMode.Coop]: 'Co-op',
+});
+
+export const TEAMS = Object.freeze([
+    { name: 'Red Team', colors: ['#e74c3c', '#f1948a'] },
+    { name: 'Blue Team', colors: ['#3498db', '#85c1e9'] },
+]);
+
+const TEAM_MODE_CYCLE = Object.values(TeamMode);
+
+// 2v2 team of each player slot, and which shade of the team color it plays in
+const TEAM_SLOTS = [0, 1, 1, 0];
+const TEAM_SHADES = [0, 0, 1, 1];
+
+/**
+ * Whether a mode can be played with this many players: 2v2 needs all
+ * four, co-op at least two
+ */
+export function canPlayTeamMode(teamMode, playerCount) {
+    if (teamMode === TeamMode.Teams) return playerCount === 4;
+    if (teamMode === TeamMode.Coop) return playerCount >= 2;
+    return true;
+}
+
+/**
+ * The next mode after teamMode that this many players can play
+ */
+export function getNextTeamMode(teamMode, playerCount) {
+    let next = teamMode;
+    do {
+        next = TEAM_MODE_CYCLE[(TEAM_MODE_CYCLE.indexOf(next) + 1) % TEAM_MODE_CYCLE.length];
+    } while (!canPlayTeamMode(next, playerCount));
+    return next;
+}
+
+/**
+ * Team index a player slot plays for, or null in free-for-all
+ */
+export function getTeam(playerIndex, teamMode) {
+    if (teamMode === TeamMode.Teams) return TEAM_SLOTS[playerIndex];
+    if (teamMode === TeamMode.Coop) return 0;
+    return null;
+}
+
+/**
+ * Screen corner for a player slot's HUD panel and touch joystick, and
+ * which row of that corner (0 nearest the edge). Usually P1 top-left, P2
+ * top-right, P3 bottom-left, P4 bottom-right, with P5-P8 a row further
+ * in; in 2v2 each team takes a side (red left, blue right), lighter
+ * shade at the bottom
+ */
+export function getHudCorner(playerIndex, teamMode) {
+    if (teamMode === TeamMode.Teams) {
+        return { alignRight: TEAM_SLOTS[playerIndex] === 1, atBottom: TEAM_SHADES[playerIndex] === 1, row: 0 };
+    }
+
+    const corner = playerIndex % 4;
+    return { alignRight: corner % 2 === 1, atBottom: corner >= 2, row: Math.floor(playerIndex / 4) };
+}
+
+/**
+ * A player slot's cell color: its shade of the team color in 2v2, its
+ * own color otherwise
+ */
+export function getPlayerColor(playerIndex, teamMode, ownColor) {
+    if (teamMode !== TeamMode.Teams) return ownColor;
+
+    const team = TEAMS[getTeam(playerIndex, teamMode)];
+    return team.colors[TEAM_SHADES[playerIndex]];
+}
@@ -1,21 +1,48 @@
-import { GameConfig } from '../core/config.js';
+import { GameConfig, FALL_SCHEDULES } from '../core/config.js';
+import { HexPosition, HEX_DIRECTIONS } from '../core/hexUtils.js';
+import { TileType } from '../actors/Tile.js';
+import { createFallStrategy } from './FallStrategies.js';
 
 /**
- * Manages the random falling of tiles during gameplay
+ * Manages the falling of tiles during gameplay
+ *
+ * Which tile goes next is up to a fall strategy (see FallStrategies.js).
+ * The schedule runs strategies in turn: each entry's strategy picks tiles
+ * for its duration (ms), and the last one carries on to the end, unless
+ * sudden death takes over (see startSuddenDeath).
  */
 
 export class TileFallManager {
-    constructor(gameState) {
+    constructor(gameState, schedule = FALL_SCHEDULES.classic, { escalate = false } = {}) {
         this.gameState = gameState;
+        this.schedule = schedule;      // [{ strategy, duration }]
+        this.escalate = escalate;      // Endless runs and co-op, see accelerateFallRate
         this.fallInterval = GameConfig.TILE_FALL_INTERVAL;
-        this.pendingFalls = new Map();  // posKey → timeoutId
+        this.tilesPerFall = 1;
+        this.fallsAtTopSpeed = 0;
+        this.pendingFalls = new Map();  // posKey → timerId (on gameState.clock)
         this.nextFallTimeout = null;
+        this.thawTimeout = null;       // Set while a freeze holds off new warnings
+        this.cursedBy = null;          // Player whose curse aims the next warning
+        this.stageIndex = 0;
+        this.strategy = null;
+        this.nextStageTimeout = null;
+        this.nextRingTimeout = null;
+        this.isSuddenDeath = false;
         this.isRunning = false;
     }
 
+    get isFrozen() {
+        return this.thawTimeout !== null;
+    }
+
     start() {
         this.isRunning = true;
         this.fallInterval = GameConfig.TILE_FALL_INTERVAL;
+        this.tilesPerFall = 1;
+        this.fallsAtTopSpeed = 0;
+        this.isSuddenDeath = false;
+        this.startStage(0);
         this.scheduleNextFall();
     }
 
@@ -23,82 +50,248 @@ export class TileFallManager {
         this.isRunning = false;
 
         if (this.nextFallTimeout) {
-            clearTimeout(this.nextFallTimeout);
+            this.gameState.clock.cancel(this.nextFallTimeout);
             this.nextFallTimeout = null;
         }
+        if (this.thawTimeout) {
+            this.gameState.clock.cancel(this.thawTimeout);
+            this.thawTimeout = null;
+        }
+        if (this.nextStageTimeout) {
+            this.gameState.clock.cancel(this.nextStageTimeout);
+            this.nextStageTimeout = null;
+        }
+        if (this.nextRingTimeout) {
+            this.gameState.clock.cancel(this.nextRingTimeout);
+            this.nextRingTimeout = null;
+        }
 
-        this.pendingFalls.forEach(timeoutId => clearTimeout(timeoutId));
+        this.pendingFalls.forEach(timerId => this.gameState.clock.cancel(timerId));
         this.pendingFalls.clear();
     }
 
+    /**
+     * Hand tile picking to the schedule's stage at index, and line up the
+     * one after it
+     */
+    startStage(index) {
+        const { strategy, duration } = this.schedule[index];
+        this.stageIndex = index;
+        this.strategy = createFallStrategy(strategy);
+        this.nextStageTimeout = null;
+
+        if (index < this.schedule.length - 1) {
+            this.nextStageTimeout = this.gameState.clock.schedule(duration, () => this.startStage(index + 1));
+        }
+    }
+
     scheduleNextFall() {
-        if (!this.isRunning) return;
+        if (!this.isRunning || this.isSuddenDeath) return;
 
-        this.nextFallTimeout = setTimeout(() => {
-            this.selectRandomTile();
+        this.nextFallTimeout = this.gameState.clock.schedule(this.fallInterval, () => {
+            for (let i = 0; i < this.tilesPerFall; i++) {
+                this.selectTile();
+            }
             this.accelerateFallRate();
             this.scheduleNextFall();
-        }, this.fallInterval);
+        });
+    }
+
+    /**
+     * Stop the usual falls (and any freeze holding them off) and start
+     * collapsing the board ring by ring. Tiles already warning still fall.
+     */
+    startSuddenDeath() {
+        if (!this.isRunning || this.isSuddenDeath) return;
+
+        const clock = this.gameState.clock;
+        for (const timerId of [this.nextFallTimeout, this.thawTimeout, this.nextStageTimeout]) {
+            if (timerId) {
+                clock.cancel(timerId);
+            }
+        }
+        this.nextFallTimeout = null;
+        this.thawTimeout = null;
+        this.nextStageTimeout = null;
+
+        this.isSuddenDeath = true;
+        this.collapseRing();
+    }
+
+    /**
+     * Warn every tile on the outermost ring left, and line up the next ring
+     */
+    collapseRing() {
+        const center = new HexPosition(0, 0);
+        const ring = [];
+        let outermost = -1;
+
+        for (const [posKey, tile] of this.gameState.board) {
+            if (!tile.isActive || tile.isWarning || tile.isShattering) continue;
+
+            const distance = tile.position.distance(center);
+            if (distance > outermost) {
+                outermost = distance;
+                ring.length = 0;
+            }
+            if (distance === outermost) {
+                ring.push(posKey);
+            }
+        }
+
+        if (ring.length === 0) return;
+
+        this.gameState.events.emit('ringCollapsing', ring);
+        ring.forEach(posKey => this.warnTile(posKey));
+
+        this.nextRingTimeout = this.gameState.clock.schedule(GameConfig.SUDDEN_DEATH_RING_INTERVAL, () => {
+            this.nextRingTimeout = null;
+            this.collapseRing();
+        });
     }
 
-    selectRandomTile() {
-        // Get active tiles that are not already in warning state
+    /**
+     * Hold off new warnings for a while (tiles already warning still fall).
+     * Freezing again while frozen restarts the wait.
+     */
+    freeze(duration) {
+        if (!this.isRunning) return;
+
+        const clock = this.gameState.clock;
+        if (this.nextFallTimeout) {
+            clock.cancel(this.nextFallTimeout);
+            this.nextFallTimeout = null;
+        }
+        if (this.thawTimeout) {
+            clock.cancel(this.thawTimeout);
+        }
+
+        this.thawTimeout = clock.schedule(duration, () => {
+            this.thawTimeout = null;
+            this.scheduleNextFall();
+        });
+    }
+
+    /**
+     * Aim the next warning at a tile under one of the player's opponents
+     * (never a teammate)
+     */
+    curse(player) {
+        this.cursedBy = player;
+    }
+
+    /**
+     * Tile under an opponent of the cursing player, or null if there's
+     * none to hit (the curse then waits for the next warning)
+     */
+    pickCursedTile(candidates) {
+        const victimTiles = candidates.filter(posKey =>
+            this.gameState.checkPlayersOnTile(posKey).some(player => this.gameState.areOpponents(player, this.cursedBy))
+        );
+        if (victimTiles.length === 0) return null;
+
+        const posKey = this.gameState.random.pick(victimTiles);
+        const curser = this.cursedBy;
+        this.cursedBy = null;
+        this.gameState.events.emit('curseTriggered', curser);
+        return posKey;
+    }
+
+    selectTile() {
+        // Get active tiles that are not already warning or falling
         const activeTiles = [];
-        const tilesWithPlayers = [];
 
         for (const [posKey, tile] of this.gameState.board) {
-            if (tile.isActive && !tile.isWarning) {
+            if (tile.isActive && !tile.isWarning && !tile.isShattering) {
                 activeTiles.push(posKey);
-
-                // Check if any player is on this tile
-                const playersOnTile = this.gameState.checkPlayersOnTile(posKey);
-                if (playersOnTile.length > 0) {
-                    tilesWithPlayers.push(posKey);
-                }
             }
         }
 
         if (activeTiles.length === 0) return;
 
-        let posKey;
+        // A curse dies with whoever cast it
+        if (this.cursedBy && !this.cursedBy.isAlive) {
+            this.cursedBy = null;
+        }
 
-        // 20% chance to target a tile with a player on it (if any exist)
-        if (tilesWithPlayers.length > 0 && Math.random() < 0.2) {
-            const randomIndex = Math.floor(Math.random() * tilesWithPlayers.length);
-            posKey = tilesWithPlayers[randomIndex];
-        } else {
-            // Random selection from all active tiles
-            const randomIndex = Math.floor(Math.random() * activeTiles.length);
-            posKey = activeTiles[randomIndex];
+        let posKey = null;
+        if (this.cursedBy) {
+            const tilesWithPlayers = activeTiles.filter(key => this.gameState.isTileOccupied(key));
+            posKey = this.pickCursedTile(tilesWithPlayers);
         }
 
+        // Otherwise it's the current strategy's pick
+        posKey ??= this.strategy.pickTile(activeTiles, this.gameState);
+
+        this.warnTile(posKey);
+    }
+
+    warnTile(posKey) {
         // Start warning phase
         this.gameState.markTileWarning(posKey);
 
         // Schedule actual fall after warning duration
-        const timeoutId = setTimeout(() => {
+        const timerId = this.gameState.clock.schedule(GameConfig.TILE_WARNING_DURATION, () => {
             this.executeFall(posKey);
-        }, GameConfig.TILE_WARNING_DURATION);
+        });
 
-        this.pendingFalls.set(posKey, timeoutId);
+        this.pendingFalls.set(posKey, timerId);
     }
 
     executeFall(posKey) {
         this.pendingFalls.delete(posKey);
 
+        // Cracked tiles survive their first warning
+        const tile = this.gameState.board.get(posKey);
+        if (tile.hitsLeft > 1) {
+            this.gameState.crackTile(posKey);
+            return;
+        }
+
         // Check for players on this tile and eliminate them
         const playersOnTile = this.gameState.checkPlayersOnTile(posKey);
 
         for (const player of playersOnTile) {
-            player.startFalling();
-            this.gameState.eliminatePlayer(player);
+            this.gameState.dropPlayer(player);
         }
 
         // Remove the tile
         this.gameState.removeTile(posKey);
+
+        if (tile.type === TileType.Bomb) {
+            this.detonate(tile);
+        }
     }
 
+    /**
+     * A fallen bomb sets off its whole neighbourhood (other bombs chain)
+     */
+    detonate(tile) {
+        this.gameState.events.emit('bombDetonated', tile.position.toKey());
+
+        for (const direction of HEX_DIRECTIONS) {
+            const posKey = tile.position.add(direction).toKey();
+            const neighbor = this.gameState.board.get(posKey);
+
+            if (neighbor?.isActive && !neighbor.isShattering && !neighbor.isWarning) {
+                this.warnTile(posKey);
+            }
+        }
+    }
+
+    /**
+     * Shorten the time between falls. Escalating matches keep getting meaner
+     * once falls are at top speed: every so many falls, each one warns
+     * another tile at once
+     */
     accelerateFallRate() {
+        if (this.escalate && this.fallInterval === GameConfig.MIN_FALL_INTERVAL) {
+            this.fallsAtTopSpeed++;
+            if (this.fallsAtTopSpeed % GameConfig.ENDLESS_FALLS_PER_EXTRA_TILE === 0) {
+                this.tilesPerFall = Math.min(this.tilesPerFall + 1, GameConfig.ENDLESS_MAX_TILES_PER_FALL);
+            }
+        }
+
         this.fallInterval = Math.max(
             GameConfig.MIN_FALL_INTERVAL,
             this.fallInterval - GameConfig.FALL_ACCELERATION
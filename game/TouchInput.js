@@ -0,0 +1,172 @@
+import { PlayerConfig } from '../core/config.js';
+import { EventEmitter } from '../core/types.js';
+import { NO_INPUT } from './Simulation.js';
+import { TeamMode, getHudCorner } from './Teams.js';
+
+/**
+ * Multi-touch virtual joysticks, one per player, anchored to screen corners
+ *
+ * Uses pointer events so each finger drives its own stick. Touches that
+ * don't land on a stick are emitted as taps for on-canvas buttons.
+ * Joysticks only appear once a touch (or pen) has been seen.
+ */
+
+export const JOYSTICK_RADIUS = 60;
+const JOYSTICK_GRAB_RADIUS = JOYSTICK_RADIUS * 1.6;   // How far from the base a touch still grabs it
+const JOYSTICK_INSET_X = 120;                           // Base distance from the side edge
+const JOYSTICK_INSET_Y = 170;                           // Base distance from the top/bottom edge
+const JOYSTICK_DEADZONE = 0.1;
+
+export class TouchInput {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.events = new EventEmitter();
+        this.isActive = false;       // True once the player has touched the screen
+        this.playerCount = 0;
+        this.teamMode = TeamMode.FreeForAll;
+        this.botPlayers = new Set(); // Slots played by bots get no joystick
+
+        this.sticks = [];            // playerIndex → { pointerId, dx, dy } while held
+        this.stickPointers = new Map();  // pointerId → playerIndex
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+    }
+
+    setPlayerCount(playerCount) {
+        this.playerCount = playerCount;
+    }
+
+    setTeamMode(teamMode) {
+        this.teamMode = teamMode;
+    }
+
+    setBotPlayers(playerIndices) {
+        this.botPlayers = new Set(playerIndices);
+    }
+
+    /**
+     * Players without keys are left to a controller or a bot, so they get
+     * no joystick either
+     */
+    hasJoystick(playerIndex) {
+        return playerIndex < this.playerCount && !this.botPlayers.has(playerIndex) &&
+            PlayerConfig[playerIndex].keys !== null;
+    }
+
+    /**
+     * Joystick base position for a player, matching their HUD panel's corner
+     */
+    getAnchor(playerIndex) {
+        const { alignRight, atBottom } = getHudCorner(playerIndex, this.teamMode);
+        // CSS pixels, like pointer positions (the canvas itself is HiDPI)
+        const { width, height } = this.canvas.getBoundingClientRect();
+
+        return {
+            x: alignRight ? width - JOYSTICK_INSET_X : JOYSTICK_INSET_X,
+            y: atBottom ? height - JOYSTICK_INSET_Y : JOYSTICK_INSET_Y,
+        };
+    }
+
+    getPointerPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    handlePointerDown(e) {
+        if (e.pointerType !== 'mouse') {
+            this.isActive = true;
+        }
+        if (!this.isActive) return;
+
+        e.preventDefault();
+        const position = this.getPointerPosition(e);
+
+        // Grab the nearest free joystick in reach
+        const playerIndex = this.findStickAt(position);
+        if (playerIndex === null) {
+            this.events.emit('tap', position);
+            return;
+        }
+
+        this.canvas.setPointerCapture?.(e.pointerId);
+        this.stickPointers.set(e.pointerId, playerIndex);
+        this.sticks[playerIndex] = { pointerId: e.pointerId, dx: 0, dy: 0 };
+        this.updateStick(playerIndex, position);
+    }
+
+    handlePointerMove(e) {
+        const playerIndex = this.stickPointers.get(e.pointerId);
+        if (playerIndex === undefined) return;
+
+        e.preventDefault();
+        this.updateStick(playerIndex, this.getPointerPosition(e));
+    }
+
+    handlePointerUp(e) {
+        const playerIndex = this.stickPointers.get(e.pointerId);
+        if (playerIndex === undefined) return;
+
+        this.stickPointers.delete(e.pointerId);
+        this.sticks[playerIndex] = null;
+    }
+
+    findStickAt(position) {
+        let closest = null;
+        let closestDistance = JOYSTICK_GRAB_RADIUS;
+
+        for (let i = 0; i < this.playerCount; i++) {
+            if (this.sticks[i] || !this.hasJoystick(i)) continue;
+
+            const anchor = this.getAnchor(i);
+            const distance = Math.hypot(position.x - anchor.x, position.y - anchor.y);
+            if (distance <= closestDistance) {
+                closest = i;
+                closestDistance = distance;
+            }
+        }
+
+        return closest;
+    }
+
+    updateStick(playerIndex, position) {
+        const anchor = this.getAnchor(playerIndex);
+        let dx = position.x - anchor.x;
+        let dy = position.y - anchor.y;
+
+        // Keep the knob inside the base
+        const distance = Math.hypot(dx, dy);
+        if (distance > JOYSTICK_RADIUS) {
+            dx = (dx / distance) * JOYSTICK_RADIUS;
+            dy = (dy / distance) * JOYSTICK_RADIUS;
+        }
+
+        this.sticks[playerIndex].dx = dx;
+        this.sticks[playerIndex].dy = dy;
+    }
+
+    /**
+     * Knob offset in pixels for drawing, { dx: 0, dy: 0 } when released
+     */
+    getKnobOffset(playerIndex) {
+        const stick = this.sticks[playerIndex];
+        return stick ? { dx: stick.dx, dy: stick.dy } : { dx: 0, dy: 0 };
+    }
+
+    getPlayerInput(playerIndex) {
+        const stick = this.sticks[playerIndex];
+        if (!stick) return NO_INPUT;
+
+        const x = stick.dx / JOYSTICK_RADIUS;
+        const y = stick.dy / JOYSTICK_RADIUS;
+        if (Math.hypot(x, y) < JOYSTICK_DEADZONE) return NO_INPUT;
+
+        return { x, y };
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Single-elimination bracket for up to eight named players, played as
+ * 1v1 matches on one keyboard
+ *
+ * Entrants are seeded in the order they were entered. The bracket is
+ * filled out to a power of two with byes, which go to the top seeds and
+ * are decided straight away. Each match's first entrant plays as
+ * Player 1 and the second as Player 2.
+ */
+
+export const MAX_ENTRANTS = 8;
+
+// Standard seeding: the top seeds only meet in the late rounds
+function getSeedOrder(size) {
+    let order = [0];
+    while (order.length < size) {
+        const mirror = order.length * 2 - 1;
+        order = order.flatMap(seed => [seed, mirror - seed]);
+    }
+    return order;
+}
+
+export class Tournament {
+    constructor(names) {
+        if (names.length < 2 || names.length > MAX_ENTRANTS) {
+            throw new Error(`A bracket needs 2 to ${MAX_ENTRANTS} players`);
+        }
+
+        this.names = names;
+
+        // rounds[r][m] = { entrants: [index, index], winner: index }; null is
+        // a bye or an entrant still to be decided
+        let size = 2;
+        while (size < names.length) size *= 2;
+
+        const slots = getSeedOrder(size).map(seed => seed < names.length ? seed : null);
+        this.rounds = [];
+        for (let matches = size / 2; matches >= 1; matches /= 2) {
+            this.rounds.push(Array.from({ length: matches }, () => ({ entrants: [null, null], winner: null })));
+        }
+        this.rounds[0].forEach((match, i) => {
+            match.entrants = [slots[i * 2], slots[i * 2 + 1]];
+        });
+
+        // Byes: whoever has nobody to play goes through
+        this.rounds[0].forEach((match, i) => {
+            const [first, second] = match.entrants;
+            if (first === null || second === null) {
+                this.advance(0, i, first ?? second);
+            }
+        });
+    }
+
+    /**
+     * The next match to play, or null once there's a champion
+     */
+    get currentMatch() {
+        for (const round of this.rounds) {
+            const match = round.find(match => match.winner === null);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    get champion() {
+        return this.rounds[this.rounds.length - 1][0].winner;
+    }
+
+    get isOver() {
+        return this.champion !== null;
+    }
+
+    /**
+     * Names of the current match's players, Player 1 first
+     */
+    getMatchNames() {
+        return this.currentMatch?.entrants.map(index => this.names[index]) ?? [];
+    }
+
+    /**
+     * Settle the current match; slot is 0 for its Player 1, 1 for Player 2
+     */
+    recordWinner(slot) {
+        const match = this.currentMatch;
+        if (!match) return;
+
+        const roundIndex = this.rounds.findIndex(round => round.includes(match));
+        this.advance(roundIndex, this.rounds[roundIndex].indexOf(match), match.entrants[slot]);
+    }
+
+    advance(roundIndex, matchIndex, winner) {
+        this.rounds[roundIndex][matchIndex].winner = winner;
+
+        const nextRound = this.rounds[roundIndex + 1];
+        if (nextRound) {
+            nextRound[Math.floor(matchIndex / 2)].entrants[matchIndex % 2] = winner;
+        }
+    }
+}
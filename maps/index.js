@@ -0,0 +1,97 @@
+import { GameConfig } from '../core/config.js';
+import { HexPosition, HEX_DIRECTIONS, generateHexGrid } from '../core/hexUtils.js';
+import { TileType } from '../actors/Tile.js';
+import { MAP_VERSION, createHexagonMap } from '../game/GameMap.js';
+
+/**
+ * Maps that ship with the game, selectable on the title screen
+ *
+ * Each one is built here in the same JSON shape a map file has (see
+ * GameMap.js), so any of them can be saved out and edited.
+ */
+
+const CENTER = new HexPosition(0, 0);
+const EXPANSE_RADIUS = 22;
+
+// Small round islands at the center and out along the six directions,
+// joined to the middle by one-tile bridges
+function createIslands() {
+    const tiles = generateHexGrid(1).map(pos => [pos.q, pos.r]);
+
+    for (const direction of HEX_DIRECTIONS) {
+        const islandCenter = new HexPosition(direction.q * 5, direction.r * 5);
+        for (const pos of generateHexGrid(1)) {
+            const tile = islandCenter.add(pos);
+            tiles.push([tile.q, tile.r]);
+        }
+        for (const step of [2, 3]) {
+            tiles.push([direction.q * step, direction.r * step]);
+        }
+    }
+    return tiles;
+}
+
+// Off-center lagoon with an icy shore and a sticky marsh on the far side
+function createLagoon() {
+    const lagoon = new HexPosition(2, -1);
+    const marsh = new HexPosition(-4, 3);
+
+    return generateHexGrid(GameConfig.GRID_RADIUS)
+        .filter(pos => pos.distance(lagoon) > 2 || pos.distance(CENTER) > 5)
+        .map(pos => {
+            if (pos.distance(lagoon) === 3) return [pos.q, pos.r, TileType.Ice];
+            if (pos.distance(marsh) <= 1) return [pos.q, pos.r, TileType.Sticky];
+            return [pos.q, pos.r];
+        });
+}
+
+// A wide open board for eight, with an icy ring part way out and a
+// sticky patch at the center
+function createExpanse() {
+    return generateHexGrid(EXPANSE_RADIUS).map(pos => {
+        const distance = pos.distance(CENTER);
+        if (distance === 12) return [pos.q, pos.r, TileType.Ice];
+        if (distance <= 2) return [pos.q, pos.r, TileType.Sticky];
+        return [pos.q, pos.r];
+    });
+}
+
+export const BUNDLED_MAPS = Object.freeze({
+    classic: createHexagonMap('Classic', GameConfig.GRID_RADIUS),
+    donut: {
+        version: MAP_VERSION,
+        name: 'Donut',
+        tiles: generateHexGrid(GameConfig.GRID_RADIUS)
+            .filter(pos => pos.distance(CENTER) > 2)
+            .map(pos => [pos.q, pos.r]),
+    },
+    islands: {
+        version: MAP_VERSION,
+        name: 'Islands',
+        tiles: createIslands(),
+        spawns: [[0, -5], [0, 5], [5, 0], [-5, 0]],
+        fallSchedule: [
+            { strategy: 'classic', duration: 20000 },
+            { strategy: 'ring' },
+        ],
+    },
+    lagoon: {
+        version: MAP_VERSION,
+        name: 'Lagoon',
+        tiles: createLagoon(),
+        spawns: [[-5, 2], [4, 1], [-1, -4], [0, 5]],
+        fallSchedule: [
+            { strategy: 'lines', duration: 25000 },
+            { strategy: 'classic' },
+        ],
+    },
+    expanse: {
+        version: MAP_VERSION,
+        name: 'Expanse',
+        tiles: createExpanse(),
+        fallSchedule: [
+            { strategy: 'classic', duration: 20000 },
+            { strategy: 'chase' },
+        ],
+    },
+});
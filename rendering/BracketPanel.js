@@ -0,0 +1,60 @@
+import { MAX_NAME_LENGTH } from '../game/NetProtocol.js';
+import { MAX_ENTRANTS } from '../game/Tournament.js';
+
+/**
+ * DOM panel for setting up a bracket: a name per entrant, then start
+ */
+
+export class BracketPanel {
+    constructor(container, { onStart, onCancel }) {
+        this.container = container;
+        this.nameList = container.querySelector('[data-bracket="names"]');
+        this.status = container.querySelector('[data-bracket="status"]');
+
+        this.nameInputs = Array.from({ length: MAX_ENTRANTS }, (_, i) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.maxLength = MAX_NAME_LENGTH;
+            input.placeholder = `Player ${i + 1}`;
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') onStart(this.getNames());
+                if (e.key === 'Escape') onCancel();
+            });
+            return input;
+        });
+        this.nameList.replaceChildren(...this.nameInputs.map(input => {
+            const item = document.createElement('li');
+            item.appendChild(input);
+            return item;
+        }));
+
+        container.querySelector('[data-bracket="start"]').addEventListener('click', () => onStart(this.getNames()));
+        container.querySelector('[data-bracket="cancel"]').addEventListener('click', () => onCancel());
+    }
+
+    get isVisible() {
+        return !this.container.hidden;
+    }
+
+    /**
+     * Entered names in order, blanks skipped
+     */
+    getNames() {
+        return this.nameInputs.map(input => input.value.trim()).filter(Boolean);
+    }
+
+    show() {
+        this.container.hidden = false;
+        this.setStatus(`Enter 2 to ${MAX_ENTRANTS} names. Each match is 1v1 with Player 1's and Player 2's controls.`);
+        this.nameInputs[0].focus();
+    }
+
+    hide() {
+        this.container.hidden = true;
+        document.activeElement?.blur();
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+}
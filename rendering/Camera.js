@@ -0,0 +1,61 @@
+import { GameConfig } from '../core/config.js';
+
+/**
+ * Where the world is drawn on screen
+ *
+ * The simulation works in world units (HEX_SIZE per hex, board centered
+ * on its own center point), which never change with the window. The
+ * camera centers that board in the viewport and scales it to fit, so
+ * resizing only moves the picture, never players relative to their tiles.
+ * Screen coordinates are CSS pixels; the Renderer deals with
+ * devicePixelRatio underneath.
+ */
+
+/**
+ * World-unit size of a board reaching radius rings out from its center
+ * (pointy-top hexes, see axialToPixel)
+ */
+export function getBoardSize(radius) {
+    return {
+        width: Math.sqrt(3) * GameConfig.HEX_SIZE * (2 * radius + 1),
+        height: GameConfig.HEX_SIZE * (3 * radius + 2),
+    };
+}
+
+export class Camera {
+    constructor() {
+        this.scale = 1;       // Screen pixels per world unit
+        this.offsetX = 0;     // Screen position of world (0, 0)
+        this.offsetY = 0;
+    }
+
+    /**
+     * Center the board on (centerX, centerY) in world units in a width ×
+     * height viewport, as big as fits with margin to spare on every side
+     */
+    fit(width, height, { centerX = 0, centerY = 0, radius = GameConfig.GRID_RADIUS, margin = 0 } = {}) {
+        const board = getBoardSize(radius);
+        const scaleX = Math.max(1, width - 2 * margin) / board.width;
+        const scaleY = Math.max(1, height - 2 * margin) / board.height;
+
+        this.scale = Math.min(scaleX, scaleY);
+        this.offsetX = width / 2 - centerX * this.scale;
+        this.offsetY = height / 2 - centerY * this.scale;
+    }
+
+    /**
+     * Make ctx draw in world units from here on
+     */
+    apply(ctx) {
+        ctx.translate(this.offsetX, this.offsetY);
+        ctx.scale(this.scale, this.scale);
+    }
+
+    worldToScreen(x, y) {
+        return { x: x * this.scale + this.offsetX, y: y * this.scale + this.offsetY };
+    }
+
+    screenToWorld(x, y) {
+        return { x: (x - this.offsetX) / this.scale, y: (y - this.offsetY) / this.scale };
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * Rolling frame rate and render time, for the on-screen readout
+ *
+ * FPS comes from the time between frames, which the browser caps at the
+ * display's refresh rate; render time is how long the Renderer itself
+ * took, which is the number to watch when making drawing cheaper.
+ */
+
+const SAMPLE_COUNT = 60;   // Frames averaged over
+
+function pushSample(samples, value) {
+    samples.push(value);
+    if (samples.length > SAMPLE_COUNT) {
+        samples.shift();
+    }
+}
+
+function average(samples) {
+    if (samples.length === 0) return 0;
+    return samples.reduce((sum, value) => sum + value, 0) / samples.length;
+}
+
+export class FrameStats {
+    constructor() {
+        this.frameIntervals = [];   // ms between frame starts
+        this.renderTimes = [];      // ms spent rendering each frame
+        this.lastFrameStart = null;
+    }
+
+    record(frameStart, frameEnd) {
+        if (this.lastFrameStart !== null) {
+            pushSample(this.frameIntervals, frameStart - this.lastFrameStart);
+        }
+        this.lastFrameStart = frameStart;
+        pushSample(this.renderTimes, frameEnd - frameStart);
+    }
+
+    get fps() {
+        const interval = average(this.frameIntervals);
+        return interval > 0 ? 1000 / interval : 0;
+    }
+
+    get averageRenderTime() {
+        return average(this.renderTimes);
+    }
+
+    get maxRenderTime() {
+        return this.renderTimes.length > 0 ? Math.max(...this.renderTimes) : 0;
+    }
+}
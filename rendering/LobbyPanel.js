@@ -0,0 +1,80 @@
+import { MAX_NAME_LENGTH, ROOM_CODE_LENGTH } from '../game/NetProtocol.js';
+
+/**
+ * DOM panel for online play: create or join a room, see who's in it, start
+ */
+
+export class LobbyPanel {
+    constructor(container, { onCreate, onJoin, onStart, onLeave }) {
+        this.container = container;
+        this.nameInput = container.querySelector('[data-lobby="name"]');
+        this.codeInput = container.querySelector('[data-lobby="code"]');
+        this.connectSection = container.querySelector('[data-lobby="connect"]');
+        this.roomSection = container.querySelector('[data-lobby="room"]');
+        this.roomCode = container.querySelector('[data-lobby="room-code"]');
+        this.playerList = container.querySelector('[data-lobby="players"]');
+        this.startButton = container.querySelector('[data-lobby="start"]');
+        this.status = container.querySelector('[data-lobby="status"]');
+
+        this.nameInput.maxLength = MAX_NAME_LENGTH;
+        this.codeInput.maxLength = ROOM_CODE_LENGTH;
+
+        container.querySelector('[data-lobby="create"]').addEventListener('click', () => {
+            onCreate(this.nameInput.value);
+        });
+        container.querySelector('[data-lobby="join"]').addEventListener('click', () => {
+            onJoin(this.nameInput.value, this.codeInput.value);
+        });
+        this.codeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') onJoin(this.nameInput.value, this.codeInput.value);
+        });
+        this.startButton.addEventListener('click', () => {
+            onStart();
+            this.startButton.blur();
+        });
+        container.querySelector('[data-lobby="leave"]').addEventListener('click', () => onLeave());
+    }
+
+    get isVisible() {
+        return !this.container.hidden;
+    }
+
+    show() {
+        this.container.hidden = false;
+        this.connectSection.hidden = false;
+        this.roomSection.hidden = true;
+        this.nameInput.focus();
+    }
+
+    hide() {
+        this.container.hidden = true;
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    /**
+     * Show the room we're in; hidden while its match is being played
+     */
+    showRoom({ code, players, hostIndex, yourIndex, isMatchRunning }) {
+        this.connectSection.hidden = true;
+        this.roomSection.hidden = false;
+        this.roomCode.textContent = code;
+
+        this.playerList.replaceChildren(...players.map((name, i) => {
+            const item = document.createElement('li');
+            const tags = [i === hostIndex && 'host', i === yourIndex && 'you'].filter(Boolean);
+            item.textContent = tags.length > 0 ? `${name} (${tags.join(', ')})` : name;
+            return item;
+        }));
+
+        const isHost = yourIndex === hostIndex;
+        this.startButton.hidden = !isHost;
+        this.setStatus(isHost
+            ? 'Share the room code, then start when everyone is in.'
+            : 'Waiting for the host to start the match.');
+
+        this.container.hidden = isMatchRunning;
+    }
+}
@@ -1,13 +1,83 @@
-import { GameConfig, MatchPhase } from '../core/config.js';
+import { GameConfig, MatchPhase, PlayerConfig } from '../core/config.js';
+import { JOYSTICK_RADIUS } from '../game/TouchInput.js';
+import { BINDABLE_ACTIONS, formatKeyCode, describeMovedKeys } from '../game/KeyBindings.js';
+import { POWER_UP_STYLES } from '../actors/PowerUp.js';
+import { TILE_TYPE_COLORS } from '../actors/Tile.js';
+import { EditorTool, PAINT_TYPES, getSymmetricPositions } from '../game/MapEditor.js';
+import { StatsTab } from '../game/StatsScreen.js';
+import { PAUSE_OPTIONS } from '../game/PauseMenu.js';
+import { TeamMode, TEAMS, TEAM_MODE_NAMES, getTeam, getPlayerColor, getHudCorner } from '../game/Teams.js';
+import { axialToPixel, pixelToAxial, generateHexGrid } from '../core/hexUtils.js';
+import { Camera } from './Camera.js';
+import { TileLayer } from './TileLayer.js';
+import { FrameStats } from './FrameStats.js';
 
 /**
  * Canvas rendering for the game
+ *
+ * The board is drawn in world units through a Camera that fits it to the
+ * window; the HUD, menus and tap targets are laid out in CSS pixels on
+ * top. The canvas backing store is devicePixelRatio times bigger, so both
+ * stay sharp on HiDPI screens.
  */
 
+const PLAYER_PANEL_HEIGHT = 80;
+const PLAYER_PANEL_GAP = 10;       // Between two panels sharing a corner
+const TITLE_ROWS_PER_COLUMN = 4;   // Title screen player rows before a second column starts
+const TITLE_COLUMN_WIDTH = 420;
+const BOARD_MARGIN = 24;           // CSS pixels kept clear around the fitted board
+const GAMEPAD_GLYPH = '🎮';
+const DASH_BUTTON_SIZE = 70;
+const DASH_BUTTON_GAP = 40;     // Between a joystick's base and its dash button
+const EDITOR_BUTTON_WIDTH = 110;
+const EDITOR_BUTTON_HEIGHT = 40;
+const EDITOR_BUTTON_GAP = 8;
+const SCORE_ROW_HEIGHT = 30;
+const BRACKET_BOX_HEIGHT = 44;
+const STATS_ROW_HEIGHT = 28;
+const STATS_VISIBLE_ROWS = 10;
+const GAME_OVER_HIGH_SCORES = 5;   // Rows of the high score table shown after an endless run
+const STATS_TAB_LABELS = {
+    [StatsTab.Players]: 'Players',
+    [StatsTab.Leaderboards]: 'Leaderboards',
+    [StatsTab.HighScores]: 'Endless',
+    [StatsTab.HeadToHead]: 'Head-to-head',
+};
+
+function formatMovementKeys(keys) {
+    return [keys.up, keys.left, keys.down, keys.right].map(formatKeyCode).join(' ');
+}
+
+function capitalize(text) {
+    return `${text[0].toUpperCase()}${text.slice(1)}`;
+}
+
+function formatBot(difficulty) {
+    return `BOT (${capitalize(difficulty)})`;
+}
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatSuddenDeathTime(ms) {
+    return ms === null ? 'Off' : `${ms / 1000}s`;
+}
+
+function formatSeriesLength(bestOf) {
+    return bestOf === 1 ? 'Single match' : `Best of ${bestOf}`;
+}
+
 export class Renderer {
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.tapTargets = [];  // On-canvas buttons drawn this frame, for touch hit-testing
+        this.camera = new Camera();
+        this.tileLayer = new TileLayer();     // Still tiles, drawn once and reused
+        this.frameStats = new FrameStats();
+        this.showFrameStats = false;          // FPS readout, toggled with ` (backquote)
+        this.liveTileCount = 0;               // Tiles drawn outside the layer last frame
 
         // Make canvas fill the entire window
         this.resizeCanvas();
@@ -15,37 +85,153 @@ export class Renderer {
     }
 
     resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+        // Layout is in CSS pixels; the backing store has a device pixel for each
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+
+        this.canvas.width = Math.round(this.width * this.pixelRatio);
+        this.canvas.height = Math.round(this.height * this.pixelRatio);
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
 
-        this.centerX = this.canvas.width / 2;
-        this.centerY = this.canvas.height / 2;
+        this.centerX = this.width / 2;
+        this.centerY = this.height / 2;
     }
 
-    render(gameState) {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    /**
+     * Options: isReplay, playerCount (title screen), keyBindings,
+     * gamepadPlayers (indices with a controller), botDifficulties (by player
+     * index, empty for humans), mapName, tileMix and fallSchedule (title
+     * screen match options; TILE_MIXES and FALL_SCHEDULES keys, fallSchedule
+     * null when the map sets it), seriesLength and suddenDeathTime (title
+     * screen best-of, null when there's no series to play, and sudden death
+     * choices), series and tournament (while one is being played),
+     * touchInput (when touch controls are showing), controlsMenu and
+     * statsScreen (when open), pauseMenu (while paused), isOnline and
+     * playerLabels (names shown in the HUD instead of controls), endless
+     * ({ personalBest, highScores, result } during a solo run)
+     */
+    render(gameState, options = {}) {
+        const frameStart = performance.now();
+        const ui = {
+            isReplay: false,
+            playerCount: gameState.players.length,
+            keyBindings: null,
+            gamepadPlayers: [],
+            botDifficulties: [],
+            mapName: null,
+            tileMix: null,
+            fallSchedule: null,
+            seriesLength: 1,
+            suddenDeathTime: null,
+            series: null,
+            tournament: null,
+            touchInput: null,
+            controlsMenu: null,
+            statsScreen: null,
+            pauseMenu: null,
+            isOnline: false,
+            playerLabels: null,
+            endless: null,
+            ...options,
+        };
 
-        this.drawBackground();
+        this.beginFrame();
+
+        // Fit the whole map to the window, around wherever the simulation
+        // put its center (older replays recorded a window center)
+        this.camera.fit(this.width, this.height, {
+            centerX: gameState.centerX,
+            centerY: gameState.centerY,
+            radius: gameState.mapRadius,
+            margin: BOARD_MARGIN,
+        });
+        this.drawTileLayer(gameState);
+        this.ctx.save();
+        this.camera.apply(this.ctx);
         this.drawTiles(gameState);
+        this.drawPowerUps(gameState);
         this.drawPlayers(gameState);
-        this.drawUI(gameState);
+        this.ctx.restore();
+
+        this.drawUI(gameState, ui);
+
+        if (ui.isReplay) {
+            this.drawReplayBadge(gameState.seed);
+        }
 
         // Draw game over screen if match is over
         if (gameState.matchPhase === MatchPhase.GameOver) {
-            this.renderGameOver(gameState.alivePlayers[0] || null);
+            this.renderGameOver(gameState, ui);
+        }
+
+        if (ui.pauseMenu) {
+            this.drawPauseMenu(ui.pauseMenu);
         }
+
+        this.frameStats.record(frameStart, performance.now());
+        if (this.showFrameStats) {
+            this.drawFrameStats();
+        }
+    }
+
+    toggleFrameStats() {
+        this.showFrameStats = !this.showFrameStats;
+    }
+
+    /**
+     * Reset to CSS pixel coordinates and clear, ready to draw a frame
+     */
+    beginFrame() {
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.tapTargets = [];
+        this.drawBackground();
+    }
+
+    /**
+     * Board cell under a screen position, by the camera of the last frame
+     */
+    screenToHex(x, y) {
+        const world = this.camera.screenToWorld(x, y);
+        return pixelToAxial(world.x, world.y, GameConfig.HEX_SIZE, 0, 0);
     }
 
     drawBackground() {
         this.ctx.fillStyle = GameConfig.BACKGROUND_COLOR;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, this.width, this.height);
     }
 
+    /**
+     * Copy the still tiles over in one go (in CSS pixels, the layer is
+     * already at the camera's scale)
+     */
+    drawTileLayer(gameState) {
+        this.tileLayer.update(gameState, this.camera, this.pixelRatio, this.width, this.height);
+        if (this.tileLayer.size > 0) {
+            this.ctx.drawImage(this.tileLayer.canvas, 0, 0, this.width, this.height);
+        }
+    }
+
+    /**
+     * Tiles that are animating, which the layer leaves out
+     */
     drawTiles(gameState) {
+        this.liveTileCount = 0;
         if (gameState.board.size === 0) return;
 
         for (const [posKey, tile] of gameState.board) {
-            tile.render(this.ctx, this.centerX, this.centerY);
+            if (this.tileLayer.contains(tile)) continue;
+
+            tile.render(this.ctx, gameState.centerX, gameState.centerY);
+            this.liveTileCount++;
+        }
+    }
+
+    drawPowerUps(gameState) {
+        for (const [_, powerUp] of gameState.powerUps) {
+            powerUp.render(this.ctx, gameState.centerX, gameState.centerY);
         }
     }
 
@@ -57,61 +243,628 @@ export class Renderer {
         }
     }
 
-    drawUI(gameState) {
-        const padding = 30;
+    drawUI(gameState, ui) {
+        this.drawPlayerPanels(gameState, ui);
 
-        // Player 1 controls (left side)
-        if (gameState.players[0]) {
-            const p1 = gameState.players[0];
-            this.ctx.fillStyle = p1.color;
-            this.ctx.font = 'bold 20px Arial';
-            this.ctx.fillText('W', padding, padding + 20);
-            this.ctx.fillText('A', padding, padding + 45);
-            this.ctx.fillText('S', padding, padding + 70);
-            this.ctx.fillText('D', padding, padding + 95);
-
-            // Status
-            if (!p1.isAlive) {
-                this.ctx.fillStyle = '#666';
-                this.ctx.font = '16px Arial';
-                this.ctx.fillText(`OUT (${(p1.survivalTime / 1000).toFixed(1)}s)`, padding, padding + 130);
-            }
+        if (ui.endless && gameState.players.length > 0) {
+            this.drawEndlessScore(gameState.players[0], ui.endless.personalBest);
         }
 
-        // Player 2 controls (right side)
-        if (gameState.players[1]) {
-            const p2 = gameState.players[1];
-            this.ctx.fillStyle = p2.color;
-            this.ctx.font = 'bold 20px Arial';
-            this.ctx.textAlign = 'right';
-            this.ctx.fillText('↑', this.canvas.width - padding, padding + 20);
-            this.ctx.fillText('←', this.canvas.width - padding, padding + 45);
-            this.ctx.fillText('↓', this.canvas.width - padding, padding + 70);
-            this.ctx.fillText('→', this.canvas.width - padding, padding + 95);
-
-            // Status
-            if (!p2.isAlive) {
-                this.ctx.fillStyle = '#666';
-                this.ctx.font = '16px Arial';
-                this.ctx.fillText(`OUT (${(p2.survivalTime / 1000).toFixed(1)}s)`, this.canvas.width - padding, padding + 130);
+        if (ui.touchInput) {
+            this.drawTouchControls(gameState, ui);
+        }
+
+        if (gameState.matchPhase === MatchPhase.InProgress) {
+            this.drawSuddenDeathCountdown(gameState);
+            if (gameState.teamMode === TeamMode.Coop) {
+                this.drawCoopTime(gameState);
             }
-            this.ctx.textAlign = 'left';
         }
 
         // Phase-specific UI
         if (gameState.matchPhase === MatchPhase.WaitingToStart) {
-            // Draw large title
-            this.ctx.font = 'bold 72px Arial';
+            if (ui.controlsMenu) {
+                this.drawControlsMenu(ui.controlsMenu, ui.keyBindings);
+            } else if (ui.statsScreen) {
+                this.drawStatsScreen(ui.statsScreen);
+            } else {
+                this.drawTitleScreen(gameState, ui);
+            }
+        }
+    }
+
+    /**
+     * Top center, under the pause button: a countdown to sudden death for
+     * its last few seconds, then the time until the next ring goes
+     */
+    drawSuddenDeathCountdown(gameState) {
+        const countdown = gameState.getSuddenDeathCountdown();
+        if (countdown === null) return;
+
+        this.ctx.textAlign = 'center';
+        if (gameState.isSuddenDeath) {
+            if (gameState.board.size === 0) return;
+
+            this.ctx.font = 'bold 28px Arial';
+            this.ctx.fillStyle = '#e74c3c';
+            this.ctx.fillText('SUDDEN DEATH', this.centerX, 90);
+            this.ctx.font = '18px Arial';
             this.ctx.fillStyle = 'white';
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText('SINGLE CELL SURVIVAL', this.centerX, this.centerY - 40);
+            this.ctx.fillText(`Next ring in ${(countdown / 1000).toFixed(1)}s`, this.centerX, 116);
+        } else if (countdown <= GameConfig.SUDDEN_DEATH_COUNTDOWN) {
+            this.ctx.font = 'bold 24px Arial';
+            this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+            this.ctx.fillText(`SUDDEN DEATH IN ${Math.ceil(countdown / 1000)}`, this.centerX, 90);
+        }
+        this.ctx.textAlign = 'left';
+    }
+
+    /**
+     * Co-op score so far, top center where the sudden death countdown
+     * would be (co-op doesn't have one)
+     */
+    drawCoopTime(gameState) {
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 24px Arial';
+        this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+        this.ctx.fillText(`TEAM TIME ${formatSeconds(gameState.getCombinedSurvivalTime())}`, this.centerX, 90);
+        this.ctx.textAlign = 'left';
+    }
+
+    drawTouchControls(gameState, ui) {
+        const phase = gameState.matchPhase;
+
+        // One joystick per player slot, faded out once that player is out
+        for (let i = 0; i < ui.playerCount; i++) {
+            if (!ui.touchInput.hasJoystick(i)) continue;
+
+            const player = gameState.players[i];
+            const color = player?.color ?? PlayerConfig[i].color;
+            const anchor = ui.touchInput.getAnchor(i);
+            this.drawJoystick(anchor, ui.touchInput.getKnobOffset(i), color, player?.isAlive ?? true);
+
+            // Dash button on the side of the stick facing the board
+            if (!ui.isReplay && phase === MatchPhase.InProgress && player?.isAlive) {
+                const towardCenter = anchor.x < this.centerX ? 1 : -1;
+                const buttonX = anchor.x + towardCenter * (JOYSTICK_RADIUS + DASH_BUTTON_GAP + DASH_BUTTON_SIZE / 2);
+                this.drawTouchButton(`dash-${i}`, player.canDash ? 'DASH' : '…',
+                    buttonX - DASH_BUTTON_SIZE / 2, anchor.y - DASH_BUTTON_SIZE / 2, DASH_BUTTON_SIZE, DASH_BUTTON_SIZE);
+            }
+        }
+
+        if (!ui.isReplay && !ui.isOnline && !ui.pauseMenu &&
+            (phase === MatchPhase.Spawning || phase === MatchPhase.InProgress)) {
+            this.drawTouchButton('pause', '❚❚', this.centerX - 30, 12, 60, 44);
+        }
+    }
+
+    drawJoystick(anchor, knob, color, isEnabled) {
+        this.ctx.save();
+        this.ctx.globalAlpha = isEnabled ? 1 : 0.3;
+
+        // Base
+        this.ctx.beginPath();
+        this.ctx.arc(anchor.x, anchor.y, JOYSTICK_RADIUS, 0, Math.PI * 2);
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+        this.ctx.fill();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+
+        // Knob
+        this.ctx.beginPath();
+        this.ctx.arc(anchor.x + knob.dx, anchor.y + knob.dy, JOYSTICK_RADIUS * 0.4, 0, Math.PI * 2);
+        this.ctx.fillStyle = color;
+        this.ctx.globalAlpha *= 0.7;
+        this.ctx.fill();
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw a button and register it as a tap target for this frame
+     */
+    drawTouchButton(id, label, x, y, width, height) {
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x, y, width, height);
+
+        this.ctx.font = 'bold 20px Arial';
+        this.ctx.fillStyle = 'white';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(label, x + width / 2, y + height / 2);
+        this.ctx.textBaseline = 'alphabetic';
+        this.ctx.textAlign = 'left';
+
+        this.addTapTarget(id, x, y, width, height);
+    }
+
+    addTapTarget(id, x, y, width, height) {
+        this.tapTargets.push({ id, x, y, width, height });
+    }
+
+    /**
+     * Id of the topmost tap target at a canvas position, or null
+     */
+    hitTest(x, y) {
+        for (let i = this.tapTargets.length - 1; i >= 0; i--) {
+            const target = this.tapTargets[i];
+            if (x >= target.x && x <= target.x + target.width &&
+                y >= target.y && y <= target.y + target.height) {
+                return target.id;
+            }
+        }
+        return null;
+    }
+
+    drawPlayerPanels(gameState, { keyBindings, gamepadPlayers, botDifficulties, playerLabels }) {
+        const padding = 30;
+
+        // One panel per player in its corner (see getHudCorner). 2v2 teammates
+        // share a side, joined by a stripe in the team color
+        const isTeams = gameState.teamMode === TeamMode.Teams;
+        gameState.players.forEach((player, i) => {
+            const { alignRight, atBottom, row } = getHudCorner(i, gameState.teamMode);
+            const inset = padding + row * (PLAYER_PANEL_HEIGHT + PLAYER_PANEL_GAP);
+
+            const x = alignRight ? this.width - padding : padding;
+            const y = atBottom ? this.height - inset - PLAYER_PANEL_HEIGHT : inset;
+
+            const keys = keyBindings?.getKeys(i);
+            let controls = keys && formatMovementKeys(keys);
+            if (playerLabels) {
+                controls = playerLabels[i];
+            } else if (botDifficulties[i]) {
+                controls = formatBot(botDifficulties[i]);
+            }
+            if (isTeams) {
+                this.ctx.fillStyle = TEAMS[player.team].colors[0];
+                this.ctx.fillRect(alignRight ? x + 12 : x - 18, y, 6, PLAYER_PANEL_HEIGHT);
+            }
+            const teamName = isTeams ? TEAMS[player.team].name : null;
+            this.drawPlayerPanel(player, controls, x, y, alignRight ? 'right' : 'left', gamepadPlayers.includes(i), teamName);
+        });
+    }
+
+    /**
+     * Score and personal best in the top-right corner, where P2's panel
+     * would be
+     */
+    drawEndlessScore(player, personalBest) {
+        const x = this.width - 30;
+
+        this.ctx.textAlign = 'right';
+        this.ctx.font = 'bold 28px Arial';
+        this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+        this.ctx.fillText(`SCORE ${Math.floor(player.score)}`, x, 56);
+
+        if (personalBest !== null) {
+            this.ctx.font = '16px Arial';
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            this.ctx.fillText(`BEST ${personalBest}`, x, 80);
+        }
+        this.ctx.textAlign = 'left';
+    }
+
+    drawPlayerPanel(player, controls, x, y, align, hasGamepad, teamName = null) {
+        this.ctx.textAlign = align;
+
+        // Name
+        let name = teamName ? `${player.name} · ${teamName}` : player.name;
+        if (hasGamepad) {
+            name = `${name} ${GAMEPAD_GLYPH}`;
+        }
+        this.ctx.fillStyle = player.color;
+        this.ctx.font = 'bold 18px Arial';
+        this.ctx.fillText(name, x, y + 18);
 
-            // Draw subtitle with smaller font
+        // Controls
+        if (controls) {
+            this.ctx.font = 'bold 20px Arial';
+            this.ctx.fillText(controls, x, y + 46);
+        }
+
+        // Status
+        if (!player.isAlive) {
+            this.ctx.fillStyle = '#666';
+            this.ctx.font = '16px Arial';
+            this.ctx.fillText(`OUT (${(player.survivalTime / 1000).toFixed(1)}s)`, x, y + 74);
+        } else if (player.effects.size > 0) {
+            this.drawEffectIcons(player.effects, x, y + 74, align);
+        }
+
+        this.ctx.textAlign = 'left';
+    }
+
+    /**
+     * Power-up icons in a row, timed ones with their seconds left
+     */
+    drawEffectIcons(effects, x, y, align) {
+        const spacing = 44;
+        const direction = align === 'right' ? -1 : 1;
+        let iconX = x;
+
+        this.ctx.font = 'bold 16px Arial';
+        for (const [type, timeLeft] of effects) {
+            const style = POWER_UP_STYLES[type];
+            const label = Number.isFinite(timeLeft) ? `${style.glyph}${Math.ceil(timeLeft / 1000)}` : style.glyph;
+
+            this.ctx.fillStyle = style.color;
+            this.ctx.fillText(label, iconX, y);
+            iconX += direction * spacing;
+        }
+    }
+
+    drawTitleScreen(gameState, { playerCount, keyBindings, gamepadPlayers, botDifficulties, mapName, tileMix, fallSchedule, seriesLength, suddenDeathTime, touchInput, endless }) {
+        // Draw large title
+        this.ctx.font = 'bold 72px Arial';
+        this.ctx.fillStyle = 'white';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('SINGLE CELL SURVIVAL', this.centerX, this.centerY - 40);
+
+        // Draw subtitle with smaller font (a big button on touch screens)
+        if (touchInput) {
+            this.drawTouchButton('start', 'TAP TO START', this.centerX - 100, this.centerY - 5, 200, 44);
+            this.drawTouchButton('edit-map', 'EDIT MAP', this.centerX + 120, this.centerY - 5, 130, 44);
+            this.drawTouchButton('stats', 'STATS', this.centerX - 250, this.centerY - 5, 130, 44);
+            this.ctx.textAlign = 'center';
+        } else {
             this.ctx.font = '24px Arial';
             this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
             this.ctx.fillText('Press SPACE to Start', this.centerX, this.centerY + 20);
-            this.ctx.textAlign = 'left';
         }
+
+        this.drawPlayerCountSelector(playerCount, this.centerY + 70);
+
+        // Who plays with which keys (tap a row to cycle it through the bots),
+        // in two columns once there are more players than fit in one
+        const columnCount = Math.ceil(playerCount / TITLE_ROWS_PER_COLUMN);
+        for (let i = 0; i < playerCount; i++) {
+            const config = PlayerConfig[i];
+            const column = Math.floor(i / TITLE_ROWS_PER_COLUMN);
+            const rowX = this.centerX + (column - (columnCount - 1) / 2) * TITLE_COLUMN_WIDTH;
+            const rowY = this.centerY + 110 + (i % TITLE_ROWS_PER_COLUMN) * 26;
+            const team = getTeam(i, gameState.teamMode);
+            this.ctx.font = '18px Arial';
+            this.ctx.fillStyle = getPlayerColor(i, gameState.teamMode, config.color);
+
+            // Players without keys are a controller or a bot
+            const keys = keyBindings.getKeys(i);
+            let controls = keys && `${formatMovementKeys(keys)}  ·  Dash ${formatKeyCode(keys.dash)}`;
+            if (botDifficulties[i]) {
+                controls = formatBot(botDifficulties[i]);
+            } else if (gamepadPlayers.includes(i)) {
+                controls = controls ? `${controls} or ${GAMEPAD_GLYPH}` : `Controller ${GAMEPAD_GLYPH}`;
+            }
+            const name = gameState.teamMode === TeamMode.Teams ? `${config.name} (${TEAMS[team].name})` : config.name;
+            this.ctx.fillText(`${name}: ${controls}`, rowX, rowY);
+            this.addTapTarget(`bot-${i}`, rowX - 180, rowY - 20, 360, 26);
+        }
+
+        // Alone it's an endless run, scored against your own best
+        if (endless) {
+            const best = endless.personalBest === null ? '' : `  ·  Best ${endless.personalBest}`;
+            this.ctx.font = '18px Arial';
+            this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+            this.ctx.fillText(`ENDLESS: last as long as you can, stand near warnings for a bonus${best}`, this.centerX, this.centerY + 136);
+        }
+
+        const footerY = this.centerY + 110 + TITLE_ROWS_PER_COLUMN * 26 + 20;
+        this.drawSeed(gameState.seed, footerY);
+
+        // Map (M), special tile mix (B), fall schedule (F), series length (N,
+        // unless it's endless or co-op), sudden death (G) and team mode (V),
+        // three to a row; tap any to cycle
+        const optionColumns = 3;
+        let optionsHeight = 0;
+        if (mapName) {
+            const options = [
+                ['map', `Map: ${mapName}  (M)`],
+                ['tiles', `Tiles: ${capitalize(tileMix)}  (B)`],
+                ['falls', `Falls: ${fallSchedule ? capitalize(fallSchedule) : 'Set by map'}  (F)`],
+                ['rounds', seriesLength === null ? null : `${formatSeriesLength(seriesLength)}  (N)`],
+                ['sudden-death', `Sudden death: ${formatSuddenDeathTime(suddenDeathTime)}  (G)`],
+                ['team-mode', `Mode: ${TEAM_MODE_NAMES[gameState.teamMode]}  (V)`],
+            ].filter(([, label]) => label !== null);
+
+            this.ctx.font = '16px Arial';
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            options.forEach(([target, label], i) => {
+                const x = this.centerX + ((i % optionColumns) - (optionColumns - 1) / 2) * 230;
+                const y = footerY + 24 + Math.floor(i / optionColumns) * 24;
+                this.ctx.fillText(label, x, y);
+                this.addTapTarget(target, x - 110, y - 18, 220, 24);
+            });
+            optionsHeight = Math.ceil(options.length / optionColumns) * 24;
+        }
+
+        this.ctx.font = '16px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.fillText('C to Change Controls  ·  H for Stats  ·  R to Load Replay  ·  O to Play Online  ·  E to Edit Maps  ·  Press a controller button to join', this.centerX, footerY + optionsHeight + 26);
+        this.ctx.fillText('SHIFT + 1-8 to make a player a bot (Easy, Normal, Hard)  ·  T for a Bracket Tournament', this.centerX, footerY + optionsHeight + 48);
+
+        // Saved bindings that clashed with a menu key, until the controls menu is opened
+        if (keyBindings.movedKeys.length > 0) {
+            this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+            this.ctx.fillText(`${describeMovedKeys(keyBindings.movedKeys)}  ·  C to check`, this.centerX, footerY + optionsHeight + 74);
+        }
+        this.ctx.textAlign = 'left';
+    }
+
+    drawControlsMenu(menu, keyBindings) {
+        const columnWidth = 150;
+        const rowHeight = 44;
+        const left = this.centerX - (menu.playerCount * columnWidth) / 2;
+        const top = this.centerY - 120;
+
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 48px Arial';
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText('CONTROLS', this.centerX, top - 60);
+
+        for (let playerIndex = 0; playerIndex < menu.playerCount; playerIndex++) {
+            const config = PlayerConfig[playerIndex];
+            const columnX = left + playerIndex * columnWidth;
+            const keys = keyBindings.getKeys(playerIndex);
+
+            // Player header
+            this.ctx.font = 'bold 18px Arial';
+            this.ctx.fillStyle = config.color;
+            this.ctx.fillText(config.name, columnX + columnWidth / 2, top);
+
+            BINDABLE_ACTIONS.forEach((action, actionIndex) => {
+                const cellY = top + 16 + actionIndex * rowHeight;
+                const isSelected = playerIndex === menu.selectedPlayer && actionIndex === menu.selectedAction;
+
+                if (isSelected) {
+                    this.ctx.fillStyle = menu.isListening ? 'rgba(241, 196, 15, 0.35)' : 'rgba(255, 255, 255, 0.15)';
+                    this.ctx.fillRect(columnX + 10, cellY, columnWidth - 20, rowHeight - 8);
+                }
+
+                this.ctx.font = '14px Arial';
+                this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+                this.ctx.textAlign = 'left';
+                this.ctx.fillText(action, columnX + 18, cellY + 23);
+
+                this.ctx.font = 'bold 18px Arial';
+                this.ctx.fillStyle = isSelected ? 'white' : config.color;
+                this.ctx.textAlign = 'right';
+                this.ctx.fillText(formatKeyCode(keys[action]), columnX + columnWidth - 18, cellY + 24);
+                this.ctx.textAlign = 'center';
+
+                this.addTapTarget(`rebind-${playerIndex}-${actionIndex}`, columnX + 10, cellY, columnWidth - 20, rowHeight - 8);
+            });
+        }
+
+        const bottom = top + 16 + BINDABLE_ACTIONS.length * rowHeight + 30;
+
+        if (menu.message) {
+            this.ctx.font = '18px Arial';
+            this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+            this.ctx.fillText(menu.message, this.centerX, bottom);
+        }
+
+        this.ctx.font = '16px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.fillText('Arrows to select  ·  Enter to rebind  ·  Backspace to reset  ·  Esc to go back', this.centerX, bottom + 36);
+        this.ctx.textAlign = 'left';
+    }
+
+    drawStatsScreen(screen) {
+        const top = this.centerY - 200;
+        const tabWidth = 180;
+
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 48px Arial';
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText('STATS', this.centerX, top - 50);
+
+        Object.entries(STATS_TAB_LABELS).forEach(([tab, label], i) => {
+            const x = this.centerX + (i - (Object.keys(STATS_TAB_LABELS).length - 1) / 2) * tabWidth;
+            const isSelected = tab === screen.tab;
+
+            this.ctx.font = isSelected ? 'bold 20px Arial' : '20px Arial';
+            this.ctx.fillStyle = isSelected ? 'white' : 'rgba(255, 255, 255, 0.4)';
+            this.ctx.fillText(label, x, top);
+            this.addTapTarget(`stats-tab-${tab}`, x - tabWidth / 2, top - 24, tabWidth, 34);
+        });
+
+        const tableTop = top + 40;
+        if (screen.tab === StatsTab.Players) {
+            this.drawStatsPlayers(screen, tableTop);
+        } else if (screen.tab === StatsTab.Leaderboards) {
+            this.drawStatsLeaderboard(screen, tableTop);
+        } else if (screen.tab === StatsTab.HighScores) {
+            this.drawStatsHighScores(screen, tableTop);
+        } else {
+            this.drawStatsHeadToHead(screen, tableTop);
+        }
+
+        const bottom = tableTop + (STATS_VISIBLE_ROWS + 2) * STATS_ROW_HEIGHT;
+        this.ctx.textAlign = 'center';
+        if (screen.message) {
+            this.ctx.font = '18px Arial';
+            this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+            this.ctx.fillText(screen.message, this.centerX, bottom);
+        }
+
+        this.ctx.font = '16px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.fillText('←/→ for tabs  ·  ↑/↓ to select  ·  X to Export  ·  I to Import  ·  Esc to go back', this.centerX, bottom + 36);
+        this.ctx.textAlign = 'left';
+    }
+
+    /**
+     * A table with a header row; rows are arrays of cells, columns are
+     * { label, x offset from center, align }. The selected row is
+     * highlighted and kept in view, and every row is tappable.
+     */
+    drawStatsTable(columns, rows, selectedRow, y, tapPrefix, visibleRows = STATS_VISIBLE_ROWS) {
+        const width = 760;
+        const firstRow = Math.max(0, Math.min(selectedRow - visibleRows + 1, rows.length - visibleRows));
+
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        for (const { label, x, align } of columns) {
+            this.ctx.textAlign = align;
+            this.ctx.fillText(label, this.centerX + x, y);
+        }
+
+        rows.slice(firstRow, firstRow + visibleRows).forEach((cells, i) => {
+            const rowIndex = firstRow + i;
+            const rowY = y + (i + 1) * STATS_ROW_HEIGHT;
+
+            if (rowIndex === selectedRow) {
+                this.ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+                this.ctx.fillRect(this.centerX - width / 2, rowY - 19, width, STATS_ROW_HEIGHT - 2);
+            }
+            if (tapPrefix) {
+                this.addTapTarget(`${tapPrefix}${rowIndex}`, this.centerX - width / 2, rowY - 19, width, STATS_ROW_HEIGHT - 2);
+            }
+
+            this.ctx.font = '16px Arial';
+            this.ctx.fillStyle = 'white';
+            cells.forEach((cell, column) => {
+                this.ctx.textAlign = columns[column].align;
+                this.ctx.fillText(String(cell), this.centerX + columns[column].x, rowY);
+            });
+        });
+
+        this.ctx.textAlign = 'center';
+        if (rows.length === 0) {
+            this.ctx.font = '18px Arial';
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            this.ctx.fillText('No matches played yet', this.centerX, y + STATS_ROW_HEIGHT * 2);
+        }
+    }
+
+    drawStatsPlayers(screen, y) {
+        const columns = [
+            { label: 'PLAYER', x: -370, align: 'left' },
+            { label: 'WINS', x: -90, align: 'right' },
+            { label: 'LOSSES', x: -10, align: 'right' },
+            { label: 'DRAWS', x: 70, align: 'right' },
+            { label: 'LONGEST', x: 170, align: 'right' },
+            { label: 'TILES', x: 260, align: 'right' },
+            { label: 'AVG FINISH', x: 370, align: 'right' },
+        ];
+        const rows = screen.stats.getProfiles().map(([name, profile]) => {
+            const averageFinish = screen.stats.getAverageFinish(profile);
+            return [
+                name,
+                profile.wins,
+                profile.losses,
+                profile.draws,
+                formatSeconds(profile.longestSurvival),
+                profile.tilesSurvived,
+                averageFinish === null ? '–' : averageFinish.toFixed(2),
+            ];
+        });
+
+        this.drawStatsTable(columns, rows, screen.selectedProfile, y, 'stats-profile-');
+    }
+
+    drawStatsLeaderboard(screen, y) {
+        const key = screen.leaderboardKey;
+        const columns = [
+            { label: '#', x: -330, align: 'right' },
+            { label: 'PLAYER', x: -300, align: 'left' },
+            { label: 'SURVIVED', x: 110, align: 'right' },
+            { label: 'DATE', x: 330, align: 'right' },
+        ];
+        const rows = (screen.stats.leaderboards[key] ?? []).map(({ name, survivalTime, date }, i) =>
+            [i + 1, name, formatSeconds(survivalTime), date.slice(0, 10)]);
+
+        this.ctx.font = 'bold 18px Arial';
+        this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+        this.ctx.textAlign = 'center';
+        if (key) {
+            this.ctx.fillText(`▲  ${key}  ▼`, this.centerX, y - 6);
+        }
+
+        this.drawStatsTable(columns, rows, -1, y + 24, null);
+    }
+
+    drawStatsHighScores(screen, y) {
+        const mapName = screen.highScoresKey;
+
+        this.ctx.font = 'bold 18px Arial';
+        this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+        this.ctx.textAlign = 'center';
+        if (mapName) {
+            this.ctx.fillText(`▲  ${mapName}  ▼`, this.centerX, y - 6);
+        }
+
+        this.drawHighScoreTable(screen.stats.getHighScores(mapName), -1, y + 24);
+    }
+
+    drawHighScoreTable(highScores, selectedRow, y, visibleRows = STATS_VISIBLE_ROWS) {
+        const columns = [
+            { label: '#', x: -330, align: 'right' },
+            { label: 'PLAYER', x: -300, align: 'left' },
+            { label: 'SCORE', x: 60, align: 'right' },
+            { label: 'SURVIVED', x: 190, align: 'right' },
+            { label: 'DATE', x: 330, align: 'right' },
+        ];
+        const rows = highScores.map(({ name, score, survivalTime, date }, i) =>
+            [i + 1, name, score, formatSeconds(survivalTime), date.slice(0, 10)]);
+
+        this.drawStatsTable(columns, rows, selectedRow, y, null, visibleRows);
+    }
+
+    drawStatsHeadToHead(screen, y) {
+        const [name, profile] = screen.profile ?? [null, null];
+        const columns = [
+            { label: 'OPPONENT', x: -300, align: 'left' },
+            { label: 'WINS', x: 60, align: 'right' },
+            { label: 'LOSSES', x: 170, align: 'right' },
+            { label: 'DRAWS', x: 280, align: 'right' },
+        ];
+        const rows = Object.entries(profile?.headToHead ?? {})
+            .map(([opponent, { wins, losses, draws }]) => [opponent, wins, losses, draws]);
+
+        this.ctx.font = 'bold 18px Arial';
+        this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+        this.ctx.textAlign = 'center';
+        if (name) {
+            this.ctx.fillText(`▲  ${name}  ▼`, this.centerX, y - 6);
+        }
+
+        this.drawStatsTable(columns, rows, -1, y + 24, null);
+    }
+
+    drawPlayerCountSelector(playerCount, y) {
+        const spacing = 40;
+
+        this.ctx.font = '18px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        // The counts centered, with the label to their left and the hint to their right
+        const middle = (GameConfig.MIN_PLAYERS + GameConfig.MAX_PLAYERS) / 2;
+        const halfWidth = (GameConfig.MAX_PLAYERS - GameConfig.MIN_PLAYERS) / 2 * spacing;
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText('Players:', this.centerX - halfWidth - spacing * 0.8, y);
+
+        // Highlight the selected count
+        this.ctx.textAlign = 'center';
+        for (let count = GameConfig.MIN_PLAYERS; count <= GameConfig.MAX_PLAYERS; count++) {
+            const x = this.centerX + (count - middle) * spacing;
+            const isSelected = count === playerCount;
+
+            this.ctx.font = isSelected ? 'bold 24px Arial' : '18px Arial';
+            this.ctx.fillStyle = isSelected ? 'white' : 'rgba(255, 255, 255, 0.35)';
+            this.ctx.fillText(String(count), x, y);
+
+            this.addTapTarget(`players-${count}`, x - spacing / 2, y - 28, spacing, 40);
+        }
+
+        this.ctx.font = '14px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`(press ${GameConfig.MIN_PLAYERS}–${GameConfig.MAX_PLAYERS})`, this.centerX + halfWidth + spacing * 0.6, y);
+        this.ctx.textAlign = 'center';
     }
 
     drawCenteredText(text, color, fontSize) {
@@ -122,22 +875,453 @@ export class Renderer {
         this.ctx.textAlign = 'left';
     }
 
-    renderGameOver(winner) {
+    drawSeed(seed, y) {
+        this.ctx.font = '16px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`Seed: ${seed}`, this.centerX, y);
+    }
+
+    drawPauseMenu(menu) {
+        const labels = { resume: 'Resume', restart: 'Restart', quit: 'Quit to Title' };
+        const buttonWidth = 220;
+        const buttonHeight = 44;
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 48px Arial';
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText('PAUSED', this.centerX, this.centerY - 100);
+
+        this.ctx.font = '20px Arial';
+        this.ctx.fillText(menu.prompt, this.centerX, this.centerY - 55);
+
+        // Options stacked under the prompt, the selected one highlighted
+        PAUSE_OPTIONS.forEach((option, i) => {
+            const y = this.centerY - 25 + i * (buttonHeight + 12);
+            if (i === menu.selected) {
+                this.ctx.fillStyle = 'rgba(241, 196, 15, 0.35)';
+                this.ctx.fillRect(this.centerX - buttonWidth / 2, y, buttonWidth, buttonHeight);
+            }
+            this.drawTouchButton(`pause-${option}`, labels[option], this.centerX - buttonWidth / 2, y, buttonWidth, buttonHeight);
+        });
+
+        this.ctx.textAlign = 'center';
+        this.ctx.font = '16px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.fillText('↑/↓ to select  ·  Enter to choose  ·  Esc or P to resume', this.centerX, this.centerY + 165);
+        this.ctx.textAlign = 'left';
+    }
+
+    /**
+     * FPS and render time at the bottom, between the player panels, plus
+     * how many tiles came from the cached layer
+     */
+    drawFrameStats() {
+        const stats = this.frameStats;
+        const lines = [
+            `${stats.fps.toFixed(0)} FPS`,
+            `render ${stats.averageRenderTime.toFixed(1)} ms (max ${stats.maxRenderTime.toFixed(1)})`,
+            `tiles ${this.tileLayer.size} cached · ${this.liveTileCount} live`,
+            `layer ${this.tileLayer.redrawCount} redraws · ${this.tileLayer.patchCount} tile patches`,
+        ];
+        const lineHeight = 16;
+        const width = 300;
+        const left = this.centerX - width / 2;
+        const top = this.height - 12 - lines.length * lineHeight;
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(left, top - 6, width, lines.length * lineHeight + 10);
+
+        this.ctx.fillStyle = '#2ecc71';
+        this.ctx.font = '12px monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        lines.forEach((line, i) => this.ctx.fillText(line, left + 8, top + i * lineHeight));
+        this.ctx.textBaseline = 'alphabetic';
+    }
+
+    drawReplayBadge(seed) {
+        this.ctx.font = 'bold 20px Arial';
+        this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`REPLAY · Seed ${seed}`, this.centerX, 40);
+        this.ctx.textAlign = 'left';
+    }
+
+    renderGameOver(gameState, { isReplay, isOnline, touchInput, series, tournament, playerLabels, endless }) {
+        // In 2v2 any member left standing wins it for their team
+        const winner = gameState.alivePlayers[0] || null;
+        const winningTeam = winner && gameState.teamMode === TeamMode.Teams ? TEAMS[winner.team] : null;
+        const winnerName = winningTeam ? winningTeam.name.toUpperCase() : winner && (playerLabels?.[winner.index] ?? winner.name);
+        const seriesEntries = this.getSeriesEntries(gameState, playerLabels);
+
         // Draw semi-transparent overlay
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        // Standings so far, above the result
+        if (tournament) {
+            this.drawBracket(tournament, series, seriesEntries);
+        } else if (series) {
+            this.drawSeriesScore(series, seriesEntries, this.centerY - 70 - seriesEntries.length * SCORE_ROW_HEIGHT);
+        } else if (endless?.result) {
+            this.drawEndlessResult(gameState.players[0], endless);
+        } else if (gameState.teamMode === TeamMode.Coop) {
+            this.drawCoopResult(gameState, playerLabels);
+        }
 
-        // Winner text
-        const winText = winner ? `${winner.name} WINS!` : 'DRAW!';
+        // Winner text (nobody to beat when playing alone or together)
+        let winText = winner ? `${winnerName} WINS!` : 'DRAW!';
+        if (gameState.players.length === 1 || gameState.teamMode === TeamMode.Coop) {
+            winText = 'GAME OVER';
+        } else if (series?.isOver) {
+            winText = tournament?.isOver ? `${winnerName} IS THE CHAMPION!` : `${winnerName} WINS THE ${tournament ? 'MATCH' : 'SERIES'}!`;
+        } else if (series && winner) {
+            winText = `${winnerName} WINS ROUND ${series.roundNumber}!`;
+        }
         this.ctx.font = 'bold 48px Arial';
-        this.ctx.fillStyle = winner?.color || 'white';
+        this.ctx.fillStyle = winningTeam?.colors[0] ?? winner?.color ?? 'white';
         this.ctx.textAlign = 'center';
         this.ctx.fillText(winText, this.centerX, this.centerY);
 
-        // Restart prompt
+        // Restart prompt (replays are driven by the playback bar instead)
         this.ctx.font = '20px Arial';
         this.ctx.fillStyle = 'white';
-        this.ctx.fillText('Press R to Restart', this.centerX, this.centerY + 50);
+        if (isReplay) {
+            this.ctx.fillText('Replay Finished', this.centerX, this.centerY + 50);
+        } else if (isOnline) {
+            this.ctx.fillText('Host presses R for a Rematch  ·  Esc to Leave', this.centerX, this.centerY + 50);
+        } else if (series) {
+            let next = 'the Next Round';
+            if (tournament?.isOver) {
+                next = 'the Title Screen';
+            } else if (series.isOver) {
+                next = tournament ? 'the Next Match' : 'a New Series';
+            }
+            this.ctx.fillText(`Press R for ${next}  ·  Esc to Quit  ·  F to Download Replay`, this.centerX, this.centerY + 50);
+        } else {
+            this.ctx.fillText('Press R to Restart  ·  T to Replay Seed  ·  F to Download Replay  ·  E to Edit Map', this.centerX, this.centerY + 50);
+        }
+
+        this.drawSeed(gameState.seed, this.centerY + 85);
+        this.ctx.textAlign = 'left';
+
+        if (touchInput && !isReplay && !isOnline) {
+            this.drawTouchButton('restart', series ? 'CONTINUE' : 'RESTART', this.centerX - 80, this.centerY + 110, 160, 44);
+        }
+    }
+
+    /**
+     * The run's score, how it compares with the player's best and the top
+     * of the map's high score table, with this run highlighted if it's there
+     */
+    drawEndlessResult(player, { personalBest, highScores, result }) {
+        const tableTop = this.centerY - 100 - (GAME_OVER_HIGH_SCORES + 1) * STATS_ROW_HEIGHT;
+        const selectedRow = result.rank !== null && result.rank <= GAME_OVER_HIGH_SCORES ? result.rank - 1 : -1;
+        this.drawHighScoreTable(highScores, selectedRow, tableTop, GAME_OVER_HIGH_SCORES);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 36px Arial';
+        this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+        this.ctx.fillText(`SCORE ${Math.floor(player.score)}`, this.centerX, this.centerY - 64);
+
+        this.ctx.font = '18px Arial';
+        this.ctx.fillStyle = 'white';
+        const comparison = result.isPersonalBest ? 'NEW PERSONAL BEST!' : `Personal best: ${personalBest}`;
+        this.ctx.fillText(`${comparison}  ·  Survived ${formatSeconds(player.survivalTime)}`, this.centerX, this.centerY - 36);
+        this.ctx.textAlign = 'left';
+    }
+
+    /**
+     * Who a series is between, as { label, color }: the players, or in 2v2
+     * the teams
+     */
+    getSeriesEntries(gameState, playerLabels) {
+        if (gameState.teamMode === TeamMode.Teams) {
+            return TEAMS.map(team => ({ label: team.name, color: team.colors[0] }));
+        }
+        return gameState.players.map(player => ({ label: playerLabels?.[player.index] ?? player.name, color: player.color }));
+    }
+
+    /**
+     * Co-op score: everyone's survival time added up, then each player's share
+     */
+    drawCoopResult(gameState, playerLabels) {
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 36px Arial';
+        this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+        this.ctx.fillText(`SURVIVED TOGETHER ${formatSeconds(gameState.getCombinedSurvivalTime())}`, this.centerX, this.centerY - 64);
+
+        this.ctx.font = '18px Arial';
+        this.ctx.fillStyle = 'white';
+        const shares = gameState.players.map(player =>
+            `${playerLabels?.[player.index] ?? player.name} ${formatSeconds(player.survivalTime)}`);
+        this.ctx.fillText(shares.join('  ·  '), this.centerX, this.centerY - 36);
+        this.ctx.textAlign = 'left';
+    }
+
+    /**
+     * One row per player (or team): name, then a pip per win needed,
+     * filled for each round won
+     */
+    drawSeriesScore(series, entries, y) {
+        const pipSpacing = 24;
+
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 18px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        this.ctx.fillText(`BEST OF ${series.bestOf}  ·  FIRST TO ${series.winsNeeded}`, this.centerX, y);
+
+        entries.forEach(({ label, color }, i) => {
+            const rowY = y + (i + 1) * SCORE_ROW_HEIGHT;
+
+            this.ctx.textAlign = 'right';
+            this.ctx.font = '18px Arial';
+            this.ctx.fillStyle = color;
+            this.ctx.fillText(label, this.centerX - 16, rowY);
+
+            for (let pip = 0; pip < series.winsNeeded; pip++) {
+                this.ctx.beginPath();
+                this.ctx.arc(this.centerX + 12 + pip * pipSpacing, rowY - 6, 8, 0, Math.PI * 2);
+                if (pip < series.wins[i]) {
+                    this.ctx.fill();
+                } else {
+                    this.ctx.strokeStyle = color;
+                    this.ctx.lineWidth = 2;
+                    this.ctx.stroke();
+                }
+            }
+        });
+
+        this.ctx.textAlign = 'left';
+    }
+
+    /**
+     * The bracket as columns of match boxes, one column per round, with
+     * the match up next outlined; the current match's series score sits
+     * underneath when it's longer than one game
+     */
+    drawBracket(tournament, series, entries) {
+        const showScore = series.bestOf > 1;
+        const top = 40;
+        const bottom = this.centerY - 60 - (showScore ? 3 * SCORE_ROW_HEIGHT : 0);
+        const columns = tournament.rounds.length + 1;  // The last one holds the champion
+        const columnWidth = Math.min(200, (this.width - 80) / columns);
+        const boxWidth = columnWidth - 30;
+        const left = this.centerX - (columns * columnWidth) / 2;
+        const nextMatch = tournament.currentMatch;
+
+        // Where each match's box is centered, so the next round can connect to it
+        const centers = tournament.rounds.map(round => round.map((_, i) =>
+            top + ((i + 0.5) * (bottom - top)) / round.length));
+
+        this.ctx.font = '16px Arial';
+        this.ctx.textBaseline = 'middle';
+        tournament.rounds.forEach((round, r) => {
+            const x = left + r * columnWidth;
+
+            round.forEach((match, i) => {
+                const y = centers[r][i] - BRACKET_BOX_HEIGHT / 2;
+
+                this.ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+                this.ctx.fillRect(x, y, boxWidth, BRACKET_BOX_HEIGHT);
+                if (match === nextMatch) {
+                    this.ctx.strokeStyle = GameConfig.WARNING_COLOR;
+                    this.ctx.lineWidth = 2;
+                    this.ctx.strokeRect(x, y, boxWidth, BRACKET_BOX_HEIGHT);
+                }
+
+                match.entrants.forEach((entrant, slot) => {
+                    // Round one's empty slots are byes, later ones are still to be played
+                    let name = r === 0 ? 'bye' : '…';
+                    if (entrant !== null) {
+                        name = tournament.names[entrant];
+                    }
+
+                    const isLoser = match.winner !== null && match.winner !== entrant;
+                    this.ctx.fillStyle = isLoser || entrant === null ? 'rgba(255, 255, 255, 0.35)' : 'white';
+                    this.ctx.font = match.winner !== null && match.winner === entrant ? 'bold 16px Arial' : '16px Arial';
+                    this.ctx.fillText(name, x + 8, y + (slot + 0.5) * (BRACKET_BOX_HEIGHT / 2), boxWidth - 16);
+                });
+
+                // Line on to where the winner goes next
+                const nextX = x + columnWidth;
+                const nextY = r + 1 < centers.length ? centers[r + 1][Math.floor(i / 2)] : centers[r][i];
+                this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+                this.ctx.lineWidth = 1;
+                this.ctx.beginPath();
+                this.ctx.moveTo(x + boxWidth, centers[r][i]);
+                this.ctx.lineTo(x + boxWidth + 15, centers[r][i]);
+                this.ctx.lineTo(x + boxWidth + 15, nextY);
+                this.ctx.lineTo(nextX, nextY);
+                this.ctx.stroke();
+            });
+        });
+
+        // Champion
+        const champion = tournament.champion;
+        this.ctx.font = 'bold 18px Arial';
+        this.ctx.fillStyle = champion !== null ? GameConfig.WARNING_COLOR : 'rgba(255, 255, 255, 0.35)';
+        this.ctx.fillText(champion !== null ? `🏆 ${tournament.names[champion]}` : '🏆', left + (columns - 1) * columnWidth, centers[centers.length - 1][0], boxWidth);
+        this.ctx.textBaseline = 'alphabetic';
+
+        if (showScore) {
+            this.drawSeriesScore(series, entries, bottom + 30);
+        }
+    }
+
+    /**
+     * The map editor: the board being edited with empty slots outlined,
+     * spawn markers, the brush under the pointer and the toolbars
+     */
+    renderMapEditor(editor) {
+        this.beginFrame();
+
+        // The editor's board is centered on world (0, 0), clear of the toolbars
+        this.camera.fit(this.width, this.height, { radius: editor.radius, margin: EDITOR_BUTTON_HEIGHT + 24 });
+        this.ctx.save();
+        this.camera.apply(this.ctx);
+
+        // Empty slots, faintly, so you can see where tiles can go
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        this.ctx.lineWidth = 1;
+        for (const pos of generateHexGrid(editor.radius)) {
+            if (editor.tiles.has(pos.toKey())) continue;
+
+            this.traceHexagon(pos, GameConfig.HEX_SIZE - 2);
+            this.ctx.stroke();
+        }
+
+        for (const tile of editor.tiles.values()) {
+            const pixel = axialToPixel(tile.position, GameConfig.HEX_SIZE, 0, 0);
+            this.ctx.save();
+            this.ctx.translate(pixel.x, pixel.y);
+            tile.drawHexagon(this.ctx, 0, 0, GameConfig.HEX_SIZE - 2, TILE_TYPE_COLORS[tile.type].fill);
+            tile.drawTypeMarkings(this.ctx, GameConfig.HEX_SIZE - 2);
+            this.ctx.restore();
+        }
+
+        this.drawEditorSpawns(editor);
+        this.drawEditorBrush(editor);
+        this.ctx.restore();
+
+        this.drawEditorToolbars(editor);
+    }
+
+    drawEditorSpawns(editor) {
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.font = 'bold 18px Arial';
+
+        editor.spawns.forEach((spawn, i) => {
+            if (!spawn) return;
+
+            const pixel = axialToPixel(spawn, GameConfig.HEX_SIZE, 0, 0);
+            this.ctx.beginPath();
+            this.ctx.arc(pixel.x, pixel.y, GameConfig.HEX_SIZE * 0.45, 0, Math.PI * 2);
+            this.ctx.fillStyle = PlayerConfig[i].color;
+            this.ctx.fill();
+            this.ctx.fillStyle = 'white';
+            this.ctx.fillText(String(i + 1), pixel.x, pixel.y + 1);
+        });
+
+        this.ctx.textBaseline = 'alphabetic';
+        this.ctx.textAlign = 'left';
+    }
+
+    drawEditorBrush(editor) {
+        if (!editor.hover) return;
+
+        // The spawn tool only ever touches one tile
+        const positions = editor.tool === EditorTool.Spawn
+            ? [editor.hover]
+            : getSymmetricPositions(editor.hover, editor.symmetry);
+
+        this.ctx.strokeStyle = editor.tool === EditorTool.Erase ? '#e74c3c' : 'white';
+        this.ctx.lineWidth = 3;
+        for (const pos of positions) {
+            this.traceHexagon(pos, GameConfig.HEX_SIZE);
+            this.ctx.stroke();
+        }
+    }
+
+    /**
+     * Path around the board cell at pos (pointy-top, like the tiles), in
+     * the editor's world units
+     */
+    traceHexagon(pos, radius) {
+        const pixel = axialToPixel(pos, GameConfig.HEX_SIZE, 0, 0);
+        this.ctx.beginPath();
+        for (let i = 0; i < 6; i++) {
+            const angle = (Math.PI / 3) * i - Math.PI / 2;
+            this.ctx.lineTo(pixel.x + radius * Math.cos(angle), pixel.y + radius * Math.sin(angle));
+        }
+        this.ctx.closePath();
+    }
+
+    /**
+     * Tools along the top, actions along the bottom, both tappable
+     */
+    drawEditorToolbars(editor) {
+        const tools = [
+            ...PAINT_TYPES.map((type, i) => ({
+                id: `editor-paint-${type}`,
+                label: `${i + 1} ${capitalize(type)}`,
+                isSelected: editor.tool === EditorTool.Paint && editor.paintType === type,
+            })),
+            { id: 'editor-erase', label: 'X Erase', isSelected: editor.tool === EditorTool.Erase },
+            { id: 'editor-spawn', label: `P Spawn ${editor.spawnSlot + 1}`, isSelected: editor.tool === EditorTool.Spawn },
+            { id: 'editor-symmetry', label: `S ${capitalize(editor.symmetry)}`, isSelected: false },
+        ];
+        const actions = [
+            { id: 'editor-undo', label: 'Undo', isSelected: false },
+            { id: 'editor-redo', label: 'Redo', isSelected: false },
+            { id: 'editor-clear', label: 'Clear', isSelected: false },
+            { id: 'editor-shrink', label: '− Board', isSelected: false },
+            { id: 'editor-grow', label: '+ Board', isSelected: false },
+            { id: 'editor-import', label: 'Import', isSelected: false },
+            { id: 'editor-export', label: 'Export', isSelected: false },
+            { id: 'editor-test', label: 'Test ▶', isSelected: false },
+            { id: 'editor-exit', label: 'Exit', isSelected: false },
+        ];
+
+        this.drawEditorButtonRow(tools, 12);
+        this.drawEditorButtonRow(actions, this.height - EDITOR_BUTTON_HEIGHT - 12);
+
+        // Name, how-to and feedback between the toolbars
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 24px Arial';
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText(`MAP EDITOR · ${editor.name}`, this.centerX, 90);
+
+        this.ctx.font = '16px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.fillText(
+            'Drag to paint, right-drag to erase  ·  + / − board size  ·  Ctrl+Z / Ctrl+Y undo and redo  ·  Ctrl+O / Ctrl+S import and export  ·  Enter to test',
+            this.centerX, this.height - EDITOR_BUTTON_HEIGHT - 30
+        );
+
+        if (editor.message) {
+            this.ctx.fillStyle = GameConfig.WARNING_COLOR;
+            this.ctx.fillText(editor.message, this.centerX, 115);
+        }
         this.ctx.textAlign = 'left';
     }
+
+    drawEditorButtonRow(buttons, y) {
+        const rowWidth = buttons.length * (EDITOR_BUTTON_WIDTH + EDITOR_BUTTON_GAP) - EDITOR_BUTTON_GAP;
+        let x = this.centerX - rowWidth / 2;
+
+        for (const { id, label, isSelected } of buttons) {
+            if (isSelected) {
+                this.ctx.fillStyle = 'rgba(241, 196, 15, 0.35)';
+                this.ctx.fillRect(x, y, EDITOR_BUTTON_WIDTH, EDITOR_BUTTON_HEIGHT);
+            }
+            this.drawTouchButton(id, label, x, y, EDITOR_BUTTON_WIDTH, EDITOR_BUTTON_HEIGHT);
+            x += EDITOR_BUTTON_WIDTH + EDITOR_BUTTON_GAP;
+        }
+    }
 }
@@ -0,0 +1,71 @@
+import { GameConfig } from '../core/config.js';
+import { REPLAY_SPEEDS } from '../game/ReplayPlayer.js';
+
+/**
+ * DOM playback bar for replays: pause, speed and a timeline scrubber
+ */
+
+export class ReplayControls {
+    constructor(container, { onTogglePause, onSpeedChange, onSeek, onExit }) {
+        this.container = container;
+        this.pauseButton = container.querySelector('[data-replay="pause"]');
+        this.speedSelect = container.querySelector('[data-replay="speed"]');
+        this.timeline = container.querySelector('[data-replay="timeline"]');
+        this.timeLabel = container.querySelector('[data-replay="time"]');
+        this.exitButton = container.querySelector('[data-replay="exit"]');
+
+        this.isScrubbing = false;
+
+        for (const speed of REPLAY_SPEEDS) {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            this.speedSelect.appendChild(option);
+        }
+
+        // Blur after use so Space/arrow shortcuts don't also trigger the focused control
+        this.pauseButton.addEventListener('click', () => {
+            onTogglePause();
+            this.pauseButton.blur();
+        });
+        this.speedSelect.addEventListener('change', () => {
+            onSpeedChange(Number(this.speedSelect.value));
+            this.speedSelect.blur();
+        });
+        this.exitButton.addEventListener('click', () => onExit());
+
+        // Seek continuously while dragging the scrubber
+        this.timeline.addEventListener('pointerdown', () => { this.isScrubbing = true; });
+        this.timeline.addEventListener('pointerup', () => { this.isScrubbing = false; });
+        this.timeline.addEventListener('input', () => onSeek(Number(this.timeline.value)));
+    }
+
+    show(replayPlayer) {
+        this.timeline.min = replayPlayer.startTick;
+        this.timeline.max = replayPlayer.endTick;
+        this.container.hidden = false;
+        this.update(replayPlayer);
+    }
+
+    hide() {
+        this.container.hidden = true;
+        this.isScrubbing = false;
+    }
+
+    update(replayPlayer) {
+        this.pauseButton.textContent = (replayPlayer.isPaused || replayPlayer.isFinished) ? '▶' : '❚❚';
+        this.speedSelect.value = replayPlayer.speed;
+
+        if (!this.isScrubbing) {
+            this.timeline.value = replayPlayer.tick;
+        }
+
+        const elapsed = this.formatTicks(replayPlayer.tick - replayPlayer.startTick);
+        const total = this.formatTicks(replayPlayer.endTick - replayPlayer.startTick);
+        this.timeLabel.textContent = `${elapsed} / ${total}`;
+    }
+
+    formatTicks(ticks) {
+        return `${(ticks * GameConfig.TICK_DURATION / 1000).toFixed(1)}s`;
+    }
+}
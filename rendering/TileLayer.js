@@ -0,0 +1,128 @@
+import { GameConfig } from '../core/config.js';
+import { axialToPixel } from '../core/hexUtils.js';
+
+/**
+ * Offscreen canvas holding the board's still tiles
+ *
+ * Most tiles sit idle most of the match, so instead of stroking every
+ * hexagon every frame the Renderer keeps the still ones (see
+ * Tile.getStaticKey) drawn here and copies the layer over in one
+ * drawImage. Only animating tiles are drawn live. Tiles come and go one
+ * hexagon at a time: one that settles is drawn in, one that changes
+ * (warns, cracks, falls, sinks under a cell) has just its own hexagon
+ * cleared. Tiles never overlap, so that leaves the rest untouched. The
+ * whole layer is only redrawn when the camera moves.
+ */
+
+export class TileLayer {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.tiles = new Map();  // Tile → static key it was drawn with
+        this.view = null;        // Camera and pixel ratio the layer was drawn for
+        this.redrawCount = 0;    // Full redraws so far, for the frame stats readout
+        this.patchCount = 0;     // Single tiles cleared or drawn in so far, likewise
+    }
+
+    /**
+     * Bring the layer up to date with the board for this frame's camera
+     * (width and height in CSS pixels, like the Renderer's)
+     */
+    update(gameState, camera, pixelRatio, width, height) {
+        const view = `${camera.scale},${camera.offsetX},${camera.offsetY},${pixelRatio},${width},${height}`;
+        if (view !== this.view) {
+            this.clear(width, height, pixelRatio);
+            this.view = view;
+            this.redrawCount++;
+        }
+
+        const changedTiles = [];   // Cached, but no longer as drawn
+        const settledTiles = [];   // Still, and not on the layer as they are now
+        let cachedCount = 0;
+        for (const tile of gameState.board.values()) {
+            const key = tile.getStaticKey();
+            const cachedKey = this.tiles.get(tile);
+
+            if (cachedKey !== undefined) {
+                cachedCount++;
+                if (key === cachedKey) continue;
+                changedTiles.push(tile);
+            }
+            if (key !== null) {
+                settledTiles.push(tile);
+            }
+        }
+
+        // Cached tiles that left the board: all of them for a new match
+        if (cachedCount === 0 && this.tiles.size > 0) {
+            this.clear(width, height, pixelRatio);
+        } else if (cachedCount !== this.tiles.size) {
+            for (const tile of this.tiles.keys()) {
+                if (gameState.board.get(tile.position.toKey()) !== tile) {
+                    changedTiles.push(tile);
+                }
+            }
+        }
+
+        if (changedTiles.length === 0 && settledTiles.length === 0) return;
+
+        this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        camera.apply(this.ctx);
+        for (const tile of changedTiles) {
+            this.clearTile(tile, gameState);
+            this.tiles.delete(tile);
+        }
+        for (const tile of settledTiles) {
+            tile.render(this.ctx, gameState.centerX, gameState.centerY);
+            this.tiles.set(tile, tile.getStaticKey());
+        }
+        this.patchCount += changedTiles.length + settledTiles.length;
+    }
+
+    /**
+     * Empty the layer, sized for the current view
+     */
+    clear(width, height, pixelRatio) {
+        const pixelWidth = Math.round(width * pixelRatio);
+        const pixelHeight = Math.round(height * pixelRatio);
+        if (this.canvas.width !== pixelWidth || this.canvas.height !== pixelHeight) {
+            this.canvas.width = pixelWidth;
+            this.canvas.height = pixelHeight;
+        } else {
+            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.ctx.clearRect(0, 0, pixelWidth, pixelHeight);
+        }
+        this.tiles.clear();
+    }
+
+    /**
+     * Clear just the tile's own cell, in world units (the camera is applied)
+     */
+    clearTile(tile, gameState) {
+        const size = GameConfig.HEX_SIZE;
+        const pixel = axialToPixel(tile.position, size, gameState.centerX, gameState.centerY);
+
+        this.ctx.save();
+        this.ctx.beginPath();
+        for (let i = 0; i < 6; i++) {
+            // Pointy-top, the full cell: a drawn tile is smaller and never reaches a neighbour's
+            const angle = (Math.PI / 3) * i - Math.PI / 2;
+            this.ctx.lineTo(pixel.x + size * Math.cos(angle), pixel.y + size * Math.sin(angle));
+        }
+        this.ctx.closePath();
+        this.ctx.clip();
+        this.ctx.clearRect(pixel.x - size, pixel.y - size, size * 2, size * 2);
+        this.ctx.restore();
+    }
+
+    /**
+     * Whether the tile is already on the layer, and so needn't be drawn live
+     */
+    contains(tile) {
+        return this.tiles.has(tile);
+    }
+
+    get size() {
+        return this.tiles.size;
+    }
+}
@@ -0,0 +1,115 @@
+import { Room } from './Room.js';
+import {
+    ClientMessage, ServerMessage, ROOM_CODE_LENGTH, MAX_NAME_LENGTH,
+    encodeMessage, decodeMessage,
+} from '../game/NetProtocol.js';
+
+/**
+ * Routes client messages and keeps track of rooms by their join code
+ */
+
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';  // No I or O, they read like 1 and 0
+
+export class Lobby {
+    constructor() {
+        this.rooms = new Map();          // code → Room
+        this.memberships = new Map();    // connection → Room
+    }
+
+    addConnection(connection) {
+        connection.events.subscribe('message', (text) => {
+            const message = decodeMessage(text);
+            if (!message) {
+                this.sendError(connection, 'Malformed message');
+                return;
+            }
+            this.handleMessage(connection, message);
+        });
+
+        connection.events.subscribe('close', () => this.leave(connection));
+    }
+
+    handleMessage(connection, message) {
+        const room = this.memberships.get(connection);
+
+        switch (message.type) {
+            case ClientMessage.CreateRoom:
+                this.leave(connection);
+                this.join(connection, this.createRoom(), message.name);
+                break;
+            case ClientMessage.JoinRoom:
+                this.handleJoin(connection, message);
+                break;
+            case ClientMessage.LeaveRoom:
+                this.leave(connection);
+                break;
+            case ClientMessage.StartMatch:
+                if (!room) {
+                    this.sendError(connection, 'Join a room first');
+                } else if (room.host?.connection !== connection) {
+                    this.sendError(connection, 'Only the host can start the match');
+                } else {
+                    room.startMatch();
+                }
+                break;
+            case ClientMessage.Input:
+                room?.handleInput(connection, message);
+                break;
+            default:
+                this.sendError(connection, `Unknown message type: ${message.type}`);
+        }
+    }
+
+    handleJoin(connection, { code, name }) {
+        const room = this.rooms.get(String(code ?? '').trim().toUpperCase());
+
+        if (!room) {
+            this.sendError(connection, `No room with code ${code}`);
+        } else if (room.isFull) {
+            this.sendError(connection, 'That room is full');
+        } else if (room.isMatchRunning) {
+            this.sendError(connection, 'That room is mid-match, try again when it ends');
+        } else if (this.memberships.get(connection) !== room) {
+            this.leave(connection);
+            this.join(connection, room, name);
+        }
+    }
+
+    createRoom() {
+        let code;
+        do {
+            code = Array.from({ length: ROOM_CODE_LENGTH },
+                () => CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)]).join('');
+        } while (this.rooms.has(code));
+
+        const room = new Room(code);
+        this.rooms.set(code, room);
+        console.log(`Room ${code} created`);
+        return room;
+    }
+
+    join(connection, room, name) {
+        const cleanName = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH) ||
+            `Player ${room.members.length + 1}`;
+
+        this.memberships.set(connection, room);
+        room.addMember(connection, cleanName);
+    }
+
+    leave(connection) {
+        const room = this.memberships.get(connection);
+        if (!room) return;
+
+        this.memberships.delete(connection);
+        room.removeMember(connection);
+
+        if (room.isEmpty) {
+            this.rooms.delete(room.code);
+            console.log(`Room ${room.code} closed`);
+        }
+    }
+
+    sendError(connection, message) {
+        connection.send(encodeMessage(ServerMessage.Error, { message }));
+    }
+}
@@ -0,0 +1,215 @@
+import { GameConfig } from '../core/config.js';
+import { Random } from '../core/random.js';
+import { Simulation, NO_INPUT, normalizeInput } from '../game/Simulation.js';
+import { ServerMessage, SNAPSHOT_INTERVAL, NET_EVENT_SERIALIZERS, encodeMessage } from '../game/NetProtocol.js';
+
+/**
+ * One online room: its members and the authoritative match
+ *
+ * The room owns the Simulation (and so the GameState and TileFallManager)
+ * and steps it at the browser's fixed tick rate, feeding it one queued
+ * input per member per tick. Snapshots and events stream back to everyone.
+ */
+
+const MAX_QUEUED_INPUTS = 6;   // Drop the oldest inputs if a client runs ahead of the server
+
+// Keep the match running briefly after game over so the last fall plays out
+const TRAILING_TICKS = Math.round(1000 / GameConfig.TICK_DURATION);
+
+function roundCoordinate(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export class Room {
+    constructor(code) {
+        this.code = code;
+        this.members = [];           // { connection, name, playerIndex, inputs, lastInput, ack }, host first
+        this.simulation = null;
+
+        this.loopTimer = null;
+        this.lastUpdateTime = 0;
+        this.accumulator = 0;
+        this.endTick = null;
+    }
+
+    get isEmpty() {
+        return this.members.length === 0;
+    }
+
+    get isFull() {
+        return this.members.length >= GameConfig.MAX_PLAYERS;
+    }
+
+    get isMatchRunning() {
+        return this.loopTimer !== null;
+    }
+
+    get host() {
+        return this.members[0] ?? null;
+    }
+
+    getMember(connection) {
+        return this.members.find(member => member.connection === connection) ?? null;
+    }
+
+    addMember(connection, name) {
+        this.members.push({ connection, name, playerIndex: null, inputs: [], lastInput: NO_INPUT, ack: 0 });
+        this.sendLobby();
+    }
+
+    removeMember(connection) {
+        // Their cell stands still for the rest of the match
+        this.members = this.members.filter(member => member.connection !== connection);
+
+        if (this.isEmpty) {
+            this.stop();
+        } else {
+            this.sendLobby();
+        }
+    }
+
+    sendLobby() {
+        const players = this.members.map(member => member.name);
+
+        this.members.forEach((member, i) => {
+            member.connection.send(encodeMessage(ServerMessage.Lobby, {
+                code: this.code,
+                players,
+                hostIndex: 0,
+                yourIndex: i,
+                isMatchRunning: this.isMatchRunning,
+            }));
+        });
+    }
+
+    broadcast(type, fields) {
+        const message = encodeMessage(type, fields);
+        for (const member of this.members) {
+            member.connection.send(message);
+        }
+    }
+
+    startMatch() {
+        if (this.isMatchRunning) return;
+
+        const seed = Random.generateSeed();
+        const config = {
+            playerCount: this.members.length,
+            centerX: 0,
+            centerY: 0,
+            suddenDeathTime: GameConfig.SUDDEN_DEATH_TIME,
+        };
+        const names = this.members.map(member => member.name);
+
+        this.simulation = new Simulation({ ...config, seed });
+        this.endTick = null;
+        this.subscribeToEvents();
+
+        this.members.forEach((member, i) => {
+            member.playerIndex = i;
+            member.inputs = [];
+            member.lastInput = NO_INPUT;
+            member.ack = 0;
+            member.connection.send(encodeMessage(ServerMessage.MatchStarting, { seed, config, playerIndex: i, names }));
+        });
+
+        this.simulation.startMatch();
+
+        this.lastUpdateTime = performance.now();
+        this.accumulator = 0;
+        this.loopTimer = setInterval(() => this.update(), GameConfig.TICK_DURATION);
+        this.sendLobby();
+    }
+
+    subscribeToEvents() {
+        for (const [name, serialize] of Object.entries(NET_EVENT_SERIALIZERS)) {
+            this.simulation.events.subscribe(name, (data) => {
+                this.broadcast(ServerMessage.Event, { name, payload: serialize(data) });
+            });
+        }
+
+        this.simulation.events.subscribe('gameOver', () => {
+            this.endTick = this.simulation.tick + TRAILING_TICKS;
+        });
+    }
+
+    handleInput(connection, { seq, x, y, dash }) {
+        const member = this.getMember(connection);
+        if (!member || !this.isMatchRunning) return;
+        if (!Number.isInteger(seq) || !Number.isFinite(x) || !Number.isFinite(y)) return;
+
+        member.inputs.push({ seq, input: normalizeInput({ x, y, dash }) });
+        if (member.inputs.length > MAX_QUEUED_INPUTS) {
+            member.inputs.shift();
+        }
+    }
+
+    update() {
+        // Catch up on however many ticks the interval timer fell behind
+        const now = performance.now();
+        this.accumulator += Math.min(now - this.lastUpdateTime, GameConfig.MAX_FRAME_TIME);
+        this.lastUpdateTime = now;
+
+        while (this.isMatchRunning && this.accumulator >= GameConfig.TICK_DURATION) {
+            this.stepOnce();
+            this.accumulator -= GameConfig.TICK_DURATION;
+        }
+    }
+
+    stepOnce() {
+        const inputs = [];
+
+        for (const member of this.members) {
+            // One input per tick; if none arrived in time, hold the last one
+            // (without its dash, a press only counts once)
+            const queued = member.inputs.shift();
+            if (queued) {
+                inputs[member.playerIndex] = queued.input;
+                member.lastInput = { x: queued.input.x, y: queued.input.y };
+                member.ack = queued.seq;
+            } else {
+                inputs[member.playerIndex] = member.lastInput;
+            }
+        }
+
+        this.simulation.step(inputs);
+
+        if (this.simulation.tick % SNAPSHOT_INTERVAL === 0) {
+            this.sendSnapshots();
+        }
+
+        if (this.endTick !== null && this.simulation.tick >= this.endTick) {
+            this.stop();
+            this.sendLobby();
+        }
+    }
+
+    sendSnapshots() {
+        const players = this.simulation.gameState.players.map(player => [
+            roundCoordinate(player.x),
+            roundCoordinate(player.y),
+            roundCoordinate(player.vx),
+            roundCoordinate(player.vy),
+            roundCoordinate(player.knockbackX),
+            roundCoordinate(player.knockbackY),
+            roundCoordinate(player.dashTimeLeft),
+            roundCoordinate(player.dashCooldown),
+        ]);
+
+        // Each member gets the last input of theirs that went in, for reconciliation
+        for (const member of this.members) {
+            member.connection.send(encodeMessage(ServerMessage.Snapshot, {
+                tick: this.simulation.tick,
+                ack: member.ack,
+                players,
+            }));
+        }
+    }
+
+    stop() {
+        if (this.loopTimer !== null) {
+            clearInterval(this.loopTimer);
+            this.loopTimer = null;
+        }
+    }
+}
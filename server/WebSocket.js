@@ -0,0 +1,222 @@
+import { createHash } from 'node:crypto';
+import { EventEmitter } from '../core/types.js';
+
+/**
+ * Minimal server side of the WebSocket protocol (RFC 6455), no dependencies
+ *
+ * Handles the upgrade handshake, text messages (fragmented or not), ping
+ * and close. The game only speaks JSON text, so binary messages are read
+ * and dropped.
+ */
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 64 * 1024;  // Bytes, far more than any game message
+
+const Opcode = Object.freeze({
+    Continuation: 0x0,
+    Text: 0x1,
+    Binary: 0x2,
+    Close: 0x8,
+    Ping: 0x9,
+    Pong: 0xA,
+});
+
+export const CloseCode = Object.freeze({
+    Normal: 1000,
+    ProtocolError: 1002,
+    TooBig: 1009,
+});
+
+export class WebSocketConnection {
+    /**
+     * Answer an HTTP upgrade request, returns the open connection or null
+     * (after rejecting the socket) if it isn't a valid WebSocket handshake
+     */
+    static accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return null;
+        }
+
+        const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            '',
+        ].join('\r\n'));
+
+        return new WebSocketConnection(socket);
+    }
+
+    constructor(socket) {
+        this.socket = socket;
+        this.events = new EventEmitter();
+        this.isOpen = true;
+        this.hasClosed = false;
+
+        this.buffer = Buffer.alloc(0);   // Bytes received but not yet parsed into frames
+        this.fragments = [];             // Payloads of the message being reassembled
+        this.fragmentsSize = 0;
+        this.messageOpcode = null;
+
+        socket.setNoDelay(true);
+        socket.on('data', (data) => this.handleData(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', (e) => console.warn('WebSocket error:', e.message));
+    }
+
+    send(text) {
+        if (!this.isOpen) return;
+        this.writeFrame(Opcode.Text, Buffer.from(text, 'utf8'));
+    }
+
+    close(code = CloseCode.Normal) {
+        if (!this.isOpen) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.writeFrame(Opcode.Close, payload);
+
+        this.isOpen = false;
+        this.socket.end();
+    }
+
+    writeFrame(opcode, payload) {
+        // Server frames are never masked and never fragmented
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (this.isOpen && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Take one complete frame off the buffer, or null if it hasn't all arrived
+     */
+    readFrame() {
+        if (this.buffer.length < 2) return null;
+
+        const fin = (this.buffer[0] & 0x80) !== 0;
+        const opcode = this.buffer[0] & 0x0F;
+        const isMasked = (this.buffer[1] & 0x80) !== 0;
+        let length = this.buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < 4) return null;
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) return null;
+            const longLength = this.buffer.readBigUInt64BE(2);
+            length = longLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(longLength);
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(CloseCode.TooBig);
+            return null;
+        }
+
+        // Browsers must mask every frame they send
+        if (!isMasked) {
+            this.close(CloseCode.ProtocolError);
+            return null;
+        }
+
+        const end = offset + 4 + length;
+        if (this.buffer.length < end) return null;
+
+        const mask = this.buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(this.buffer.subarray(offset + 4, end));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = this.buffer.subarray(end);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case Opcode.Text:
+            case Opcode.Binary:
+            case Opcode.Continuation:
+                this.handleMessageFrame(fin, opcode, payload);
+                break;
+            case Opcode.Ping:
+                this.writeFrame(Opcode.Pong, payload);
+                break;
+            case Opcode.Pong:
+                break;
+            case Opcode.Close:
+                this.close();
+                break;
+            default:
+                this.close(CloseCode.ProtocolError);
+        }
+    }
+
+    handleMessageFrame(fin, opcode, payload) {
+        // A new message starts with a text/binary frame, the rest are continuations
+        if (opcode !== Opcode.Continuation) {
+            this.messageOpcode = opcode;
+            this.fragments = [];
+            this.fragmentsSize = 0;
+        } else if (this.messageOpcode === null) {
+            this.close(CloseCode.ProtocolError);
+            return;
+        }
+
+        this.fragments.push(payload);
+        this.fragmentsSize += payload.length;
+        if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+            this.close(CloseCode.TooBig);
+            return;
+        }
+
+        if (!fin) return;
+
+        const message = Buffer.concat(this.fragments);
+        const isText = this.messageOpcode === Opcode.Text;
+        this.fragments = [];
+        this.fragmentsSize = 0;
+        this.messageOpcode = null;
+
+        if (isText) {
+            this.events.emit('message', message.toString('utf8'));
+        }
+    }
+
+    handleClose() {
+        if (this.hasClosed) return;
+
+        this.isOpen = false;
+        this.hasClosed = true;
+        this.events.emit('close');
+    }
+}
@@ -0,0 +1,75 @@
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketConnection } from './WebSocket.js';
+import { Lobby } from './Lobby.js';
+import { NET_PATH, DEFAULT_PORT } from '../game/NetProtocol.js';
+
+/**
+ * Multiplayer server - serves the game and runs online matches
+ *
+ *   node server/server.js          (PORT=8080 by default)
+ *
+ * then open http://localhost:8080 in each browser and press O on the
+ * title screen. No dependencies beyond Node itself.
+ */
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const PORT = Number(process.env.PORT) || DEFAULT_PORT;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+};
+
+async function serveFile(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch {
+        response.writeHead(400).end();
+        return;
+    }
+
+    const filePath = resolve(ROOT, `.${pathname === '/' ? '/index.html' : pathname}`);
+
+    // Stay inside the game folder and keep dotfiles (like .git) private
+    const relativePath = filePath.slice(ROOT.length);
+    if (!filePath.startsWith(ROOT) || relativePath.split(sep).some(part => part.startsWith('.'))) {
+        response.writeHead(403).end();
+        return;
+    }
+
+    try {
+        const body = await readFile(filePath);
+        response.writeHead(200, { 'Content-Type': MIME_TYPES[extname(filePath)] ?? 'application/octet-stream' });
+        response.end(body);
+    } catch {
+        response.writeHead(404).end();
+    }
+}
+
+const lobby = new Lobby();
+const server = createServer(serveFile);
+
+server.on('upgrade', (request, socket) => {
+    if (new URL(request.url, 'http://localhost').pathname !== NET_PATH) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+
+    const connection = WebSocketConnection.accept(request, socket);
+    if (connection) {
+        lobby.addConnection(connection);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Single Cell Survival server running at http://localhost:${PORT}`);
+});
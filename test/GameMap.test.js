@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMap, createHexagonMap } from '../game/GameMap.js';
+import { Simulation } from '../game/Simulation.js';
+import { GameConfig, MatchPhase } from '../core/config.js';
+
+/**
+ * Maps without spawns fall back to the default ring, which has to land
+ * every player on a tile of their own. Players past a map's last spawn
+ * start on the nearest free tile to their spot on that ring
+ */
+
+const mapWithoutSpawns = (name, tiles) => ({ version: 1, name, tiles });
+
+// Step through spawning, returning the tile each player started on
+function spawnPlayers(map, playerCount) {
+    const sim = new Simulation({ seed: 1, playerCount, map });
+    sim.startMatch();
+    while (sim.gameState.matchPhase === MatchPhase.Spawning) {
+        sim.step([]);
+    }
+    assert.equal(sim.gameState.matchPhase, MatchPhase.InProgress);
+    return sim.gameState.players.map(player => sim.gameState.getPlayerCurrentTile(player));
+}
+
+test('a full hexagon without spawns starts every player on their own tile', () => {
+    const map = parseMap(createHexagonMap('Small', 3));
+
+    for (let playerCount = 1; playerCount <= GameConfig.MAX_PLAYERS; playerCount++) {
+        const tiles = spawnPlayers(map, playerCount);
+        assert.ok(tiles.every(Boolean), `${playerCount} players all on tiles`);
+        assert.equal(new Set(tiles).size, playerCount, `${playerCount} players on different tiles`);
+    }
+});
+
+test('a map without spawns whose default ring misses the board is rejected', () => {
+    const halfBoard = createHexagonMap('Half', 6).tiles.filter(([q]) => q >= 0);
+
+    assert.throws(() => parseMap(mapWithoutSpawns('Half', halfBoard)), /spawns/);
+    assert.throws(() => parseMap(mapWithoutSpawns('One Tile', [[0, 0]])), /spawns/);
+    assert.throws(() => parseMap(createHexagonMap('Radius 1', 1)), /spawns/);
+});
+
+test('the same map is fine once it lists spawns', () => {
+    const map = mapWithoutSpawns('Half', createHexagonMap('Half', 6).tiles.filter(([q]) => q >= 0));
+    map.spawns = [[1, 0], [5, 0], [1, 4], [5, -4]];
+
+    assert.equal(parseMap(map), map);
+});
+
+test('players past the last listed spawn still get tiles of their own', () => {
+    const map = mapWithoutSpawns('Half', createHexagonMap('Half', 6).tiles.filter(([q]) => q >= 0));
+    map.spawns = [[1, 0], [5, 0], [1, 4], [5, -4]];
+
+    const tiles = spawnPlayers(parseMap(map), GameConfig.MAX_PLAYERS);
+    assert.ok(tiles.every(Boolean), 'all on tiles');
+    assert.equal(new Set(tiles).size, GameConfig.MAX_PLAYERS, 'on different tiles');
+    assert.deepEqual(tiles.slice(0, 4).map(tile => [tile.position.q, tile.position.r]), map.spawns);
+});
+
+test('spawns must leave a tile for every player', () => {
+    const map = mapWithoutSpawns('Tiny', createHexagonMap('Tiny', 1).tiles);
+
+    assert.throws(() => parseMap({ ...map, spawns: [] }), /at least one/);
+    assert.throws(() => parseMap({ ...map, spawns: [[0, 0]] }), /tiles, one for each player/);
+});
@@ -0,0 +1,94 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlayerStats, parseStats } from '../game/PlayerStats.js';
+
+/**
+ * Profiles, head-to-head records and high score tables are keyed by
+ * names players type in, so any name has to work as a key
+ */
+
+const ODD_NAMES = ['constructor', 'toString', '__proto__', 'hasOwnProperty'];
+
+// Stands in for the browser's localStorage
+beforeEach(() => {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+});
+
+const result = (name, finish) => ({ name, survivalTime: 1000 * (5 - finish), tilesSurvived: 5 - finish, finish, team: null });
+
+test('names that match Object.prototype properties get profiles of their own', () => {
+    const stats = new PlayerStats();
+    const results = ODD_NAMES.map((name, i) => result(name, i + 1));
+
+    stats.recordMatch({ mapName: 'constructor', mode: 'Versus', seed: 1, results, winner: 0 });
+
+    for (const [i, name] of ODD_NAMES.entries()) {
+        const profile = stats.getProfile(name);
+        assert.equal(profile.matches, 1, `${name} played once`);
+        assert.equal(profile.finishTotal, i + 1, `${name} finished ${i + 1}`);
+        assert.equal(Object.keys(profile.headToHead).length, ODD_NAMES.length - 1, `${name} met everyone else`);
+    }
+    assert.deepEqual(stats.getProfile('constructor').headToHead.toString, { wins: 1, losses: 0, draws: 0 });
+    assert.equal(Object.prototype.matches, undefined, 'Object.prototype untouched');
+    assert.equal({}.wins, undefined, 'Object.prototype untouched');
+});
+
+test('endless runs under odd names and map names keep their own bests', () => {
+    const stats = new PlayerStats();
+
+    for (const name of ODD_NAMES) {
+        stats.recordEndlessRun({ mapName: '__proto__', name, score: 10, survivalTime: 1000, seed: 1 });
+    }
+
+    assert.equal(stats.getHighScores('__proto__').length, ODD_NAMES.length);
+    assert.deepEqual(stats.getHighScores('toString'), []);
+    assert.equal(stats.getPersonalBest('__proto__', 'constructor'), 10);
+    assert.equal(stats.getPersonalBest('constructor', 'toString'), null);
+    assert.equal(stats.getPersonalBest('valueOf', 'nobody'), null);
+});
+
+test('odd names survive an export and import', () => {
+    const stats = new PlayerStats();
+    stats.recordMatch({ mapName: 'Classic', mode: 'Versus', seed: 1, results: [result('__proto__', 1), result('constructor', 2)], winner: 0 });
+
+    const copy = new PlayerStats();
+    copy.import(JSON.stringify(stats));
+
+    assert.equal(copy.getProfile('__proto__').wins, 1);
+    assert.equal(copy.getProfile('constructor').headToHead.__proto__.losses, 1);
+    assert.equal(Object.prototype.wins, undefined, 'Object.prototype untouched');
+
+    const parsed = parseStats(JSON.stringify(stats));
+    assert.deepEqual(Object.keys(parsed.profiles).sort(), ['__proto__', 'constructor']);
+});
+
+test('stats files that would break recording are refused whole', () => {
+    const file = (fields) => JSON.stringify({ version: 1, profiles: {}, leaderboards: {}, ...fields });
+    const withProfile = (profile) => file({ profiles: { Ann: profile } });
+
+    assert.throws(() => parseStats('{'), /not valid JSON/);
+    assert.throws(() => parseStats(file({ version: 2 })), /Unsupported stats version: 2/);
+    assert.throws(() => parseStats(file({ profiles: [] })), /missing required fields/);
+    assert.throws(() => parseStats(file({ leaderboards: undefined })), /missing required fields/);
+    assert.throws(() => parseStats(file({ highScores: 'lots' })), /high scores are invalid/);
+    assert.throws(() => parseStats(file({ leaderboards: { Classic: {} } })), /leaderboard "Classic" must be a list/);
+    assert.throws(() => parseStats(file({ leaderboards: { Classic: [{ name: 'Ann' }] } })), /leaderboard "Classic" has an invalid entry/);
+    assert.throws(() => parseStats(file({ highScores: { Classic: [{ name: 'Ann', score: 'high' }] } })), /high score table "Classic" has an invalid entry/);
+    assert.throws(() => parseStats(withProfile(null)), /profile "Ann" is invalid/);
+    assert.throws(() => parseStats(withProfile({ wins: -1 })), /profile "Ann" has an invalid wins/);
+    assert.throws(() => parseStats(withProfile({ headToHead: { Bo: { wins: 1 } } })), /invalid head-to-head record/);
+    assert.throws(() => parseStats(withProfile({ endlessBests: { Classic: null } })), /invalid endless bests/);
+});
+
+test('an older stats file is filled out with defaults', () => {
+    const stats = parseStats(JSON.stringify({ version: 1, profiles: { Ann: { wins: 2 } }, leaderboards: {} }));
+
+    assert.equal(stats.profiles.Ann.wins, 2);
+    assert.equal(stats.profiles.Ann.matches, 0);
+    assert.deepEqual({ ...stats.profiles.Ann.headToHead }, {});
+    assert.deepEqual({ ...stats.highScores }, {});
+});
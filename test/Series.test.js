@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Series } from '../game/Series.js';
+
+/**
+ * Best-of series: round wins count towards the series, draws don't
+ */
+
+test('a series is won by the first to take more than half the rounds, draws aside', () => {
+    const series = new Series(3, 2);
+    assert.equal(series.winsNeeded, 2);
+
+    series.recordRound(0);
+    series.recordRound(null);
+    series.recordRound(1);
+    assert.deepEqual(series.wins, [1, 1]);
+    assert.equal(series.roundNumber, 3);
+    assert.equal(series.isOver, false);
+
+    series.recordRound(1);
+    assert.equal(series.champion, 1);
+
+    // Nothing counts once it's over
+    series.recordRound(0);
+    assert.deepEqual(series.wins, [1, 2]);
+    assert.equal(series.roundNumber, 4);
+});
+
+test('a single match series ends on its first win', () => {
+    const series = new Series(1, 4);
+    series.recordRound(null);
+    assert.equal(series.isOver, false);
+    series.recordRound(3);
+    assert.equal(series.champion, 3);
+});
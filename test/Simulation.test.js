@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../game/Simulation.js';
+import { ReplayRecorder } from '../game/ReplayRecorder.js';
+import { ReplayPlayer } from '../game/ReplayPlayer.js';
+import { parseMap } from '../game/GameMap.js';
+import { BUNDLED_MAPS } from '../maps/index.js';
+import { GameConfig, MatchPhase } from '../core/config.js';
+
+/**
+ * The simulation is deterministic: a seed and the inputs are all it takes
+ * to play a match again, which is what replays and online play rely on
+ */
+
+const MATCH_TICKS = 1200;   // 20 seconds
+const MAX_MS_PER_TICK = 5;  // Big boards run well under 1 ms; this leaves room for slow machines
+
+// Scripted players: each circles at its own pace and dashes now and then
+function getInputs(tick, playerCount) {
+    return Array.from({ length: playerCount }, (_, index) => {
+        const angle = tick / (40 + index * 15) + index;
+        const input = { x: Math.cos(angle), y: Math.sin(angle) };
+        return tick % (90 + index * 20) === 0 ? { ...input, dash: true } : input;
+    });
+}
+
+// Run a match until MATCH_TICKS (or until isDone), returning [tick, posKey]
+// for every tile that fell
+function playMatch(config, { onStep = () => {}, isDone = () => false } = {}) {
+    const sim = new Simulation(config);
+    const falls = [];
+    sim.events.subscribe('tileFallen', (posKey) => falls.push([sim.tick, posKey]));
+
+    sim.startMatch();
+    while (sim.tick < MATCH_TICKS && !isDone()) {
+        const inputs = getInputs(sim.tick, sim.playerCount);
+        onStep(sim, inputs);
+        sim.step(inputs);
+    }
+    return { sim, falls };
+}
+
+const describePlayers = (sim) => sim.gameState.players.map(player => [player.x, player.y, player.isAlive]);
+
+test('the same seed and inputs give the same falls', () => {
+    const first = playMatch({ seed: 42, playerCount: 4 });
+    const second = playMatch({ seed: 42, playerCount: 4 });
+
+    assert.ok(first.falls.length > 0, 'tiles fell');
+    assert.deepEqual(second.falls, first.falls);
+    assert.deepEqual(describePlayers(second.sim), describePlayers(first.sim));
+
+    const other = playMatch({ seed: 43, playerCount: 4 });
+    assert.notDeepEqual(other.falls, first.falls, 'another seed plays differently');
+});
+
+test('a recorded replay plays the match back the same', () => {
+    const config = { playerCount: 3, tileTypes: { cracked: 0.2, bomb: 0.1 } };
+    let recorder = null;
+    const { sim, falls } = playMatch({ ...config, seed: 7 }, {
+        onStep: (sim, inputs) => {
+            recorder ??= new ReplayRecorder(sim, config);
+            recorder.recordInputs(inputs);
+        },
+        isDone: () => recorder?.isFinished,
+    });
+
+    const player = ReplayPlayer.fromJSON(JSON.stringify(recorder));
+    const replayedFalls = [];
+    player.simulation.events.subscribe('tileFallen', (posKey) => replayedFalls.push([player.tick, posKey]));
+    player.seek(player.endTick);
+
+    assert.ok(falls.length > 0, 'tiles fell');
+    assert.equal(player.tick, sim.tick);
+    assert.deepEqual(replayedFalls, falls);
+    assert.deepEqual(describePlayers(player.simulation), describePlayers(sim));
+});
+
+test('replays that are broken or from another version are refused', () => {
+    assert.throws(() => ReplayPlayer.fromJSON('{'), /not valid JSON/);
+    assert.throws(() => ReplayPlayer.fromJSON(JSON.stringify({ version: 99 })), /Unsupported replay version/);
+    assert.throws(() => ReplayPlayer.fromJSON(JSON.stringify({ version: 1, seed: 1 })), /missing required fields/);
+});
+
+test('eight cells play a match on a big board, with ticks to spare', () => {
+    const map = parseMap(structuredClone(BUNDLED_MAPS.expanse));
+    const sim = new Simulation({ seed: 5, playerCount: GameConfig.MAX_PLAYERS, map });
+    const board = sim.gameState;
+
+    sim.startMatch();
+    while (board.matchPhase === MatchPhase.Spawning) {
+        sim.step([]);
+    }
+
+    assert.ok(map.tiles.length > 1500, 'radius 20 and up');
+    assert.equal(board.players.length, 8);
+    assert.equal(new Set(board.players.map(player => board.getPlayerCurrentTile(player))).size, 8, 'every cell on its own tile');
+
+    const start = performance.now();
+    const firstTick = sim.tick;
+    while (sim.tick < firstTick + MATCH_TICKS && board.matchPhase === MatchPhase.InProgress) {
+        sim.step([]);
+    }
+    const msPerTick = (performance.now() - start) / (sim.tick - firstTick);
+
+    assert.ok(sim.tick - firstTick > 300, 'the match ran');
+    assert.ok(msPerTick < MAX_MS_PER_TICK, `${msPerTick.toFixed(2)} ms per tick`);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Tournament, MAX_ENTRANTS } from '../game/Tournament.js';
+
+/**
+ * Knockout brackets: who gets a bye, who goes through, and when it's over
+ */
+
+test('a bracket gives the top seeds byes and advances match winners', () => {
+    const tournament = new Tournament(['Ann', 'Bo', 'Cy', 'Di', 'Ed']);
+
+    // Five players fill out an eight-slot bracket: seeds 1-3 go straight through
+    assert.equal(tournament.rounds.length, 3);
+    assert.deepEqual(tournament.rounds[0].map(match => match.winner), [0, null, 1, 2]);
+    assert.deepEqual(tournament.getMatchNames(), ['Di', 'Ed']);
+
+    tournament.recordWinner(1);
+    assert.deepEqual(tournament.getMatchNames(), ['Ann', 'Ed']);
+    tournament.recordWinner(0);
+    assert.deepEqual(tournament.getMatchNames(), ['Bo', 'Cy']);
+    tournament.recordWinner(1);
+    assert.deepEqual(tournament.getMatchNames(), ['Ann', 'Cy']);
+    assert.equal(tournament.isOver, false);
+
+    tournament.recordWinner(1);
+    assert.equal(tournament.isOver, true);
+    assert.equal(tournament.names[tournament.champion], 'Cy');
+    assert.equal(tournament.currentMatch, null);
+    assert.deepEqual(tournament.getMatchNames(), []);
+});
+
+test('a two-player bracket is a single final', () => {
+    const tournament = new Tournament(['Ann', 'Bo']);
+
+    assert.equal(tournament.rounds.length, 1);
+    assert.deepEqual(tournament.getMatchNames(), ['Ann', 'Bo']);
+    tournament.recordWinner(0);
+    assert.equal(tournament.champion, 0);
+});
+
+test('a bracket needs 2 to 8 players', () => {
+    assert.throws(() => new Tournament(['Ann']), /2 to 8 players/);
+    assert.throws(() => new Tournament(Array.from({ length: MAX_ENTRANTS + 1 }, (_, i) => `P${i}`)), /2 to 8 players/);
+});